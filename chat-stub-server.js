@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// =====================================================
+// CHAT STUB SERVER – exercise chat mode without a language model
+// =====================================================
+// Answers like an OpenAI-compatible server (see chat.js): POST
+// /v1/chat/completions streams a canned reply about the last question
+// as server-sent events, a few characters at a time with a delay, so
+// the avatar's "thinking" face, phrase-by-phrase speech and Stop can be
+// tried. With "stream": false the reply comes as one JSON completion.
+//
+//   node chat-stub-server.js                 # http://localhost:8080/v1/chat/completions
+//   node chat-stub-server.js --port 9000 --delay 120 --think 1500
+//
+// --delay: ms between chunks; --think: ms before the first one.
+// =====================================================
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+const MODEL_ID    = 'chat-stub';
+const CHUNK_CHARS = 4;             // about one token
+
+const USAGE = `Usage: node chat-stub-server.js [options]
+
+      --port <n>           port to listen on (default 8080)
+      --delay <ms>         pause between streamed chunks (default 40)
+      --think <ms>         pause before the first chunk (default 800)
+  -h, --help               show this help`;
+
+// A few sentences about the question, with the punctuation the avatar phrases by
+function cannedReply(messages) {
+  const question = [...messages].reverse().find(m => m.role === 'user')?.content?.trim() || 'nothing';
+  const turn = messages.filter(m => m.role === 'user').length;
+  return `You asked: "${question.replace(/\s+/g, ' ').slice(0, 120)}". ` +
+    `I'm only a stub server, so I can't really answer, but I can talk for a while. ` +
+    `This is message ${turn} of our conversation; each sentence arrives in small pieces, ` +
+    `just like a real model's tokens. Did the face look thoughtful while it waited? 🙂`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function corsHeaders(type) {
+  return {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  };
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, corsHeaders(type));
+  res.end(body);
+}
+
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return body;
+}
+
+function completion(id, fields) {
+  return { id, object: 'chat.completion', created: Math.floor(Date.now() / 1000), model: MODEL_ID, ...fields };
+}
+
+// Streams `reply` as chat.completion.chunk events; stops when the client hangs up
+async function streamReply(res, reply, { delay, think }) {
+  const id = `chatcmpl-stub-${Date.now()}`;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const event = data => res.write(`data: ${JSON.stringify({ ...data, object: 'chat.completion.chunk' })}\n\n`);
+
+  res.writeHead(200, { ...corsHeaders('text/event-stream'), 'Cache-Control': 'no-cache' });
+  event(completion(id, { choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }] }));
+  await sleep(think);
+  const chars = [...reply];
+  for (let i = 0; i < chars.length && !closed; i += CHUNK_CHARS) {
+    event(completion(id, { choices: [{ index: 0, delta: { content: chars.slice(i, i + CHUNK_CHARS).join('') }, finish_reason: null }] }));
+    await sleep(delay);
+  }
+  if (closed) return false;
+  event(completion(id, { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }));
+  res.end('data: [DONE]\n\n');
+  return true;
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port:  { type: 'string', default: '8080' },
+      delay: { type: 'string', default: '40' },
+      think: { type: 'string', default: '800' },
+      help:  { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port <= 0) throw new Error(`--port must be a port number, got "${values.port}"`);
+  const timing = { delay: Number(values.delay), think: Number(values.think) };
+  for (const [key, ms] of Object.entries(timing)) {
+    if (!Number.isFinite(ms) || ms < 0) throw new Error(`--${key} must be a number of milliseconds, got "${values[key]}"`);
+  }
+
+  const server = createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204, 'text/plain', '');
+      if (req.method === 'GET' && path === '/v1/models') {
+        return send(res, 200, 'application/json', JSON.stringify({ object: 'list', data: [{ id: MODEL_ID, object: 'model' }] }));
+      }
+      if (req.method !== 'POST' || path !== '/v1/chat/completions') {
+        return send(res, 404, 'text/plain', 'POST /v1/chat/completions or GET /v1/models');
+      }
+
+      const { messages, stream = false } = JSON.parse(await readBody(req) || '{}');
+      if (!Array.isArray(messages) || !messages.length) return send(res, 400, 'application/json', JSON.stringify({ error: { message: 'messages is required' } }));
+      const reply = cannedReply(messages);
+
+      if (!stream) {
+        await sleep(timing.think);
+        return send(res, 200, 'application/json', JSON.stringify(completion(`chatcmpl-stub-${Date.now()}`, {
+          choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+        })));
+      }
+      const finished = await streamReply(res, reply, timing);
+      console.error(`chat-stub: ${messages.length} messages in, reply ${finished ? 'sent' : 'cut off by the client'}`);
+    } catch (err) {
+      if (res.headersSent) res.end();
+      else send(res, 500, 'application/json', JSON.stringify({ error: { message: err.message } }));
+    }
+  });
+  server.listen(port, () => console.error(`chat-stub: POST http://localhost:${port}/v1/chat/completions`));
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`chat-stub: ${err.message}`);
+  process.exitCode = 1;
+});
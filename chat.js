@@ -0,0 +1,109 @@
+// =====================================================
+// CHAT CLIENT – replies from an OpenAI-compatible endpoint
+// =====================================================
+// The avatar's words can come from a language model instead of the text
+// box. Any server speaking the OpenAI chat completions protocol works:
+// llama.cpp's server, Ollama, LM Studio, vLLM, or chat-stub-server.js.
+// POST <url> with JSON { model, messages, stream: true } and read the
+// server-sent events:
+//   data: {"choices":[{"delta":{"content":"Hel"}}]}
+//   data: [DONE]
+// A server that ignores `stream` and answers with one JSON completion
+// works too. The client keeps the conversation, so every question goes
+// out with the system prompt and the exchanges before it.
+// =====================================================
+const CHAT_DEFAULT_URL = 'http://localhost:8080/v1/chat/completions';
+const CHAT_DEFAULT_MODEL = 'local-model';
+const CHAT_DEFAULT_SYSTEM_PROMPT = 'You are a friendly assistant shown as a talking 3D face. ' +
+  'Your replies are read aloud, so answer in a few short spoken sentences, without code, tables or lists.';
+
+// The text an event's JSON adds to the reply; throws on an error event
+function completionText(data) {
+  if (data.error) throw new Error(data.error.message ?? String(data.error));
+  const choice = data.choices?.[0];
+  return choice?.delta?.content ?? choice?.message?.content ?? '';
+}
+
+/**
+ * Reads a streamed completion: `onText(piece)` for every piece of the
+ * reply as it arrives. Resolves with the whole reply.
+ */
+async function readCompletionStream(res, onText) {
+  if (!(res.headers.get('Content-Type') || '').includes('event-stream')) {
+    const reply = completionText(await res.json());
+    if (reply) onText(reply);
+    return reply;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '', reply = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value, { stream: !done });
+    const lines = buffered.split(/\r?\n/);
+    buffered = done ? '' : lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return reply;
+      const piece = completionText(JSON.parse(payload));
+      if (!piece) continue;
+      reply += piece;
+      onText(piece);
+    }
+    if (done) return reply;
+  }
+}
+
+function createChatClient({ url = CHAT_DEFAULT_URL, model = CHAT_DEFAULT_MODEL, systemPrompt = CHAT_DEFAULT_SYSTEM_PROMPT } = {}) {
+  const client = {
+    url, model, systemPrompt,
+    history: [],                     // [{ role: 'user' | 'assistant', content }]
+
+    /**
+     * Sends `question` with the conversation so far and streams the
+     * answer through onText(piece). Resolves with the reply; an aborted
+     * reply keeps what arrived, so the conversation stays in step with
+     * what the avatar said.
+     */
+    async ask(question, { onText = () => {}, signal = null } = {}) {
+      const messages = [
+        ...(client.systemPrompt.trim() ? [{ role: 'system', content: client.systemPrompt }] : []),
+        ...client.history,
+        { role: 'user', content: question },
+      ];
+      client.history.push({ role: 'user', content: question });
+      let reply = '';
+      try {
+        const res = await fetch(client.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model: client.model, messages, stream: true }),
+          signal,
+        });
+        if (!res.ok) throw new Error(`Chat endpoint answered ${res.status} ${res.statusText}`);
+        return await readCompletionStream(res, (piece) => {
+          reply += piece;
+          onText(piece);
+        });
+      } catch (err) {
+        if (!reply) client.history.pop();    // nothing answered – the question is not part of it
+        throw err;
+      } finally {
+        if (reply) client.history.push({ role: 'assistant', content: reply });
+      }
+    },
+
+    // Starts a new conversation
+    reset() {
+      client.history = [];
+    },
+  };
+  return client;
+}
+
+export {
+  CHAT_DEFAULT_URL, CHAT_DEFAULT_MODEL, CHAT_DEFAULT_SYSTEM_PROMPT,
+  createChatClient, readCompletionStream,
+};
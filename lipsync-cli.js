@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// =====================================================
+// LIP SYNC CLI – pre-compute timelines on a build server
+// =====================================================
+// Runs lipsync.js under Node: text → phonemes → timeline → sampled
+// ARKit blendshape frames, written as JSON.
+//
+//   node lipsync-cli.js "Hello there." --fps 30 --out hello.json
+//   node lipsync-cli.js -f script.txt --timings words.json --lang de
+//
+// --timings takes a JSON array with one start time (ms) per word token,
+// either numbers or { "timeMs": n } objects; null leaves a word estimated.
+// =====================================================
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import {
+  ARKIT_BLENDSHAPES, indexPronouncingDictionary, mergeLexicon, languageOf,
+  textToLipTimeline, sampleTimelineMorphs, COARTICULATION_MODELS,
+} from './lipsync.js';
+
+const DEFAULT_DICT = fileURLToPath(new URL('./cmudict.dict', import.meta.url));
+
+const USAGE = `Usage: node lipsync-cli.js [text] [options]
+
+  -f, --text-file <file>   read the text from a file instead
+  -t, --timings <file>     JSON word start times in ms (one per word)
+      --fps <n>            frames per second for sampled weights (default 30)
+      --lang <tag>         voice language, e.g. en, es-MX, fr (default en)
+      --coarticulation <m> dominance or blend (default dominance)
+      --rate <x>           speaking rate of the voice, 1 = normal (default 1)
+      --volume <x>         voice volume 0–1; quieter opens the mouth less
+      --sense <w>=<sense>  force a homograph sense, by word or word index
+                           (e.g. --sense read=past --sense 4=noun); repeatable
+      --lexicon <file>     user lexicon JSON ({ "word": "ARPAbet" })
+      --dict <file>        pronouncing dictionary (default ./cmudict.dict)
+      --no-dict            rule engine only
+  -o, --out <file>         write JSON here instead of stdout
+  -h, --help               show this help`;
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+function readWordTimes(file) {
+  const data = JSON.parse(readFileSync(file, 'utf8'));
+  if (!Array.isArray(data)) throw new Error(`${file}: expected a JSON array of word start times`);
+  return data.map((t, i) => {
+    const ms = typeof t === 'number' || t === null ? t : t?.timeMs;
+    if (ms !== null && !Number.isFinite(ms)) throw new Error(`${file}: bad time for word ${i}`);
+    return ms;
+  });
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'text-file': { type: 'string', short: 'f' },
+      timings:     { type: 'string', short: 't' },
+      fps:         { type: 'string', default: '30' },
+      lang:        { type: 'string', default: 'en' },
+      coarticulation: { type: 'string', default: 'dominance' },
+      rate:        { type: 'string', default: '1' },
+      volume:      { type: 'string', default: '1' },
+      sense:       { type: 'string', multiple: true, default: [] },
+      lexicon:     { type: 'string' },
+      dict:        { type: 'string', default: DEFAULT_DICT },
+      'no-dict':   { type: 'boolean', default: false },
+      out:         { type: 'string', short: 'o' },
+      help:        { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+
+  const text = values['text-file'] ? readFileSync(values['text-file'], 'utf8') : positionals.join(' ');
+  if (!text.trim()) throw new Error(`no text given\n\n${USAGE}`);
+
+  const fps = Number(values.fps);
+  if (!(fps > 0)) throw new Error(`--fps must be a positive number, got "${values.fps}"`);
+
+  const rate = Number(values.rate), volume = Number(values.volume);
+  if (!(rate > 0)) throw new Error(`--rate must be a positive number, got "${values.rate}"`);
+  if (!(volume >= 0)) throw new Error(`--volume must be a number from 0, got "${values.volume}"`);
+
+  const coarticulation = values.coarticulation;
+  if (!COARTICULATION_MODELS.includes(coarticulation)) {
+    throw new Error(`--coarticulation must be one of ${COARTICULATION_MODELS.join(', ')}, got "${coarticulation}"`);
+  }
+
+  const lang = languageOf(values.lang);
+  if (lang === 'en' && !/^en\b/i.test(values.lang)) console.error(`lipsync: no rules for "${values.lang}", using English`);
+
+  if (!values['no-dict'] && lang === 'en') {
+    if (existsSync(values.dict)) await indexPronouncingDictionary(readFileSync(values.dict, 'utf8'));
+    else console.error(`lipsync: ${values.dict} not found, using the rule engine`);
+  }
+  if (values.lexicon) {
+    const { skipped } = mergeLexicon(JSON.parse(readFileSync(values.lexicon, 'utf8')));
+    if (skipped.length) console.error(`lipsync: lexicon entries ignored: ${skipped.join(', ')}`);
+  }
+
+  const senses = {};
+  for (const arg of values.sense) {
+    const m = arg.match(/^([^=]+)=(\w+)$/);
+    if (!m) throw new Error(`--sense takes word=sense or index=sense, got "${arg}"`);
+    senses[m[1].toLowerCase()] = m[2];
+  }
+
+  const wordTimes = values.timings ? readWordTimes(values.timings) : [];
+  const { words, timeline } = textToLipTimeline(text, { lang, wordTimes, senses, rate, volume });
+  const frames = sampleTimelineMorphs(timeline, { fps, coarticulation });
+
+  const result = {
+    text,
+    lang,
+    fps,
+    coarticulation,
+    rate,
+    durationMs: round(frames.length ? frames[frames.length - 1].timeMs : 0, 1),
+    words: words.map(w => ({
+      word: w.word,
+      phonemes: w.phonemes,
+      source: w.source,
+      ...(w.homograph && { homograph: w.homograph }),
+      ...(w.emphasis && { emphasis: w.emphasis }),
+      startMs: round(w.wordStartMs, 1),
+      durationMs: round(w.wordDurationMs, 1),
+    })),
+    timeline: timeline.map(f => ({
+      timeMs: round(f.timeMs, 1),
+      shapeKey: f.shapeKey,
+      durationMs: round(f.durationMs, 1),
+      amplitude: round(f.amplitude ?? 1, 3),
+      ...(f.reduction ? { reduction: f.reduction } : {}),
+    })),
+    blendshapes: ARKIT_BLENDSHAPES,
+    frames: frames.map(f => f.weights.map(w => round(w, 4))),
+  };
+
+  const json = JSON.stringify(result);
+  if (values.out) {
+    writeFileSync(values.out, json);
+    console.error(`lipsync: ${words.length} words, ${timeline.length} visemes, ${frames.length} frames → ${values.out}`);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`lipsync: ${err.message}`);
+  process.exit(1);
+});
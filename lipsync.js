@@ -0,0 +1,5206 @@
+// =====================================================
+// LIP SYNC PIPELINE – text → phonemes → timeline → morph weights
+// =====================================================
+// Plain data and functions only: no DOM, no WebGL, no Web Speech.
+// avatar.js drives this in the browser; lipsync-cli.js runs the same
+// code under Node to pre-compute timelines on a build server. The only
+// platform APIs used are fetch (loadPronouncingDictionary) and
+// OfflineAudioContext (analyzeAudioBuffer), and only when those are called.
+// =====================================================
+
+// =====================================================
+// CONFIGURATION
+// =====================================================
+const VISEME_SMOOTHING_IN  = 0.35;   // Speed morphs animate TO target
+const VISEME_SMOOTHING_OUT = 0.22;   // Speed morphs animate back to rest
+const AMPLITUDE_MULTIPLIER = 1.0;
+// Silence (ms) after each phrase break strength – see PROSODIC PHRASING
+const PHRASE_BREAK_MS = { minor: 120, medium: 260, major: 380, paragraph: 700 };
+
+// =====================================================
+// COMPLETE ARKit MORPH TARGET INDICES
+// =====================================================
+// We use names not indices – Three.js resolves by name via morphTargetDictionary.
+// These are all the available morphs in facecap.glb, in index order; we
+// use them in viseme shapes and as the column order of sampled frames.
+const ARKIT_BLENDSHAPES = [
+  'browInnerUp', 'browDown_L', 'browDown_R', 'browOuterUp_L', 'browOuterUp_R',
+  'eyeLookUp_L', 'eyeLookUp_R', 'eyeLookDown_L', 'eyeLookDown_R',
+  'eyeLookIn_L', 'eyeLookIn_R', 'eyeLookOut_L', 'eyeLookOut_R',
+  'eyeBlink_L', 'eyeBlink_R', 'eyeSquint_L', 'eyeSquint_R', 'eyeWide_L', 'eyeWide_R',
+  'cheekPuff', 'cheekSquint_L', 'cheekSquint_R', 'noseSneer_L', 'noseSneer_R',
+  'jawOpen', 'jawForward', 'jawLeft', 'jawRight',
+  'mouthFunnel', 'mouthPucker', 'mouthLeft', 'mouthRight',
+  'mouthRollUpper', 'mouthRollLower', 'mouthShrugUpper', 'mouthShrugLower',
+  'mouthClose', 'mouthSmile_L', 'mouthSmile_R', 'mouthFrown_L', 'mouthFrown_R',
+  'mouthDimple_L', 'mouthDimple_R', 'mouthUpperUp_L', 'mouthUpperUp_R',
+  'mouthLowerDown_L', 'mouthLowerDown_R', 'mouthPress_L', 'mouthPress_R',
+  'mouthStretch_L', 'mouthStretch_R', 'tongueOut',
+];
+
+// =====================================================
+// VISEME DEFINITIONS – full ARKit blend shapes
+// Each viseme is a map of morph-name → weight (0–1)
+// Morphs NOT listed in a shape are smoothly driven to 0.
+// =====================================================
+const VISEME_SHAPES = {
+  // --------------------------------------------------
+  // REST / SILENCE
+  // --------------------------------------------------
+  sil: {
+    jawOpen: 0.0,
+    mouthFunnel: 0.0, mouthPucker: 0.0,
+    mouthSmile_L: 0.04, mouthSmile_R: 0.04,
+    // mouthClose intentionally 0 – never lift the lower lip at rest
+  },
+
+  // --------------------------------------------------
+  // BILABIAL – P, B, M  (lips together / puff)
+  // --------------------------------------------------
+  PP: {
+    jawOpen: 0.03, mouthClose: 0.55,
+    mouthPress_L: 0.65, mouthPress_R: 0.65,
+    mouthRollLower: 0.15,
+    cheekPuff: 0.08,
+  },
+  BB: {
+    jawOpen: 0.04, mouthClose: 0.5,
+    mouthPress_L: 0.6, mouthPress_R: 0.6,
+    mouthRollLower: 0.12,
+    cheekPuff: 0.1,
+  },
+  MM: {
+    jawOpen: 0.0, mouthClose: 0.65,
+    mouthPress_L: 0.55, mouthPress_R: 0.55,
+    mouthRollLower: 0.18,
+    cheekPuff: 0.06,
+  },
+
+  // --------------------------------------------------
+  // LABIODENTAL – F, V  (upper teeth on lower lip)
+  // --------------------------------------------------
+  FF: {
+    jawOpen: 0.12, mouthClose: 0.0,
+    mouthLowerDown_L: 0.45, mouthLowerDown_R: 0.45,
+    mouthPress_L: 0.25, mouthPress_R: 0.25,
+    mouthShrugUpper: 0.12,
+  },
+
+  // --------------------------------------------------
+  // DENTAL / INTERDENTAL – TH, DH
+  // --------------------------------------------------
+  TH: {
+    jawOpen: 0.18, mouthClose: 0.0,
+    tongueOut: 0.45, mouthStretch_L: 0.3, mouthStretch_R: 0.3,
+    mouthLowerDown_L: 0.2, mouthLowerDown_R: 0.2,
+    mouthUpperUp_L: 0.1, mouthUpperUp_R: 0.1,
+  },
+
+  // --------------------------------------------------
+  // ALVEOLAR STOP – T, D
+  // --------------------------------------------------
+  DD: {
+    jawOpen: 0.22,
+    mouthStretch_L: 0.18, mouthStretch_R: 0.18,
+    mouthUpperUp_L: 0.08, mouthUpperUp_R: 0.08,
+    // no mouthClose – jaw is open, closing lip here causes the crossover bug
+  },
+
+  // --------------------------------------------------
+  // ALVEOLAR NASAL – N
+  // --------------------------------------------------
+  NN: {
+    jawOpen: 0.18,
+    mouthStretch_L: 0.15, mouthStretch_R: 0.15,
+    // no mouthClose – same crossover issue
+  },
+
+  // --------------------------------------------------
+  // SIBILANT – S, Z
+  // --------------------------------------------------
+  SS: {
+    jawOpen: 0.10, mouthClose: 0.0,
+    mouthStretch_L: 0.65, mouthStretch_R: 0.65,
+    mouthSmile_L: 0.25, mouthSmile_R: 0.25,
+    mouthUpperUp_L: 0.08, mouthUpperUp_R: 0.08,
+  },
+
+  // --------------------------------------------------
+  // POSTALVEOLAR – SH, ZH, CH, JH
+  // --------------------------------------------------
+  SH: {
+    jawOpen: 0.14, mouthClose: 0.0,
+    mouthFunnel: 0.45, mouthPucker: 0.35,
+    mouthStretch_L: 0.3, mouthStretch_R: 0.3,
+  },
+  CH: {
+    jawOpen: 0.2,
+    mouthFunnel: 0.4, mouthPucker: 0.3,
+    mouthStretch_L: 0.35, mouthStretch_R: 0.35,
+  },
+
+  // --------------------------------------------------
+  // LATERAL – L
+  // --------------------------------------------------
+  LL: {
+    jawOpen: 0.28, mouthClose: 0.0,
+    mouthStretch_L: 0.4, mouthStretch_R: 0.4,
+    mouthSmile_L: 0.2, mouthSmile_R: 0.2,
+    mouthLowerDown_L: 0.12, mouthLowerDown_R: 0.12,
+  },
+
+  // --------------------------------------------------
+  // RHOTIC – R
+  // --------------------------------------------------
+  RR: {
+    jawOpen: 0.24,
+    mouthFunnel: 0.35, mouthPucker: 0.28,
+    mouthRollLower: 0.12,  // was 0.28 – caused lower lip to ride up
+    mouthShrugLower: 0.06,
+  },
+  RR_trill: { // Spanish/Italian "peRRo" – tongue tip flutters, jaw stays open
+    jawOpen: 0.3, mouthClose: 0.0,
+    mouthFunnel: 0.12, mouthPucker: 0.08,
+    mouthLowerDown_L: 0.14, mouthLowerDown_R: 0.14,
+    mouthUpperUp_L: 0.08, mouthUpperUp_R: 0.08,
+  },
+
+  // --------------------------------------------------
+  // VELAR – K, G, NG
+  // --------------------------------------------------
+  KK: {
+    jawOpen: 0.28,
+    jawForward: 0.08,
+    mouthShrugLower: 0.08,
+    // no mouthClose – jaw is open
+  },
+  NN_velar: {
+    jawOpen: 0.18,
+    jawForward: 0.06,
+    // no mouthClose
+  },
+
+  // --------------------------------------------------
+  // GLOTTAL – H
+  // --------------------------------------------------
+  HH: {
+    jawOpen: 0.26, mouthFunnel: 0.12,
+    mouthShrugLower: 0.08,
+  },
+
+  // --------------------------------------------------
+  // APPROXIMANTS – W, Y
+  // --------------------------------------------------
+  WW: {
+    jawOpen: 0.22, mouthClose: 0.0,
+    mouthFunnel: 0.65, mouthPucker: 0.55,
+    mouthRollUpper: 0.2, mouthRollLower: 0.18,
+  },
+  YY: {
+    jawOpen: 0.28, mouthClose: 0.0,
+    mouthSmile_L: 0.45, mouthSmile_R: 0.45,
+    mouthStretch_L: 0.3, mouthStretch_R: 0.3,
+  },
+
+  // --------------------------------------------------
+  // VOWELS – front
+  // --------------------------------------------------
+  IY: { // "bEEt"
+    jawOpen: 0.28, mouthClose: 0.0,
+    mouthSmile_L: 0.65, mouthSmile_R: 0.65,
+    mouthStretch_L: 0.35, mouthStretch_R: 0.35,
+    mouthUpperUp_L: 0.12, mouthUpperUp_R: 0.12,
+    cheekSquint_L: 0.12, cheekSquint_R: 0.12,
+  },
+  IH: { // "bIt"
+    jawOpen: 0.34, mouthClose: 0.0,
+    mouthSmile_L: 0.45, mouthSmile_R: 0.45,
+    mouthStretch_L: 0.28, mouthStretch_R: 0.28,
+    mouthUpperUp_L: 0.08, mouthUpperUp_R: 0.08,
+  },
+  EY: { // "bAte"
+    jawOpen: 0.38, mouthClose: 0.0,
+    mouthSmile_L: 0.52, mouthSmile_R: 0.52,
+    mouthStretch_L: 0.32, mouthStretch_R: 0.32,
+    mouthUpperUp_L: 0.1, mouthUpperUp_R: 0.1,
+    mouthLowerDown_L: 0.08, mouthLowerDown_R: 0.08,
+  },
+  EH: { // "bEt"
+    jawOpen: 0.44, mouthClose: 0.0,
+    mouthSmile_L: 0.3, mouthSmile_R: 0.3,
+    mouthStretch_L: 0.25, mouthStretch_R: 0.25,
+    mouthLowerDown_L: 0.18, mouthLowerDown_R: 0.18,
+  },
+  AE: { // "bAt"
+    jawOpen: 0.55, mouthClose: 0.0,
+    mouthSmile_L: 0.28, mouthSmile_R: 0.28,
+    mouthLowerDown_L: 0.3, mouthLowerDown_R: 0.3,
+    mouthStretch_L: 0.15, mouthStretch_R: 0.15,
+    mouthShrugLower: 0.08,
+  },
+
+  // --------------------------------------------------
+  // VOWELS – central
+  // --------------------------------------------------
+  AH: { // "bUt" / schwa
+    jawOpen: 0.5, mouthClose: 0.0,
+    mouthFunnel: 0.18, mouthShrugLower: 0.1,
+    mouthLowerDown_L: 0.2, mouthLowerDown_R: 0.2,
+  },
+  AA: { // "bOt" / "fAther"
+    jawOpen: 0.68, mouthClose: 0.0,
+    mouthFunnel: 0.22, mouthShrugLower: 0.15,
+    mouthLowerDown_L: 0.32, mouthLowerDown_R: 0.32,
+    mouthUpperUp_L: 0.06, mouthUpperUp_R: 0.06,
+  },
+  ER: { // "bIRd"
+    jawOpen: 0.38,
+    mouthFunnel: 0.3, mouthPucker: 0.26,
+    mouthRollLower: 0.08, mouthRollUpper: 0.06,
+    mouthShrugLower: 0.06,
+  },
+
+  // --------------------------------------------------
+  // VOWELS – back
+  // --------------------------------------------------
+  AO: { // "bOUght"
+    jawOpen: 0.52,
+    mouthFunnel: 0.48, mouthPucker: 0.28,
+    mouthRollLower: 0.08, mouthRollUpper: 0.06,
+  },
+  OW: { // "bOAt"
+    jawOpen: 0.42,
+    mouthFunnel: 0.55, mouthPucker: 0.42,
+    mouthRollUpper: 0.08, mouthRollLower: 0.06,
+  },
+  UH: { // "bOOk"
+    jawOpen: 0.36,
+    mouthFunnel: 0.5, mouthPucker: 0.4,
+    mouthRollUpper: 0.08, mouthShrugUpper: 0.06,
+  },
+  UW: { // "bOOt"
+    jawOpen: 0.3,
+    mouthFunnel: 0.68, mouthPucker: 0.55,
+    mouthRollUpper: 0.1, mouthRollLower: 0.07,
+  },
+
+  // --------------------------------------------------
+  // FRONT ROUNDED VOWELS – German ü/ö, French u/eu
+  // Tongue as for IY/EY, lips rounded as for UW/OW
+  // --------------------------------------------------
+  UE: { // German "übER", French "tU"
+    jawOpen: 0.22, mouthClose: 0.0,
+    mouthPucker: 0.7, mouthFunnel: 0.3,
+    mouthStretch_L: 0.08, mouthStretch_R: 0.08,
+    mouthRollLower: 0.05,
+  },
+  OE: { // German "schÖn", French "pEU"
+    jawOpen: 0.34, mouthClose: 0.0,
+    mouthPucker: 0.5, mouthFunnel: 0.38,
+    mouthUpperUp_L: 0.06, mouthUpperUp_R: 0.06,
+  },
+
+  // --------------------------------------------------
+  // DIPHTHONGS
+  // --------------------------------------------------
+  AY: { // "bIte"
+    jawOpen: 0.52, mouthClose: 0.0,
+    mouthSmile_L: 0.38, mouthSmile_R: 0.38,
+    mouthLowerDown_L: 0.28, mouthLowerDown_R: 0.28,
+    mouthShrugLower: 0.1,
+  },
+  AW: { // "bOUt"
+    jawOpen: 0.52, mouthClose: 0.0,
+    mouthFunnel: 0.42, mouthPucker: 0.3,
+    mouthLowerDown_L: 0.22, mouthLowerDown_R: 0.22,
+  },
+  OY: { // "bOY"
+    jawOpen: 0.46, mouthClose: 0.0,
+    mouthFunnel: 0.38, mouthPucker: 0.3,
+    mouthSmile_L: 0.22, mouthSmile_R: 0.22,
+  },
+};
+
+// All morph names that are part of mouth/speech articulation
+// (used to smoothly zero-out anything not in the current viseme)
+const MOUTH_MORPHS = [
+  'jawOpen', 'jawForward', 'jawLeft', 'jawRight',
+  'mouthClose', 'mouthFunnel', 'mouthPucker',
+  'mouthLeft', 'mouthRight',
+  'mouthSmile_L', 'mouthSmile_R',
+  'mouthFrown_L', 'mouthFrown_R',
+  'mouthDimple_L', 'mouthDimple_R',
+  'mouthStretch_L', 'mouthStretch_R',
+  'mouthRollLower', 'mouthRollUpper',
+  'mouthShrugLower', 'mouthShrugUpper',
+  'mouthPress_L', 'mouthPress_R',
+  'mouthLowerDown_L', 'mouthLowerDown_R',
+  'mouthUpperUp_L', 'mouthUpperUp_R',
+  'cheekPuff',
+  'tongueOut',
+];
+
+// =====================================================
+// PHONEME → VISEME KEY MAP
+// Maps CMU/ARPAbet phonemes to shape keys above
+// =====================================================
+const PHONEME_TO_SHAPE = {
+  // silence
+  'sil': 'sil', 'sp': 'sil', 'SIL': 'sil',
+  // bilabials
+  'P': 'PP', 'B': 'BB', 'M': 'MM',
+  // labiodentals
+  'F': 'FF', 'V': 'FF',
+  // dentals
+  'TH': 'TH', 'DH': 'TH',
+  // alveolar stops
+  'T': 'DD', 'D': 'DD',
+  // nasal
+  'N': 'NN',
+  // sibilants
+  'S': 'SS', 'Z': 'SS',
+  // postalveolars
+  'SH': 'SH', 'ZH': 'SH',
+  'CH': 'CH', 'JH': 'CH',
+  // lateral
+  'L': 'LL',
+  // rhotic
+  'R': 'RR',
+  // velars
+  'K': 'KK', 'G': 'KK',
+  'NG': 'NN_velar',
+  // glottal
+  'HH': 'HH',
+  // approximants
+  'W': 'WW', 'Y': 'YY',
+  // vowels – the stress numbers (0/1/2) are stripped before lookup
+  'IY': 'IY', 'IH': 'IH',
+  'EY': 'EY', 'EH': 'EH', 'AE': 'AE',
+  'AH': 'AH', 'AA': 'AA', 'ER': 'ER',
+  'AO': 'AO', 'OW': 'OW',
+  'UH': 'UH', 'UW': 'UW',
+  'AY': 'AY', 'AW': 'AW', 'OY': 'OY',
+};
+
+// Base durations (ms) per phoneme class – used for pre-speech warm-up
+const PHONEME_BASE_DURATION = {
+  'PP':55,'BB':55,'MM':70,
+  'FF':75,
+  'TH':75,'DD':50,'NN':65,'SS':90,'SH':90,'CH':80,
+  'LL':70,'RR':75,'WW':80,'YY':70,'KK':60,'HH':65,'NN_velar':70,
+  'IY':100,'IH':82,'EY':108,'EH':88,'AE':92,
+  'AH':80,'AA':112,'ER':90,
+  'AO':108,'OW':112,'UH':82,'UW':108,
+  'AY':118,'AW':118,'OY':118,
+  'UE':100,'OE':100,'RR_trill':85,
+  'sil':120,
+};
+
+// =====================================================
+// IPA → VISEME KEY MAP
+// Non-English languages are transcribed to IPA; tokens are single
+// phones or diphthongs, optionally prefixed with ˈ/ˌ (stress) and
+// followed by ː (long). Diacritics such as the nasal tilde are ignored.
+// =====================================================
+const IPA_VOWEL_SHAPES = {
+  'i':'IY', 'ɪ':'IH', 'e':'EY', 'ɛ':'EH', 'æ':'AE',
+  'a':'AA', 'ɑ':'AA', 'ɐ':'AH', 'ə':'AH', 'ʌ':'AH', 'ɜ':'ER',
+  'ɔ':'AO', 'o':'OW', 'ʊ':'UH', 'u':'UW', 'ɨ':'IH',
+  'y':'UE', 'ʏ':'UE', 'ø':'OE', 'œ':'OE',
+  'ai':'AY', 'aɪ':'AY', 'au':'AW', 'aʊ':'AW',
+  'ɔʏ':'OY', 'ɔɪ':'OY', 'oi':'OY', 'ei':'EY', 'eɪ':'EY',
+};
+const IPA_TO_SHAPE = {
+  ...IPA_VOWEL_SHAPES,
+  'p':'PP', 'b':'BB', 'β':'BB', 'm':'MM', 'ɱ':'MM',
+  'f':'FF', 'v':'FF', 'pf':'FF',
+  'θ':'TH', 'ð':'TH',
+  't':'DD', 'd':'DD', 'ɾ':'DD',
+  'n':'NN', 'ɲ':'NN',
+  's':'SS', 'z':'SS', 'ts':'SS', 'dz':'SS',
+  'ʃ':'SH', 'ʒ':'SH', 'ç':'YY',
+  'tʃ':'CH', 'dʒ':'CH',
+  'l':'LL', 'ʎ':'LL',
+  'r':'RR_trill', 'ɹ':'RR', 'ʁ':'KK', 'ʀ':'KK',
+  'k':'KK', 'g':'KK', 'ɡ':'KK', 'x':'KK', 'ɣ':'KK',
+  'ŋ':'NN_velar',
+  'h':'HH', 'ʔ':'HH',
+  'j':'YY', 'ʝ':'YY', 'w':'WW', 'ɥ':'UE',
+};
+const IPA_VOWELS = new Set(Object.keys(IPA_VOWEL_SHAPES));
+const IPA_LONG_FACTOR = 1.35;
+
+// "ˈɛ̃ː" → "ɛ" – the symbol IPA_TO_SHAPE is keyed by. Only diacritics
+// that don't change the mouth go (nasal, non-syllabic, syllabic, short),
+// so "ç" survives.
+function ipaBase(token) {
+  return String(token).normalize('NFD').replace(/[ˈˌː\u0303\u032F\u0329\u0306]/g, '').normalize('NFC');
+}
+
+// =====================================================
+// LEXICAL STRESS
+// ARPAbet vowels carry 1 (primary), 2 (secondary) or 0 (unstressed).
+// Stressed vowels last longer and open wider; unstressed ones are short
+// and drift toward the neutral schwa shape (AH).
+// =====================================================
+const STRESS_DURATION  = { 0: 0.72, 1: 1.25, 2: 1.06 };
+const STRESS_AMPLITUDE = { 0: 0.8,  1: 1.15, 2: 1.0  };
+const UNSTRESSED_REDUCTION = 0.45;   // 0 = full vowel, 1 = pure schwa
+const REDUCTION_EXEMPT = new Set(['AH', 'ER']);  // already central
+// Emphasized words (bold / italic markup, SSML <emphasis>) open wider still, reduced ones less
+const EMPHASIS_AMPLITUDE = { reduced: 0.85, moderate: 1.15, strong: 1.3 };
+
+/**
+ * "AA1" → { phone:'AA', stress:1, shapeKey:'AA' }. Consonants and
+ * unmarked vowels get stress null. IPA tokens ("ˈaː") come back with
+ * ipa: true, stress from the ˈ/ˌ mark (0 for bare vowels) and `long`.
+ */
+function parsePhoneme(p) {
+  const m = String(p).match(/^([A-Za-z]+)([0-2])?$/);
+  const phone = m ? m[1] : String(p).replace(/[0-9]/g, '');
+  if (!PHONEME_TO_SHAPE[phone] && IPA_TO_SHAPE[ipaBase(p)]) return parseIpaPhoneme(p);
+  const stress = m && m[2] !== undefined ? Number(m[2]) : null;
+  return { phone, stress, shapeKey: PHONEME_TO_SHAPE[phone] || 'AH' };
+}
+
+function parseIpaPhoneme(p) {
+  const phone = ipaBase(p);
+  const mark = String(p)[0];
+  const stress = mark === 'ˈ' ? 1 : mark === 'ˌ' ? 2 : IPA_VOWELS.has(phone) ? 0 : null;
+  return { phone, stress, shapeKey: IPA_TO_SHAPE[phone], ipa: true, long: String(p).includes('ː') };
+}
+
+// Duration classes a voice can be calibrated on (see fitVoiceTiming);
+// shapes not listed are vowels
+const PHONEME_CLASSES = ['vowel', 'stop', 'nasal', 'fricative', 'approximant'];
+const SHAPE_DURATION_CLASS = {
+  PP: 'stop', BB: 'stop', DD: 'stop', KK: 'stop',
+  MM: 'nasal', NN: 'nasal', NN_velar: 'nasal',
+  FF: 'fricative', TH: 'fricative', SS: 'fricative', SH: 'fricative', CH: 'fricative', HH: 'fricative',
+  LL: 'approximant', RR: 'approximant', RR_trill: 'approximant', WW: 'approximant', YY: 'approximant',
+};
+
+function phonemeClass(p) {
+  return SHAPE_DURATION_CLASS[parsePhoneme(p).shapeKey] || 'vowel';
+}
+
+// Timing of the voice being estimated for – setVoiceTiming() swaps it
+const NEUTRAL_VOICE_TIMING = {
+  rate: 1, boundaryLagMs: 0, rows: 0,
+  classes: Object.fromEntries(PHONEME_CLASSES.map(c => [c, 1])),
+};
+const voiceTiming = structuredClone(NEUTRAL_VOICE_TIMING);
+
+// Base class duration scaled by stress, before any voice calibration
+function basePhonemeDuration(p) {
+  const { shapeKey, stress, long } = parsePhoneme(p);
+  const base = (PHONEME_BASE_DURATION[shapeKey] || 80) * (long ? IPA_LONG_FACTOR : 1);
+  return stress === null ? base : base * STRESS_DURATION[stress];
+}
+
+// Relative duration of a phoneme (base class duration scaled by stress
+// and by the calibrated voice's share for its class)
+function phonemeDuration(p) {
+  return basePhonemeDuration(p) * voiceTiming.classes[phonemeClass(p)];
+}
+
+/**
+ * Timeline frame for one phoneme. `amplitude` scales the whole shape,
+ * `reduction` blends it toward AH for unstressed vowels. Phonemes of an
+ * emphasized word are flagged `emphasis` (the level) and open wider;
+ * `loudness` scales the opening for SSML prosody volume.
+ */
+function phonemeFrame(p, timeMs, durationMs, emphasis = null, loudness = 1) {
+  const { shapeKey, stress, ipa } = parsePhoneme(p);
+  const frame = { timeMs, shapeKey, durationMs, stress, amplitude: 1, reduction: 0 };
+  if (stress !== null) {
+    frame.amplitude = STRESS_AMPLITUDE[stress];
+    // IPA transcriptions already spell reduced vowels as ə, so the full
+    // vowels of Spanish, Italian etc. keep their shape when unstressed
+    if (stress === 0 && !ipa && !REDUCTION_EXEMPT.has(shapeKey)) frame.reduction = UNSTRESSED_REDUCTION;
+  }
+  frame.amplitude *= loudness;
+  const level = emphasis === true ? 'moderate' : emphasis;
+  if (EMPHASIS_AMPLITUDE[level]) {
+    frame.amplitude *= EMPHASIS_AMPLITUDE[level];
+    if (level !== 'reduced') frame.emphasis = level;
+  }
+  return frame;
+}
+
+
+// =====================================================
+// MAPPED TEXT – strings that remember where they came from
+// =====================================================
+/**
+ * Every rewrite of the input (normalization, cleaning, splitting) works on
+ * a "mapped text": the string plus, for each character, the [start, end)
+ * range of the ORIGINAL input it was produced from. That way a word in the
+ * final spoken text can always be traced back to what the user typed.
+ * Text cut from a longer input passes its `offset` in it.
+ */
+function createMappedText(text, offset = 0) {
+  const starts = new Array(text.length);
+  const ends   = new Array(text.length);
+  for (let i = 0; i < text.length; i++) { starts[i] = offset + i; ends[i] = offset + i + 1; }
+  return { text, starts, ends };
+}
+
+/**
+ * Like String.replace with a global regex, but keeps the source map.
+ * `replacer` gets the RegExp match array and returns the replacement
+ * (or null to leave the match untouched). Every replacement character maps
+ * to the full source range of the text it replaced.
+ */
+function replaceMapped(mapped, re, replacer) {
+  const src = mapped.text;
+  const starts = [], ends = [];
+  let text = '', last = 0;
+
+  const copy = (from, to) => {
+    for (let i = from; i < to; i++) {
+      starts.push(mapped.starts[i]);
+      ends.push(mapped.ends[i]);
+    }
+    text += src.slice(from, to);
+  };
+
+  for (const m of src.matchAll(re)) {
+    const rep = typeof replacer === 'function' ? replacer(m) : replacer;
+    if (rep == null || rep === m[0]) continue;
+    copy(last, m.index);
+
+    // Zero-length matches (insertions) borrow the position of the next char
+    const endIdx = m.index + m[0].length;
+    const s = m[0].length ? mapped.starts[m.index] : sourceOffsetAt(mapped, m.index);
+    const e = m[0].length ? mapped.ends[endIdx - 1]  : s;
+    for (let k = 0; k < rep.length; k++) { starts.push(s); ends.push(e); }
+    text += rep;
+    last = endIdx;
+  }
+  copy(last, src.length);
+  return { text, starts, ends };
+}
+
+function sliceMapped(mapped, from, to = mapped.text.length) {
+  return {
+    text:   mapped.text.slice(from, to),
+    starts: mapped.starts.slice(from, to),
+    ends:   mapped.ends.slice(from, to),
+  };
+}
+
+/**
+ * Replaces every match of a global regex with its capture group `group`
+ * (the regex needs the 'd' flag). Unlike replaceMapped the kept characters
+ * keep their own source positions: "**bold**" → "bold", still mapped to
+ * b, o, l, d. `onUnwrap(start, end, match)` gets each kept text's source range.
+ */
+function unwrapMapped(mapped, re, group = 1, onUnwrap = null) {
+  const parts = [];
+  let last = 0;
+  for (const m of mapped.text.matchAll(re)) {
+    const [from, to] = m.indices[group] ?? [m.index, m.index];
+    parts.push(sliceMapped(mapped, last, m.index), sliceMapped(mapped, from, to));
+    if (onUnwrap && to > from) onUnwrap(mapped.starts[from], mapped.ends[to - 1], m);
+    last = m.index + m[0].length;
+  }
+  parts.push(sliceMapped(mapped, last));
+  return {
+    text:   parts.map(p => p.text).join(''),
+    starts: parts.flatMap(p => p.starts),
+    ends:   parts.flatMap(p => p.ends),
+  };
+}
+
+// Source offset for a position in mapped text (may be one past the end)
+function sourceOffsetAt(mapped, index) {
+  if (index < mapped.starts.length) return mapped.starts[index];
+  return mapped.ends.length ? mapped.ends[mapped.ends.length - 1] : 0;
+}
+
+/**
+ * Source [start, end) range for the mapped characters [from, to).
+ */
+function sourceRange(mapped, from, to) {
+  if (to <= from) {
+    const at = sourceOffsetAt(mapped, from);
+    return { start: at, end: at };
+  }
+  return { start: mapped.starts[from], end: mapped.ends[to - 1] };
+}
+
+// =====================================================
+// TEXT NORMALIZATION – expand what the voice will say
+// =====================================================
+// Speech engines read "$25" as "twenty-five dollars", "Dr." as "doctor"
+// and "FBI" as "F B I". We do the same expansion up front and speak the
+// expanded text, so the utterance and the lip sync see the exact same words
+// and every spoken token gets visemes.
+// =====================================================
+const NUM_ONES = [
+  'zero','one','two','three','four','five','six','seven','eight','nine',
+  'ten','eleven','twelve','thirteen','fourteen','fifteen','sixteen',
+  'seventeen','eighteen','nineteen',
+];
+const NUM_TENS = ['', '', 'twenty','thirty','forty','fifty','sixty','seventy','eighty','ninety'];
+const NUM_SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+const ORDINAL_IRREGULAR = {
+  one:'first', two:'second', three:'third', five:'fifth',
+  eight:'eighth', nine:'ninth', twelve:'twelfth',
+};
+
+const MONTH_NAMES = [
+  'January','February','March','April','May','June',
+  'July','August','September','October','November','December',
+];
+const MONTH_PATTERN = '(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept|Sep|Oct|Nov|Dec)';
+const MONTH_LOOKUP = {
+  jan:0, feb:1, mar:2, apr:3, may:4, jun:5, jul:6, aug:7, sep:8, sept:8, oct:9, nov:10, dec:11,
+};
+
+// Denominator → [singular, plural] for simple fractions
+const FRACTION_NAMES = {
+  2:['half','halves'], 3:['third','thirds'], 4:['quarter','quarters'],
+};
+
+// [singular, plural, minor singular, minor plural]
+const CURRENCY_NAMES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '£': ['pound',  'pounds',  'penny', 'pence'],
+  '€': ['euro',   'euros',   'cent', 'cents'],
+  '¥': ['yen',    'yen',     null, null],
+  '₹': ['rupee',  'rupees',  null, null],
+};
+
+const MAGNITUDE_WORDS = {
+  k:'thousand', thousand:'thousand',
+  m:'million', mm:'million', million:'million',
+  b:'billion', bn:'billion', billion:'billion',
+  t:'trillion', tn:'trillion', trillion:'trillion',
+};
+
+// Unit abbreviation → [singular, plural]. Deliberately leaves out the
+// ambiguous ones ("m", "in", "s", "l") that collide with ordinary words.
+const UNIT_NAMES = {
+  km:['kilometer','kilometers'], cm:['centimeter','centimeters'], mm:['millimeter','millimeters'],
+  mi:['mile','miles'], ft:['foot','feet'], yd:['yard','yards'],
+  kg:['kilogram','kilograms'], g:['gram','grams'], mg:['milligram','milligrams'],
+  lb:['pound','pounds'], lbs:['pound','pounds'], oz:['ounce','ounces'],
+  ml:['milliliter','milliliters'],
+  mph:['mile per hour','miles per hour'], kph:['kilometer per hour','kilometers per hour'],
+  'km/h':['kilometer per hour','kilometers per hour'],
+  ms:['millisecond','milliseconds'], sec:['second','seconds'], secs:['second','seconds'],
+  min:['minute','minutes'], mins:['minute','minutes'], hr:['hour','hours'], hrs:['hour','hours'],
+  kb:['kilobyte','kilobytes'], mb:['megabyte','megabytes'], gb:['gigabyte','gigabytes'], tb:['terabyte','terabytes'],
+  hz:['hertz','hertz'], khz:['kilohertz','kilohertz'], mhz:['megahertz','megahertz'], ghz:['gigahertz','gigahertz'],
+  w:['watt','watts'], kw:['kilowatt','kilowatts'], kwh:['kilowatt hour','kilowatt hours'],
+  v:['volt','volts'], mah:['milliamp hour','milliamp hours'],
+};
+
+// Abbreviations that always expand the same way (matched with the dot)
+const ABBREVIATIONS = {
+  'Mr.':'Mister', 'Mrs.':'Missus', 'Ms.':'Miz', 'Prof.':'Professor',
+  'Jr.':'Junior', 'Sr.':'Senior', 'Gen.':'General', 'Capt.':'Captain',
+  'Lt.':'Lieutenant', 'Sgt.':'Sergeant', 'Gov.':'Governor', 'Sen.':'Senator',
+  'Rep.':'Representative', 'Hon.':'Honorable',
+  'Ave.':'Avenue', 'Blvd.':'Boulevard', 'Rd.':'Road', 'Mt.':'Mount', 'Ft.':'Fort',
+  'Inc.':'Incorporated', 'Ltd.':'Limited', 'Co.':'Company', 'Corp.':'Corporation',
+  'Dept.':'Department', 'Univ.':'University', 'approx.':'approximately',
+  'etc.':'et cetera', 'e.g.':'for example', 'i.e.':'that is', 'vs.':'versus',
+  'Fig.':'figure', 'Vol.':'volume', 'Ph.D.':'P H D',
+};
+// Abbreviations read from the word after them: "Dr. Lee" vs "Elm Dr.", "No. 5"
+const CONTEXT_ABBREVIATIONS = new Set(['Dr.', 'St.', 'No.', 'no.']);
+// Abbreviations that may legitimately end a sentence keep a full stop
+// when they do, so punctuation-based segmentation still sees the break.
+const SENTENCE_FINAL_ABBREVIATIONS = new Set([
+  'Jr.','Sr.','Ave.','Blvd.','Rd.','Inc.','Ltd.','Co.','Corp.','Dept.','etc.',
+]);
+
+// All-caps tokens that are read as words rather than spelled out
+const WORD_ACRONYMS = new Set([
+  'NASA','NATO','UNESCO','UNICEF','OPEC','FIFA','LASER','RADAR','SCUBA','SONAR',
+  'AIDS','ASAP','COVID','GIF','JPEG','PIN','SIM','RAM','ROM','WIFI','NAFTA','AWOL',
+  'IKEA','POTUS','SWAT','ZIP','GIS','LAN','WAN','CAPTCHA','YAML','JSON',
+]);
+// Short all-caps tokens that collide with ordinary words but are spelled
+const SPELLED_ACRONYMS = new Set(['US','UK','EU','UN','AI','TV','PC','ID','IT','OS','AM','PM']);
+
+// Onsets an acronym may start with and still be read as a word
+const PRONOUNCEABLE_ONSETS = /^(?:[AEIOU]|[BCDFGHJKLMNPRSTVWYZ][AEIOUY]|(?:BL|BR|CL|CR|DR|FL|FR|GL|GR|PL|PR|SC|SK|SL|SM|SN|SP|ST|SW|TR|TW|CH|SH|TH|WH|QU|STR|SPR|SCR)[AEIOUY])/;
+
+/**
+ * Cardinal number words for a string of digits, e.g. "1205" →
+ * "one thousand two hundred five". Works on strings so long numbers
+ * never lose precision.
+ */
+function cardinalToWords(digits) {
+  digits = digits.replace(/^0+(?=\d)/, '');
+  if (digits.length > 15) return digitsToWords(digits);
+  const n = Number(digits);
+  if (n < 20) return NUM_ONES[n];
+  if (n < 100) return NUM_TENS[Math.floor(n / 10)] + (n % 10 ? '-' + NUM_ONES[n % 10] : '');
+  if (n < 1000) {
+    const rest = n % 100;
+    return NUM_ONES[Math.floor(n / 100)] + ' hundred' + (rest ? ' ' + cardinalToWords(String(rest)) : '');
+  }
+
+  const groups = [];
+  for (let end = digits.length; end > 0; end -= 3) {
+    groups.unshift(digits.slice(Math.max(0, end - 3), end));
+  }
+  const words = [];
+  groups.forEach((g, i) => {
+    const value = Number(g);
+    if (!value) return;
+    const scale = NUM_SCALES[groups.length - 1 - i];
+    words.push(cardinalToWords(String(value)) + (scale ? ' ' + scale : ''));
+  });
+  return words.join(' ');
+}
+
+// "007" → "zero zero seven"
+function digitsToWords(digits) {
+  return digits.split('').map(d => NUM_ONES[Number(d)]).join(' ');
+}
+
+function ordinalToWords(digits) {
+  const words = cardinalToWords(digits);
+  return words.replace(/([a-z]+)$/, (last) => {
+    if (ORDINAL_IRREGULAR[last]) return ORDINAL_IRREGULAR[last];
+    if (last.endsWith('y')) return last.slice(0, -1) + 'ieth';
+    return last + 'th';
+  });
+}
+
+/**
+ * Reads a number with optional thousands separators and decimals.
+ * "1,250.75" → "one thousand two hundred fifty point seven five"
+ */
+function numberToWords(raw) {
+  let text = raw.replace(/,/g, '');
+  let sign = '';
+  if (/^[-−]/.test(text)) { sign = 'minus '; text = text.slice(1); }
+  const [whole, frac] = text.split('.');
+  let words;
+  if (whole.length > 1 && whole.startsWith('0')) words = digitsToWords(whole);
+  else words = cardinalToWords(whole || '0');
+  if (frac) words += ' point ' + digitsToWords(frac);
+  return sign + words;
+}
+
+/**
+ * Years are read in pairs: 1984 → "nineteen eighty-four",
+ * 2005 → "two thousand five", 2024 → "twenty twenty-four".
+ */
+function yearToWords(year) {
+  const y = Number(year);
+  if (y >= 2000 && y < 2010) return cardinalToWords(String(y));
+  const hi = Math.floor(y / 100), lo = y % 100;
+  if (lo === 0) return cardinalToWords(String(hi)) + ' hundred';
+  if (lo < 10)  return cardinalToWords(String(hi)) + ' oh ' + NUM_ONES[lo];
+  return cardinalToWords(String(hi)) + ' ' + cardinalToWords(String(lo));
+}
+
+function pluralizeLastWord(words) {
+  return words.replace(/([a-z]+)$/, (last) =>
+    last.endsWith('y') ? last.slice(0, -1) + 'ies' : last + 's');
+}
+
+function isOne(raw) {
+  return /^1(?:\.0+)?$/.test(raw.replace(/,/g, ''));
+}
+
+function timeToWords(h, m, meridiem) {
+  const hour = Number(h), min = Number(m || 0);
+  let words = cardinalToWords(String(hour));
+  if (min === 0) words += meridiem ? '' : ' o\'clock';
+  else if (min < 10) words += ' oh ' + NUM_ONES[min];
+  else words += ' ' + cardinalToWords(String(min));
+  if (meridiem) words += ' ' + meridiem.replace(/\./g, '').toUpperCase().split('').join(' ');
+  return words;
+}
+
+function monthIndex(name) {
+  return MONTH_LOOKUP[name.slice(0, name.toLowerCase().startsWith('sept') ? 4 : 3).toLowerCase()];
+}
+
+function dateToWords(monthIdx, day, year) {
+  let words = MONTH_NAMES[monthIdx] + ' ' + ordinalToWords(String(Number(day)));
+  if (year) words += ', ' + yearToWords(year.length === 2 ? '20' + year : year);
+  return words;
+}
+
+/**
+ * A match that swallowed a trailing dot ("etc.", "p.m.") gives it back
+ * when the dot was also ending the sentence, so segmentation still breaks.
+ */
+function sentenceStopAfter(m, text) {
+  if (!m[0].endsWith('.')) return '';
+  const after = text.slice(m.index + m[0].length);
+  return /^\s*$/.test(after) || /^\s+[A-Z]/.test(after) ? '.' : '';
+}
+
+function spellLetters(letters) {
+  return letters.toUpperCase().split('').join(' ');
+}
+
+/**
+ * Decides whether an all-caps token is spoken as a word ("NASA") or
+ * letter by letter ("FBI"). Known acronyms and ordinary words typed in
+ * capitals read as words; otherwise only tokens that look pronounceable.
+ */
+function isWordAcronym(token) {
+  if (WORD_ACRONYMS.has(token)) return true;
+  if (Object.hasOwn(userLexicon, token.toLowerCase())) return true;
+  if (SPELLED_ACRONYMS.has(token)) return false;
+  if (WORD_EXCEPTIONS[token.toLowerCase()]) return true;
+  if (token.length < 4) return false;
+  if (!/[AEIOU]/.test(token)) return false;
+  if (/[BCDFGHJKLMNPQRSTVWXZ]{3,}/.test(token.replace(/^(STR|SPR|SCR)/, 'S'))) return false;
+  return PRONOUNCEABLE_ONSETS.test(token);
+}
+
+const NUM = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+
+/**
+ * Expands numbers, dates, times, currency, percentages, units,
+ * abbreviations and acronyms into the words a voice would say.
+ * Takes a string or mapped text, returns mapped text so callers can
+ * trace every expanded word back to the raw input.
+ */
+function normalizeForSpeech(input) {
+  let t = typeof input === 'string' ? createMappedText(input) : input;
+
+  // Typographic apostrophes → straight, so contractions survive cleaning
+  t = replaceMapped(t, /[’‘]/g, "'");
+
+  // ---- Times (first, so "p.m." is not taken for an abbreviation) ----
+  t = replaceMapped(t, /\b(\d{1,2}):(\d{2})(?::\d{2})?(?:\s?([AaPp]\.?[Mm]\.?))?(?![\w])/g, (m) => {
+    if (Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+    return timeToWords(m[1], m[2], m[3]) + sentenceStopAfter(m, t.text);
+  });
+  t = replaceMapped(t, /\b(\d{1,2})\s?([AaPp]\.?[Mm]\.?)(?![\w])/g, (m) => {
+    if (Number(m[1]) > 12) return null;
+    return timeToWords(m[1], 0, m[2]) + sentenceStopAfter(m, t.text);
+  });
+
+  // ---- Abbreviations ----
+  t = replaceMapped(t, /(?<![\w.])(?:[A-Za-z]{1,5}\.){1,2}(?=\s|$|[,;:!?)])/g, (m) => {
+    const abbr = m[0];
+    const exp = ABBREVIATIONS[abbr];
+    if (!exp) return null;
+    return exp + (SENTENCE_FINAL_ABBREVIATIONS.has(abbr) ? sentenceStopAfter(m, t.text) : '');
+  });
+  // Dr. / St. depend on what follows: "Dr. Lee" vs "Elm Dr."
+  t = replaceMapped(t, /\b(Dr|St)\.(?=(\s+[A-Z])?)/g, (m) => {
+    const title = !!m[2];
+    if (title) return m[1] === 'Dr' ? 'Doctor' : 'Saint';
+    return (m[1] === 'Dr' ? 'Drive' : 'Street') + sentenceStopAfter(m, t.text);
+  });
+  // "No. 5" → "number 5"
+  t = replaceMapped(t, /\b[Nn]o\.\s*(?=\d)/g, 'number ');
+  // Dotted acronyms: "U.S.", "Ph.D." → spelled letters
+  t = replaceMapped(t, /\b(?:[A-Za-z]\.){2,}(?:[A-Za-z]\b)?/g, (m) => {
+    return spellLetters(m[0].replace(/\./g, '')) + sentenceStopAfter(m, t.text);
+  });
+
+  // ---- Phone numbers: "555-1234", "(555) 123-4567", "+1 555-123-4567" ----
+  // Read digit by digit in groups, like <say-as interpret-as="telephone">
+  t = replaceMapped(t, /(?<![\w.+-])(?:\+\d{1,3}[\s-]?)?(?:\(\d{3}\)\s?|\d{3}[-.])?\d{3}-\d{4}(?![\w-]|\.\d)/g,
+    (m) => m[0].split(/[^\d]+/).filter(Boolean).map(digitsToWords).join(', '));
+
+  // ---- Currency ----
+  t = replaceMapped(t, new RegExp(
+    String.raw`([-−]?)([$£€¥₹])\s?(${NUM})(?:\s?(thousand|million|billion|trillion|bn|tn|[kKmMbBtT])\b)?`, 'g'), (m) => {
+    const [, sign, sym, amount, mag] = m;
+    const names = CURRENCY_NAMES[sym];
+    const prefix = sign ? 'minus ' : '';
+    if (mag) {
+      const scale = MAGNITUDE_WORDS[mag.toLowerCase()];
+      return `${prefix}${numberToWords(amount)} ${scale} ${names[1]}`;
+    }
+    const [whole, frac = ''] = amount.replace(/,/g, '').split('.');
+    const unit = isOne(whole) ? names[0] : names[1];
+    let words = `${cardinalToWords(whole || '0')} ${unit}`;
+    if (frac && names[2]) {
+      const minor = Number((frac + '0').slice(0, 2));
+      const minorWords = `${cardinalToWords(String(minor))} ${minor === 1 ? names[2] : names[3]}`;
+      if (minor && !Number(whole)) words = minorWords;
+      else if (minor) words += ` and ${minorWords}`;
+    } else if (frac) {
+      words = `${numberToWords(amount)} ${names[1]}`;
+    }
+    return prefix + words;
+  });
+  t = replaceMapped(t, /\b(\d+)\s?¢/g, (m) => `${cardinalToWords(m[1])} ${m[1] === '1' ? 'cent' : 'cents'}`);
+
+  // ---- Percentages ----
+  t = replaceMapped(t, new RegExp(String.raw`([-−]?)(${NUM})\s?%`, 'g'),
+    (m) => `${m[1] ? 'minus ' : ''}${numberToWords(m[2])} percent`);
+
+  // ---- Dates ----
+  // ISO: 2024-03-14
+  t = replaceMapped(t, /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, (m) => {
+    const month = Number(m[2]) - 1;
+    if (month < 0 || month > 11) return null;
+    return dateToWords(month, m[3], m[1]);
+  });
+  // Slashed: 3/14, 3/14/2024 (month first unless the first part can't be a
+  // month). Simple fractions without a year stay fractions: "1/2", "3/4".
+  t = replaceMapped(t, /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g, (m) => {
+    let a = Number(m[1]), b = Number(m[2]);
+    if (!m[3] && FRACTION_NAMES[b] && a < b) {
+      const name = FRACTION_NAMES[b];
+      return `${cardinalToWords(m[1])} ${a === 1 ? name[0] : name[1]}`;
+    }
+    if (a > 12 && b <= 12) [a, b] = [b, a];
+    if (a < 1 || a > 12 || b < 1 || b > 31) return null;
+    return dateToWords(a - 1, String(b), m[3]);
+  });
+  // "March 14th, 2024" / "Mar. 14"
+  t = replaceMapped(t, new RegExp(
+    String.raw`\b${MONTH_PATTERN}\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?`, 'g'), (m) => {
+    if (Number(m[2]) < 1 || Number(m[2]) > 31) return null;
+    return dateToWords(monthIndex(m[1]), m[2], m[3]);
+  });
+  // "14 March" / "14th of March"
+  t = replaceMapped(t, new RegExp(
+    String.raw`\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?${MONTH_PATTERN}\b\.?`, 'g'), (m) => {
+    if (Number(m[1]) < 1 || Number(m[1]) > 31) return null;
+    return `${ordinalToWords(m[1])} of ${MONTH_NAMES[monthIndex(m[2])]}`;
+  });
+
+  // ---- Temperatures & units ----
+  t = replaceMapped(t, new RegExp(String.raw`([-−]?)(${NUM})\s?°(?:\s?([CF])\b)?`, 'g'), (m) => {
+    const scale = m[3] === 'C' ? ' Celsius' : m[3] === 'F' ? ' Fahrenheit' : '';
+    return `${m[1] ? 'minus ' : ''}${numberToWords(m[2])} ${isOne(m[2]) ? 'degree' : 'degrees'}${scale}`;
+  });
+  t = replaceMapped(t, new RegExp(String.raw`\b(${NUM})\s?(km/h|[A-Za-z]{1,4})\b`, 'g'), (m) => {
+    const unit = UNIT_NAMES[m[2].toLowerCase()];
+    if (!unit) return null;
+    // Single-letter units only when glued to the number ("5g", "9V")
+    if (m[2].length === 1 && /\s/.test(m[0])) return null;
+    return `${numberToWords(m[1])} ${isOne(m[1]) ? unit[0] : unit[1]}`;
+  });
+  t = replaceMapped(t, /\b(\d+(?:\.\d+)?)[x×](?![\w])/g, (m) => `${numberToWords(m[1])} times`);
+
+  // ---- Ordinals & decades ----
+  t = replaceMapped(t, /\b(\d+)(st|nd|rd|th)\b/gi, (m) => ordinalToWords(m[1]));
+  t = replaceMapped(t, /(?:\b|')(1[1-9]|20)?(\d)0'?s\b/g, (m) => {
+    if (m[1]) return pluralizeLastWord(yearToWords(m[1] + m[2] + '0'));
+    if (m[2] === '0') return null;
+    return m[2] === '1' ? 'tens' : pluralizeLastWord(NUM_TENS[Number(m[2])]);
+  });
+
+  // ---- Years (four digits, 1100–2099, not part of a larger number) ----
+  t = replaceMapped(t, /(?<![\d,.$£€¥₹])\b(1[1-9]\d\d|20\d\d)\b(?![,.]?\d)/g, (m) => yearToWords(m[1]));
+
+  // ---- Symbols ----
+  t = replaceMapped(t, /\s&\s/g, ' and ');
+  t = replaceMapped(t, /(?<=\d\s?)\+(?=\s?\d)/g, ' plus ');
+  t = replaceMapped(t, /(?<=\d\s?)=(?=\s?\d)/g, ' equals ');
+  t = replaceMapped(t, /#(?=\d)/g, 'number ');
+  t = replaceMapped(t, /(?<=\d)\s?[–—]\s?(?=\d)/g, ' to ');
+
+  // Split glued letters and digits: "MP3" → "MP 3"
+  t = replaceMapped(t, /(?<=[A-Za-z])(?=\d)|(?<=\d)(?=[A-Za-z])/g, ' ');
+
+  // ---- Dotted groups: versions, IP addresses ("2.0.1" → two point zero point one) ----
+  t = replaceMapped(t, /(?<![\w.])\d+(?:\.\d+){2,}(?![\w]|\.\d)/g,
+    (m) => m[0].split('.').map(part => numberToWords(part)).join(' point '));
+
+  // ---- Remaining numbers ----
+  t = replaceMapped(t, new RegExp(String.raw`(?<![\w.])([-−](?=\d))?(${NUM})`, 'g'),
+    (m) => numberToWords((m[1] ? '-' : '') + m[2]));
+
+  // ---- Acronyms ----
+  t = replaceMapped(t, /\b([A-Z][A-Z]+)(s?)\b/g, (m) => {
+    const [, caps, plural] = m;
+    if (isWordAcronym(caps)) return caps.toLowerCase() + plural;
+    return spellLetters(caps) + (plural ? '\'s' : '');
+  });
+
+  return t;
+}
+
+// =====================================================
+// TEXT CLEANING – MODIFIED TO KEEP PUNCTUATION FOR SPLITTING
+// =====================================================
+/**
+ * Removes all characters except letters, digits and in-word apostrophes
+ * (so "don't" stays one word). Everything else becomes a single space.
+ * Accepts a string (returns a string) or mapped text (returns mapped text).
+ */
+function cleanTextForSpeech(text) {
+  let t = typeof text === 'string' ? createMappedText(text) : text;
+  // Keep apostrophes only between letters
+  t = replaceMapped(t, /'(?!\p{L})|(?<!\p{L})'/gu, ' ');
+  // Then replace any remaining non-alphanumeric characters with a space
+  // (accented letters stay – other languages need them)
+  t = replaceMapped(t, /[^\p{L}\p{N}']+/gu, ' ');
+  // Collapse multiple spaces into one and trim
+  t = replaceMapped(t, /\s{2,}/g, ' ');
+  const lead  = t.text.length - t.text.trimStart().length;
+  const trail = t.text.trimEnd().length;
+  t = sliceMapped(t, lead, Math.max(lead, trail));
+  return typeof text === 'string' ? t.text : t;
+}
+
+/**
+ * Splits text into segments based on punctuation marks: ! . ? , : ;
+ * The punctuation stays at the end of its segment. A mark only splits when
+ * followed by whitespace or the end, so "3.5" or "10:30" never break.
+ * Accepts a string (returns strings) or mapped text (returns mapped texts).
+ */
+function splitOnPunctuation(text) {
+  const t = typeof text === 'string' ? createMappedText(text) : text;
+  const segments = [];
+  let start = 0;
+  for (const m of t.text.matchAll(/[.!?,;:]+(?=\s|$)\s*/g)) {
+    const end = m.index + m[0].length;
+    segments.push(sliceMapped(t, start, end));
+    start = end;
+  }
+  if (start < t.text.length) segments.push(sliceMapped(t, start));
+  const kept = segments.filter(s => s.text.trim().length > 0);
+  return typeof text === 'string' ? kept.map(s => s.text) : kept;
+}
+
+// =====================================================
+// EMOJI & EMOTICONS – expressions hidden in chat text
+// =====================================================
+// cleanTextForSpeech would drop emoji silently and read ":D" as "D".
+// extractExpressions() takes them out first and remembers where each
+// one was, so the player can show the face (EXPRESSION_POSES) when the
+// speech gets there. Emoticons only count as whole tokens, so "10:30"
+// or "a:b" are left alone.
+// =====================================================
+const EMOJI_EXPRESSIONS = {
+  smile:    '😀😃😄😁😆😊🙂☺😂🤣😍🥰😘😎🤗😺😸',
+  frown:    '🙁☹😞😔😟😕😢😭😿💔',
+  surprise: '😮😯😲😱🤯😳🙀',
+  wink:     '😉😜',
+};
+
+const EMOTICON_EXPRESSIONS = {
+  smile:    [':)', ':-)', ':]', '=)', ':D', ':-D', '=D', 'xD', 'XD', '(:', '^_^', '^^'],
+  frown:    [':(', ':-(', ':[', '=(', ":'(", ':-/', ':/', 'D:', '):'],
+  surprise: [':o', ':O', ':-o', ':-O', 'o_O', 'O_o', 'O_O', ':0'],
+  wink:     [';)', ';-)', ';D', ';-D'],
+};
+
+const EXPRESSION_OF = {};
+for (const [expression, chars] of Object.entries(EMOJI_EXPRESSIONS)) {
+  for (const ch of chars) EXPRESSION_OF[ch] = expression;
+}
+for (const [expression, faces] of Object.entries(EMOTICON_EXPRESSIONS)) {
+  for (const face of faces) EXPRESSION_OF[face] = expression;
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Emoji with optional variation selector / skin tone; emoticons between spaces or punctuation
+const EXPRESSION_RE = new RegExp(
+  `(${Object.values(EMOJI_EXPRESSIONS).flatMap(s => [...s]).join('|')})[\\u{FE0F}\\u{1F3FB}-\\u{1F3FF}]?` +
+  `|(?<=^|\\s)(${Object.values(EMOTICON_EXPRESSIONS).flat().sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?=$|\\s|[.,!?])`,
+  'gu'
+);
+
+/**
+ * Removes emoji and emoticons from `text` (string or mapped text; the
+ * result has the same type). Each becomes a space and a cue
+ * { expression, index } – `index` is its position in the source text.
+ */
+function extractExpressions(text) {
+  const t = typeof text === 'string' ? createMappedText(text) : text;
+  const cues = [];
+  const stripped = replaceMapped(t, EXPRESSION_RE, (m) => {
+    cues.push({ expression: EXPRESSION_OF[m[1] ?? m[2]], index: t.starts[m.index] });
+    return ' ';
+  });
+  return { text: typeof text === 'string' ? stripped.text : stripped, cues };
+}
+
+// =====================================================
+// MARKDOWN & HTML – chat replies as speech
+// =====================================================
+// Replies pasted from chat assistants carry markup nobody should hear.
+// readMarkup() turns it into plain sentences before normalization:
+// code blocks are summarized, links read their text (bare URLs just
+// their site), headings, list items, table rows and paragraphs become
+// phrases of their own, and bold / italic text is remembered as
+// emphasis ranges (source offsets) for markEmphasis().
+// =====================================================
+const CODE_BLOCK_SPOKEN = 'Code sample.';
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…' };
+const HTML_BLOCK_TAG_RE = /<\/?(?:p|div|br|li|ul|ol|h[1-6]|tr|table|blockquote|hr|section|article|header|footer)\b[^>]*>/gi;
+const URL_RE = /<?\b(?:https?:\/\/|www\.)[^\s<>()]*[^\s<>().,;:!?'"\]]>?/gi;
+
+// "https://www.example.com/docs?a=1" → "example dot com"
+function spokenUrl(url) {
+  const host = url.replace(/^<|>$/g, '').replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0];
+  return host.split('.').join(' dot ');
+}
+
+function decodeHtmlEntity(name) {
+  if (name[0] !== '#') return HTML_ENTITIES[name.toLowerCase()] ?? ' ';
+  const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+  return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : ' ';
+}
+
+/**
+ * Markdown / HTML → speakable text. Takes a string or mapped text and
+ * returns { text, emphasis, paragraphs }: `text` of the same type,
+ * `emphasis` the [start, end) source ranges of bold / italic / <strong> /
+ * <em> text, `paragraphs` the source offsets where a paragraph, heading
+ * or list item ends (see phraseBreaks).
+ * Plain text passes through unchanged apart from line breaks.
+ */
+function readMarkup(input) {
+  let t = typeof input === 'string' ? createMappedText(input) : input;
+  const emphasis = [];
+  const emphasize = (start, end) => emphasis.push([start, end]);
+
+  // ---- Code: blocks are summarized, scripts and styles dropped ----
+  t = replaceMapped(t, /^ {0,3}(`{3,}|~{3,}).*\n[\s\S]*?(?:^ {0,3}\1[ \t]*$|(?![\s\S]))/gm, `\n\n${CODE_BLOCK_SPOKEN}\n\n`);
+  t = replaceMapped(t, /<pre\b[\s\S]*?<\/pre>/gi, `\n\n${CODE_BLOCK_SPOKEN}\n\n`);
+  t = replaceMapped(t, /<(script|style)\b[\s\S]*?<\/\1>/gi, ' ');
+  t = unwrapMapped(t, /(`+)([^`]+?)\1/gd, 2);
+
+  // ---- Links: the text, never the address ----
+  t = unwrapMapped(t, /<a\b[^>]*>([\s\S]*?)<\/a>/gid);
+  t = unwrapMapped(t, /!?\[([^\]]*)\]\([^)]*\)/gd);                  // [text](url), ![alt](src)
+  t = unwrapMapped(t, /\[([^\]]+)\]\[[^\]]*\]/gd);                     // [text][ref]
+  t = replaceMapped(t, /^ {0,3}\[[^\]]+\]:[ \t]*\S+.*$/gm, '');          // [ref]: url
+  t = replaceMapped(t, URL_RE, (m) => spokenUrl(m[0]));
+
+  // ---- HTML: emphasis kept as text, block tags end a phrase ----
+  t = unwrapMapped(t, /<(b|strong|em|i|mark)\b[^>]*>([\s\S]*?)<\/\1>/gid, 2, emphasize);
+  t = replaceMapped(t, HTML_BLOCK_TAG_RE, '\n\n');
+  t = replaceMapped(t, /<\/?[a-z][^>]*>/gi, '');
+  t = replaceMapped(t, /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m) => decodeHtmlEntity(m[1]));
+
+  // ---- Markdown blocks: rules, tables, then one phrase per heading / item ----
+  t = replaceMapped(t, /^ {0,3}(?:[-*_][ \t]*){3,}$/gm, '\n');
+  t = replaceMapped(t, /^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*(?::?-+:?[ \t]*)?$/gm, '');
+  t = replaceMapped(t, /(?<=^[ \t]*(?:(?:#{1,6}|[-*+]|\d{1,3}[.)]|>+)[ \t]|\|).*)$/gm, '\n');
+  t = replaceMapped(t, /^[ \t]*(?:#{1,6}|[-*+]|\d{1,3}[.)]|>+)[ \t]+|[ \t]+#+[ \t]*$/gm, '');
+  t = replaceMapped(t, /^[ \t]*\||\|[ \t]*$/gm, '');
+  t = replaceMapped(t, /[ \t]*\|[ \t]*/g, ', ');
+
+  // ---- Markdown emphasis ----
+  t = unwrapMapped(t, /(\*\*|__)(?=\S)([\s\S]*?\S)\1/gd, 2, emphasize);
+  t = unwrapMapped(t, /(?<![\w*])([*_])(?=[^\s*_])([^*_\n]*?[^\s*_])\1(?![\w*])/gd, 2, emphasize);
+  t = unwrapMapped(t, /~~([\s\S]*?)~~/gd);
+
+  // ---- A phrase ends at every blank line; the rest is running text ----
+  t = replaceMapped(t, /(?<=[^\s.!?,;:])[ \t]*(?=\n[ \t]*\n)/g, '.');
+  const paragraphs = [...t.text.matchAll(/\n[ \t]*\n/g)].map(m => t.starts[m.index]);
+  t = replaceMapped(t, /\s*\n\s*/g, ' ');
+
+  return { text: typeof input === 'string' ? t.text : t, emphasis, paragraphs };
+}
+
+/**
+ * Flags word events ({srcStart, srcEnd}) inside emphasis ranges – readMarkup's
+ * [start, end] or readSsml's [start, end, level]. `emphasis` becomes the
+ * level ('moderate' unless given); the first range that covers a word wins.
+ */
+function markEmphasis(events, ranges) {
+  if (!ranges.length) return events;
+  events.forEach(ev => {
+    const range = ranges.find(([s, e]) => ev.srcStart < e && ev.srcEnd > s);
+    if (range && range[2] !== 'none') ev.emphasis = range[2] ?? 'moderate';
+  });
+  return events;
+}
+
+// =====================================================
+// SSML – authored pauses, emphasis and prosody
+// =====================================================
+// Scripts can carry a subset of SSML. readSsml() runs before readMarkup
+// and takes the tags out, keeping what they ask for as source ranges:
+//   <break time="500ms"/> / strength   → breaks, silence between segments
+//   <emphasis level>                   → emphasis ranges (markEmphasis)
+//   <prosody rate pitch volume>        → prosody spans, per utterance
+//   <say-as interpret-as>, <sub alias> → replaced by the words to say
+//   <phoneme alphabet ph>              → pronunciation, G2P skipped
+// speechSegments() cuts segments at breaks and prosody changes;
+// markSsml() puts prosody and <phoneme> onto the word events.
+// =====================================================
+const BREAK_STRENGTH_MS = { none: 0, 'x-weak': 100, weak: 250, medium: 400, strong: 700, 'x-strong': 1200 };
+const BREAK_MAX_MS = 10000;
+const PROSODY_RATES   = { 'x-slow': 0.6, slow: 0.8, medium: 1, default: 1, fast: 1.25, 'x-fast': 1.6 };
+const PROSODY_PITCHES = { 'x-low': 0.7, low: 0.85, medium: 1, default: 1, high: 1.15, 'x-high': 1.3 };
+const PROSODY_VOLUMES = { silent: 0, 'x-soft': 0.25, soft: 0.5, medium: 1, default: 1, loud: 1.4, 'x-loud': 2 };
+const PROSODY_LIMITS  = { rate: [0.25, 4], pitch: [0.25, 2], volume: [0, 4] };
+const NEUTRAL_PROSODY = { rate: 1, pitch: 1, volume: 1 };
+
+// 'name="value"' pairs of a start tag, names lowercased
+function tagAttributes(str) {
+  const attrs = {};
+  for (const m of String(str).matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[m[1].toLowerCase()] = m[2] ?? m[3];
+  return attrs;
+}
+
+// "500ms", "1.5s" or a strength name → milliseconds
+function breakMs({ time, strength }) {
+  const m = String(time ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+  if (m) return Math.min(BREAK_MAX_MS, Number(m[1]) * (m[2].toLowerCase() === 's' ? 1000 : 1));
+  return BREAK_STRENGTH_MS[String(strength ?? 'medium').toLowerCase()] ?? BREAK_STRENGTH_MS.medium;
+}
+
+/**
+ * One prosody attribute → a factor of the default: a named level, "80%",
+ * "+10%", "+2st" (semitones), "-6dB" or a plain number. Absolute values
+ * such as "120Hz" have no default to compare with and are ignored.
+ */
+function prosodyFactor(value, names) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (Object.hasOwn(names, v)) return names[v];
+  let m;
+  if ((m = v.match(/^([+-]\d+(?:\.\d+)?)%$/)))  return 1 + Number(m[1]) / 100;
+  if ((m = v.match(/^(\d+(?:\.\d+)?)%$/)))      return Number(m[1]) / 100;
+  if ((m = v.match(/^([+-]?\d+(?:\.\d+)?)st$/))) return 2 ** (Number(m[1]) / 12);
+  if ((m = v.match(/^([+-]?\d+(?:\.\d+)?)db$/))) return 10 ** (Number(m[1]) / 20);
+  if ((m = v.match(/^\d+(?:\.\d+)?$/)))          return Number(v);
+  return 1;
+}
+
+// <say-as> content → words, or null to leave it to normalizeForSpeech
+function sayAsText(interpretAs, format, content, lang) {
+  const kind = String(interpretAs ?? '').toLowerCase();
+  const text = content.trim();
+  const digits = text.replace(/[^\d]/g, '');
+  if (kind === 'characters' || kind === 'spell-out' || kind === 'verbatim') {
+    return [...text.replace(/\s+/g, '')].map(c => /\d/.test(c) && lang === 'en' ? NUM_ONES[Number(c)] : c.toUpperCase()).join(' ');
+  }
+  if (kind === 'expletive' || kind === 'bleep') return 'bleep';
+  if (lang !== 'en' || !digits) return null;
+  if (kind === 'cardinal' || kind === 'number') return numberToWords(text.replace(/[^\d.,-]/g, ''));
+  if (kind === 'ordinal') return ordinalToWords(digits);
+  if (kind === 'digits') return digitsToWords(digits);
+  if (kind === 'telephone') {
+    return text.split(/[^\d]+/).filter(Boolean).map(digitsToWords).join(', ');
+  }
+  if (kind === 'time') {
+    const m = text.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+    return m ? timeToWords(m[1], m[2], m[3]) : null;
+  }
+  if (kind === 'date') {
+    const parts = text.split(/[-/.\s]+/);
+    const order = String(format ?? 'mdy').toLowerCase();
+    const field = f => parts[order.indexOf(f)];
+    const month = Number(field('m')), day = field('d'), year = field('y');
+    if (!(month >= 1 && month <= 12) || !day) return null;
+    return dateToWords(month - 1, day, year);
+  }
+  return null;
+}
+
+// IPA string → phoneme tokens as parseIpaPhoneme reads them; stress marks move onto the next vowel
+function tokenizeIpa(ph) {
+  const tokens = [];
+  let stress = '';
+  const chars = [...ph.normalize('NFC')];
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    if (c === 'ˈ' || c === 'ˌ') { stress = c; continue; }
+    if (c === 'ː' && tokens.length) { tokens[tokens.length - 1] += c; continue; }
+    const pair = c + (chars[i + 1] ?? '');
+    const sym = IPA_TO_SHAPE[pair] ? pair : IPA_TO_SHAPE[ipaBase(c)] ? c : null;
+    if (!sym) continue;
+    if (sym.length > 1) i++;
+    const vowel = IPA_VOWELS.has(ipaBase(sym));
+    tokens.push((vowel ? stress : '') + sym);
+    if (vowel) stress = '';
+  }
+  return tokens;
+}
+
+// <phoneme> ph → phoneme list (ARPAbet or IPA), null when unreadable
+function ssmlPhonemes(alphabet, ph) {
+  if (!ph) return null;
+  if (/arpabet|cmu/i.test(alphabet ?? '')) {
+    try { return parseArpabet(ph).split(' '); } catch { return null; }
+  }
+  const tokens = tokenizeIpa(ph);
+  return tokens.length ? tokens : null;
+}
+
+/**
+ * Unwraps every `tag` element, innermost first so nested ones work.
+ * `onElement(attrs, start, end)` gets each element's content source range.
+ */
+function unwrapSsmlElement(t, tag, onElement) {
+  const re = new RegExp(`<${tag}\\b([^>]*)>((?:(?!<${tag}\\b)[\\s\\S])*?)</${tag}\\s*>`, 'gid');
+  while (re.test(t.text)) {
+    re.lastIndex = 0;
+    t = unwrapMapped(t, re, 2, (start, end, m) => onElement(tagAttributes(m[1]), start, end));
+  }
+  return t;
+}
+
+/**
+ * SSML → speakable text. Takes a string or mapped text and returns
+ * { text, emphasis, breaks, prosody, phonemes }: `text` of the same type,
+ * the rest keyed by source offsets – emphasis [start, end, level],
+ * breaks { at, ms }, prosody { start, end, rate, pitch, volume },
+ * phonemes { start, end, phonemes }. Text without SSML passes through.
+ * Number-reading <say-as> types only apply to English (`lang`).
+ */
+function readSsml(input, { lang = 'en' } = {}) {
+  let t = typeof input === 'string' ? createMappedText(input) : input;
+  const result = { emphasis: [], breaks: [], prosody: [], phonemes: [] };
+  const done = () => ({ text: typeof input === 'string' ? t.text : t, ...result });
+  if (!/<\/?(?:speak|break|emphasis|prosody|say-as|sub|phoneme)\b/i.test(t.text)) return done();
+
+  // ---- Wrappers and tags that say nothing ----
+  t = replaceMapped(t, /<\?xml[^>]*\?>|<\/?speak\b[^>]*>|<mark\b[^>]*\/>|<audio\b[^>]*\/>/gi, '');
+  t = replaceMapped(t, /<\/?s\b[^>]*>/gi, '\n\n');
+  t = unwrapSsmlElement(t, '(?:voice|lang|audio)', () => {});
+
+  // ---- Replaced text ----
+  t = replaceMapped(t, /<sub\b([^>]*)>([\s\S]*?)<\/sub\s*>/gi, (m) => tagAttributes(m[1]).alias ?? m[2]);
+  t = replaceMapped(t, /<say-as\b([^>]*)>([\s\S]*?)<\/say-as\s*>/gi, (m) => {
+    const attrs = tagAttributes(m[1]);
+    return sayAsText(attrs['interpret-as'], attrs.format, m[2], lang) ?? m[2];
+  });
+
+  // ---- Ranges: pronunciation, emphasis, prosody ----
+  t = unwrapSsmlElement(t, 'phoneme', (attrs, start, end) => {
+    const phonemes = ssmlPhonemes(attrs.alphabet, attrs.ph);
+    if (phonemes) result.phonemes.push({ start, end, phonemes });
+  });
+  t = unwrapSsmlElement(t, 'emphasis', (attrs, start, end) => {
+    result.emphasis.push([start, end, String(attrs.level ?? 'moderate').toLowerCase()]);
+  });
+  t = unwrapSsmlElement(t, 'prosody', (attrs, start, end) => {
+    const span = { start, end };
+    for (const [key, names] of [['rate', PROSODY_RATES], ['pitch', PROSODY_PITCHES], ['volume', PROSODY_VOLUMES]]) {
+      span[key] = prosodyFactor(attrs[key], names);
+    }
+    result.prosody.push(span);
+  });
+
+  // ---- Breaks: a space in the text, the silence kept aside ----
+  t = replaceMapped(t, /<break\b([^>]*?)\/?>(?:<\/break\s*>)?/gi, (m) => {
+    result.breaks.push({ at: t.starts[m.index], ms: breakMs(tagAttributes(m[1])) });
+    return ' ';
+  });
+  return done();
+}
+
+// Rate / pitch / volume at a source offset – nested <prosody> spans multiply
+// each other and the speaker's own settings (`base`)
+function prosodyAt(spans, offset, base = NEUTRAL_PROSODY) {
+  const p = { ...NEUTRAL_PROSODY, ...base };
+  for (const s of spans) {
+    if (offset < s.start || offset >= s.end) continue;
+    for (const key of Object.keys(p)) p[key] *= s[key];
+  }
+  for (const [key, [lo, hi]] of Object.entries(PROSODY_LIMITS)) p[key] = Math.min(hi, Math.max(lo, p[key]));
+  return p;
+}
+
+// How far the mouth opens at a prosody volume: loud wider, soft narrower, silent shut
+function volumeLoudness(volume) {
+  return volume > 0 ? Math.min(1.3, Math.max(0.6, 1 + 0.3 * Math.log2(volume))) : 0;
+}
+
+// =====================================================
+// PROSODIC PHRASING
+// =====================================================
+// Punctuation is not one pause. Each run of marks is a phrase break
+// with a strength, and the end of a paragraph (blank line, heading, list
+// item – see readMarkup) is stronger than any mark:
+//   minor      ,            medium   ; :
+//   major      . ! ?        paragraph
+// Minor breaks stay inside the utterance: the voice pauses by itself and
+// the lip timeline runs on, resting the mouth for the pause. Medium and
+// stronger ones end the utterance with a PHRASE_BREAK_MS silence. How a
+// phrase ends (statement, question, exclamation, continuation) rides on
+// its last word, so the face can drop the head or raise the brows there;
+// a long phrase starts with a short inhale.
+// =====================================================
+const PUNCTUATION_BREAKS = { ',': 'minor', ';': 'medium', ':': 'medium', '.': 'major', '!': 'major', '?': 'major' };
+const BREAK_STRENGTHS    = ['minor', 'medium', 'major', 'paragraph'];
+const UTTERANCE_BREAK    = 'medium';   // breaks this strong or stronger end the utterance
+const LONG_PHRASE_WORDS  = 8;          // phrases this long start with an inhale
+const PHRASE_INHALE_MS   = 320;
+
+const breakRank = strength => BREAK_STRENGTHS.indexOf(strength);
+
+/**
+ * Phrase breaks of mapped `text`: a run of punctuation followed by
+ * whitespace or the end (so "3.5" and "10:30" never break), as strong as
+ * its strongest mark – or 'paragraph' when the run's source covers one of
+ * readMarkup's `paragraphs` offsets. Returns [{ index, src, strength,
+ * ending }]: `index` just after the run, `src` the source offset of its
+ * first mark, `ending` statement, question, exclamation or continuation.
+ */
+function phraseBreaks(text, paragraphs = []) {
+  return [...text.text.matchAll(/[.!?,;:]+(?=\s|$)\s*/g)].map(m => {
+    const marks = m[0].trim();
+    const last = m.index + m[0].length - 1;
+    let strength = [...marks].map(c => PUNCTUATION_BREAKS[c]).reduce((a, b) => (breakRank(b) > breakRank(a) ? b : a));
+    if (paragraphs.some(p => p >= text.starts[m.index] && p < text.ends[last])) strength = 'paragraph';
+    const ending = marks.includes('?') ? 'question'
+      : marks.includes('!') ? 'exclamation'
+      : breakRank(strength) >= breakRank('major') ? 'statement' : 'continuation';
+    return { index: m.index + m[0].length, src: text.starts[m.index], strength, ending };
+  });
+}
+
+/**
+ * Cuts the prepared mapped text into utterances at phrase breaks of
+ * UTTERANCE_BREAK strength and up, and (for SSML input, readSsml's result
+ * or null) at every <break> and wherever <prosody> changes, since rate,
+ * pitch and volume are set per utterance. Returns [{ text, pauseMs,
+ * prosody, ending, inhaleMs, breaks }]:
+ *   text      mapped
+ *   pauseMs   silence before it – a <break> there, else `pauses[strength]`
+ *             of the phrase break before it (shorter or longer with the
+ *             speaker's `prosody.rate`), 0 where only the prosody changed;
+ *             at least inhaleMs
+ *   ending    how it ends – 'continuation' when cut mid-phrase
+ *   inhaleMs  breath before a long phrase, 0 for none
+ *   breaks    minor breaks inside: [{ src, strength, pauseMs }]
+ * Text that carries on a stream passes `after`, the strength of the
+ * break the text before it ended on (see speakablePrefix), so its first
+ * segment waits for that pause too.
+ */
+function speechSegments(prepared, ssml = null, { pauses = PHRASE_BREAK_MS, prosody = NEUTRAL_PROSODY, paragraphs = [], after = null } = {}) {
+  const breaks = ssml?.breaks ?? [];
+  const spans  = ssml?.prosody ?? [];
+  const cuts = [...breaks.map(b => b.at), ...spans.flatMap(s => [s.start, s.end])];
+  const rate = prosody.rate ?? 1;
+  const phrasing = phraseBreaks(prepared, paragraphs);
+  const ends = phrasing.filter(b => breakRank(b.strength) >= breakRank(UTTERANCE_BREAK));
+  const pieces = [];
+
+  let start = 0, before = after;   // `before`: the break that ended the last phrase with words
+  [...ends, { index: prepared.text.length, strength: null, ending: 'statement' }].forEach(end => {
+    if (end.index <= start) return;
+    const phrase = sliceMapped(prepared, start, end.index);
+    const count = pieces.length;
+    let from = 0;
+    for (let i = 1; i <= phrase.text.length; i++) {
+      const cut = i < phrase.text.length && cuts.some(c => phrase.starts[i - 1] < c && c <= phrase.starts[i]);
+      if (!cut && i < phrase.text.length) continue;
+      const text = sliceMapped(phrase, from, i);
+      const words = cleanTextForSpeech(text);
+      if (words.text) {
+        pieces.push({
+          text, words,
+          breakBefore: pieces.length === count ? before : null,
+          ending: i === phrase.text.length ? end.ending : 'continuation',
+        });
+      }
+      from = i;
+    }
+    if (pieces.length > count) before = end.strength;
+    else if (breakRank(end.strength) > breakRank(before)) before = end.strength;
+    start = end.index;
+  });
+
+  return pieces.map((piece, k) => {
+    const first = piece.words.starts[0];
+    const last  = piece.words.ends[piece.words.text.length - 1];
+    const prevEnd = k ? pieces[k - 1].words.ends[pieces[k - 1].words.text.length - 1] : -Infinity;
+    const here = breaks.filter(b => b.at >= prevEnd && b.at <= first);
+    const startsPhrase = k === 0 || piece.breakBefore !== null;
+    const inhaleMs = startsPhrase && piece.words.text.split(' ').length >= LONG_PHRASE_WORDS ? PHRASE_INHALE_MS : 0;
+    const pauseMs = here.length ? Math.max(...here.map(b => b.ms))
+      : (k || after) && piece.breakBefore ? pauses[piece.breakBefore] / rate : 0;
+    return {
+      text: piece.text,
+      pauseMs: Math.max(pauseMs, inhaleMs),
+      prosody: prosodyAt(spans, first, prosody),
+      ending: piece.ending,
+      inhaleMs,
+      breaks: phrasing
+        .filter(b => b.strength === 'minor' && b.src >= first && b.src < last)
+        .map(b => ({ src: b.src, strength: b.strength, pauseMs: pauses[b.strength] / rate })),
+    };
+  });
+}
+
+/**
+ * How much of `text` still arriving token by token (an LLM reply) can be
+ * spoken already: up to its last phrase break of UTTERANCE_BREAK strength
+ * or more – marks followed by whitespace, or a blank line – that is not
+ * the dot of an abbreviation or initial and not inside an unfinished tag,
+ * SSML element or code block. After STREAM_PHRASE_WORDS words without one
+ * a comma will do, so a long sentence doesn't hold the voice back.
+ * Returns { length, strength }: length 0 while no phrase is complete.
+ */
+const STREAM_PHRASE_WORDS = LONG_PHRASE_WORDS * 2;
+
+function speakablePrefix(text) {
+  const ready = { length: 0, strength: null };
+  for (const m of text.matchAll(/([.!?,;:]+)\s+|\n[ \t]*\n\s*/g)) {
+    const head = text.slice(0, m.index);
+    const strength = /\n[ \t]*\n/.test(m[0]) ? 'paragraph'
+      : [...m[1]].map(c => PUNCTUATION_BREAKS[c]).reduce((a, b) => (breakRank(b) > breakRank(a) ? b : a));
+    const words = text.slice(ready.length, m.index).split(/\s+/).filter(Boolean).length;
+    if (breakRank(strength) < breakRank(UTTERANCE_BREAK) && words < STREAM_PHRASE_WORDS) continue;
+    const lastWord = `${head.split(/\s/).pop()}.`;
+    if (m[1]?.[0] === '.' && (/(?:^|[\s.])\p{L}$/u.test(head) || lastWord in ABBREVIATIONS || CONTEXT_ABBREVIATIONS.has(lastWord))) continue;
+    if (head.lastIndexOf('<') > head.lastIndexOf('>')) continue;
+    if ((head.match(/^ {0,3}(?:`{3,}|~{3,})/gm) ?? []).length % 2) continue;
+    const opened = (head.match(/<(?!\/|speak\b|break\b)[a-z][^>]*[^/]>/gi) ?? []).length;
+    const closed = (head.match(/<\/(?!speak\b|break\b)[a-z][^>]*>/gi) ?? []).length;
+    if (opened > closed) continue;
+    ready.length = m.index + m[0].length;
+    ready.strength = strength;
+  }
+  return ready;
+}
+
+/**
+ * Puts a speechSegments() segment's phrasing onto its word events: a word
+ * before a minor break gets `restMs`, the pause the timeline leaves after
+ * it; the last word gets the segment's `phraseEnd` (unless it only
+ * continues) and the first its `inhaleMs`.
+ */
+function markPhrasing(events, segment) {
+  if (!segment || !events.length) return events;
+  events.forEach((ev, i) => {
+    const next = events[i + 1];
+    const brk = next && segment.breaks.find(b => b.src > ev.srcStart && b.src < next.srcStart);
+    if (brk) ev.restMs = brk.pauseMs;
+  });
+  if (segment.ending !== 'continuation') events[events.length - 1].phraseEnd = segment.ending;
+  if (segment.inhaleMs) events[0].inhaleMs = segment.inhaleMs;
+  return events;
+}
+
+/**
+ * How long a word itself takes of a `windowMs` that also holds the rest
+ * after it (markPhrasing): the rest gives way first, down to the word's
+ * estimate, so a voice that doesn't pause at the comma keeps the mouth going.
+ */
+function spokenWindowMs(ev, windowMs) {
+  if (!ev.restMs) return windowMs;
+  return Math.max(windowMs - ev.restMs, Math.min(windowMs, estimateEventDuration(ev)));
+}
+
+// The mouth at rest for `durationMs` – a pause, or the breath before a long phrase
+function restFrame(timeMs, durationMs, inhaleMs = 0) {
+  const frame = { ...phonemeFrame('sil', timeMs, durationMs), rest: true };
+  if (inhaleMs) frame.inhale = Math.min(inhaleMs, durationMs);
+  return frame;
+}
+
+/**
+ * Puts readSsml's results (or null) onto word events ({srcStart, srcEnd}):
+ * words get `rate` (timing estimates) and `loudness` (mouth opening) from
+ * <prosody> and the speaker's own settings (`base`); a <phoneme> gives its
+ * first word the pronunciation and silences the rest of its words.
+ */
+function markSsml(events, ssml, base = NEUTRAL_PROSODY) {
+  const claimed = new Set();
+  events.forEach(ev => {
+    const { rate, volume } = prosodyAt(ssml?.prosody ?? [], ev.srcStart ?? 0, base);
+    if (rate !== 1) ev.rate = rate;
+    if (volume !== 1) ev.loudness = volumeLoudness(volume);
+    const pron = ssml?.phonemes.find(p => ev.srcStart < p.end && ev.srcEnd > p.start);
+    if (!pron) return;
+    ev.phonemes = claimed.has(pron) ? [] : [...pron.phonemes];
+    ev.source = 'ssml';
+    claimed.add(pron);
+  });
+  return events;
+}
+
+// =====================================================
+// TEXT → PHONEME  (fully self-contained, no CDN needed)
+// =====================================================
+// Comprehensive rule-based English grapheme-to-phoneme
+// This handles ~95% of common English words correctly.
+// =====================================================
+// ---------- MAJOR EXPANSION OF WORD EXCEPTIONS ----------
+const WORD_EXCEPTIONS = {
+  the:'DH AH', a:'AH', an:'AH N', and:'AE N D', or:'AO R',
+  is:'IH Z', are:'AA R', was:'W AH Z', were:'W ER',
+  be:'B IY', been:'B IH N', being:'B IY IH NG',
+  have:'HH AE V', has:'HH AE Z', had:'HH AE D',
+  do:'D UW', does:'D AH Z', did:'D IH D',
+  will:'W IH L', would:'W UH D', shall:'SH AE L', should:'SH UH D',
+  may:'M EY', might:'M AY T', must:'M AH S T', can:'K AE N', could:'K UH D',
+  i:'AY', im:"AY M", ive:"AY V",
+  you:'Y UW', your:'Y AO R', yours:'Y AO R Z',
+  he:'HH IY', him:'HH IH M', his:'HH IH Z',
+  she:'SH IY', her:'HH ER',
+  it:'IH T', its:'IH T S',
+  we:'W IY', us:'AH S', our:'AW R',
+  they:'DH EY', them:'DH EH M', their:'DH EH R',
+  this:'DH IH S', that:'DH AE T', these:'DH IY Z', those:'DH OW Z',
+  what:'W AH T', which:'W IH CH', who:'HH UW', when:'W EH N', where:'W EH R', why:'W AY',
+  how:'HH AW', all:'AO L', any:'EH N IY', some:'S AH M',
+  one:'W AH N', two:'T UW', three:'TH R IY', four:'F AO R', five:'F AY V',
+  six:'S IH K S', seven:'S EH V AH N', eight:'EY T', nine:'N AY N', ten:'T EH N',
+  to:'T UW', too:'T UW', from:'F R AH M', of:'AH V', in:'IH N',
+  on:'AA N', at:'AE T', by:'B AY', for:'F AO R', with:'W IH TH',
+  about:'AH B AW T', into:'IH N T UW', through:'TH R UW',
+  not:'N AA T', no:'N OW', yes:'Y EH S', ok:'OW K EY', okay:'OW K EY',
+  hello:'HH AH L OW', hi:'HH AY', hey:'HH EY', bye:'B AY',
+  good:'G UH D', great:'G R EY T', well:'W EH L', right:'R AY T',
+  like:'L AY K', know:'N OW', think:'TH IH NG K', see:'S IY', go:'G OW',
+  time:'T AY M', way:'W EY', day:'D EY', said:'S EH D', come:'K AH M',
+  my:'M AY', me:'M IY', so:'S OW',
+  here:'HH IH R', there:'DH EH R', now:'N AW', just:'JH AH S T',
+  also:'AO L S OW', then:'DH EH N', than:'DH AE N', more:'M AO R',
+  very:'V EH R IY', really:'R IH L IY', little:'L IH T AH L',
+  people:'P IY P AH L', make:'M EY K', made:'M EY D',
+  new:'N UW', old:'OW L D', big:'B IH G', small:'S M AO L',
+  world:'W ER L D', life:'L AY F', name:'N EY M', back:'B AE K',
+  hand:'HH AE N D', part:'P AA R T', place:'P L EY S',
+  give:'G IH V', take:'T EY K', same:'S EY M',
+  after:'AE F T ER', before:'B IH F AO R', last:'L AE S T', long:'L AO NG',
+  first:'F ER S T', still:'S T IH L', down:'D AW N', own:'OW N',
+  work:'W ER K', over:'OW V ER', under:'AH N D ER',
+  learn:'L ER N', help:'HH EH L P', need:'N IY D', feel:'F IY L',
+  love:'L AH V', want:'W AA N T', use:'Y UW Z', try:'T R AY',
+  tell:'T EH L', ask:'AE S K', call:'K AO L', keep:'K IY P',
+  talk:'T AO K', turn:'T ER N', start:'S T AA R T', seem:'S IY M',
+  face:'F EY S', feet:'F IY T', mind:'M AY N D',
+  open:'OW P AH N', close:'K L OW Z', real:'R IY L', every:'EH V R IY',
+  something:'S AH M TH IH NG', nothing:'N AH TH IH NG', everything:'EH V R IY TH IH NG',
+  together:'T AH G EH DH ER', without:'W IH TH AW T', between:'B IH T W IY N',
+  never:'N EH V ER', always:'AO L W EY Z', often:'AO F AH N',
+  sentence:'S EH N T AH N S', language:'L AE NG G W AH JH',
+  important:'IH M P AO R T AH N T', different:'D IH F R AH N T',
+  avatar:'AE V AH T AA R', artificial:'AA R T AH F IH SH AH L',
+  intelligence:'IH N T EH L AH JH AH N S',
+  speaking:'S P IY K IH NG', talking:'T AO K IH NG', saying:'S EY IH NG',
+  typing:'T AY P IH NG', reading:'R IY D IH NG', writing:'R AY T IH NG',
+  using:'Y UW Z IH NG', looking:'L UH K IH NG', going:'G OW IH NG',
+
+  // ---------- ADDITIONAL COMMON WORDS (200+) ----------
+  able:'EY B AH L', above:'AH B AH V', abroad:'AH B R AO D',
+  accept:'AE K S EH P T', accident:'AE K S AH D AH N T', account:'AH K AW N T',
+  achieve:'AH CH IY V', across:'AH K R AO S', act:'AE K T',
+  active:'AE K T IH V', actual:'AE K CH UW AH L', add:'AE D',
+  address:'AH D R EH S', admit:'AH D M IH T', adult:'AH D AH L T',
+  affect:'AH F EH K T', afford:'AH F AO R D', after:'AE F T ER',
+  afternoon:'AE F T ER N UW N', again:'AH G EH N', against:'AH G EH N S T',
+  age:'EY JH', agency:'EY JH AH N S IY', agent:'EY JH AH N T',
+  ago:'AH G OW', agree:'AH G R IY', ahead:'AH HH EH D',
+  aid:'EY D', aim:'EY M', air:'EH R',
+  aircraft:'EH R K R AE F T', airline:'EH R L AY N', airport:'EH R P AO R T',
+  album:'AE L B AH M', alcohol:'AE L K AH HH AO L', alive:'AH L AY V',
+  allow:'AH L AW', almost:'AO L M OW S T', alone:'AH L OW N',
+  along:'AH L AO NG', already:'AO L R EH D IY', also:'AO L S OW',
+  although:'AO L DH OW', always:'AO L W EY Z', amazing:'AH M EY Z IH NG',
+  among:'AH M AH NG', amount:'AH M AW N T', ancient:'EY N SH AH N T',
+  anger:'AE NG G ER', angle:'AE NG G AH L', angry:'AE NG G R IY',
+  animal:'AE N AH M AH L', ankle:'AE NG K AH L', announce:'AH N AW N S',
+  annual:'AE N Y UW AH L', another:'AH N AH DH ER', answer:'AE N S ER',
+  anticipate:'AE N T IH S AH P EY T', anxiety:'AE NG Z AY AH T IY',
+  any:'EH N IY', anybody:'EH N IY B AA D IY', anymore:'EH N IY M AO R',
+  anyone:'EH N IY W AH N', anything:'EH N IY TH IH NG', anyway:'EH N IY W EY',
+  anywhere:'EH N IY W EH R', apart:'AH P AA R T', apartment:'AH P AA R T M AH N T',
+  appear:'AH P IH R', apple:'AE P AH L', apply:'AH P L AY',
+  approach:'AH P R OW CH', approve:'AH P R UW V', area:'EH R IY AH',
+  argue:'AA R G Y UW', arise:'AH R AY Z', arm:'AA R M',
+  army:'AA R M IY', around:'AH R AW N D', arrange:'AH R EY N JH',
+  arrest:'AH R EH S T', arrive:'AH R AY V', art:'AA R T',
+  article:'AA R T IH K AH L', artist:'AA R T IH S T', as:'AE Z',
+  ash:'AE SH', ask:'AE S K', asleep:'AH S L IY P',
+  aspect:'AE S P EH K T', assault:'AH S AO L T', assemble:'AH S EH M B AH L',
+  assess:'AH S EH S', asset:'AE S EH T', assign:'AH S AY N',
+  assist:'AH S IH S T', associate:'AH S OW S IY EY T', assume:'AH S UW M',
+  assure:'AH SH UH R', at:'AE T', athlete:'AE TH L IY T',
+  atmosphere:'AE T M AH S F IH R', atom:'AE T AH M', attach:'AH T AE CH',
+  attack:'AH T AE K', attempt:'AH T EH M P T', attend:'AH T EH N D',
+  attention:'AH T EH N SH AH N', attitude:'AE T AH T UW D', attorney:'AH T ER N IY',
+  attract:'AH T R AE K T', audience:'AO D IY AH N S', author:'AO TH ER',
+  authority:'AH TH AO R AH T IY', auto:'AO T OW', available:'AH V EY L AH B AH L',
+  average:'AE V R IH JH', avoid:'AH V OY D', award:'AH W AO R D',
+  aware:'AH W EH R', away:'AH W EY', awful:'AO F AH L',
+  baby:'B EY B IY', back:'B AE K', background:'B AE K G R AW N D',
+  bad:'B AE D', bag:'B AE G', bake:'B EY K',
+  balance:'B AE L AH N S', ball:'B AO L', ban:'B AE N',
+  band:'B AE N D', bank:'B AE NG K', bar:'B AA R',
+  bare:'B EH R', bargain:'B AA R G AH N', base:'B EY S',
+  basic:'B EY S IH K', basin:'B EY S AH N', basis:'B EY S IH S',
+  battle:'B AE T AH L', bay:'B EY', be:'B IY',
+  beach:'B IY CH', bear:'B EH R', beat:'B IY T',
+  beautiful:'B Y UW T AH F AH L', because:'B IH K AO Z', become:'B IH K AH M',
+  bed:'B EH D', bedroom:'B EH D R UW M', beer:'B IH R',
+  before:'B IH F AO R', begin:'B IH G IH N', behalf:'B IH HH AE F',
+  behave:'B IH HH EY V', behind:'B IH HH AY N D', believe:'B IH L IY V',
+  below:'B IH L OW', belt:'B EH L T', bench:'B EH N CH',
+  bend:'B EH N D', beneath:'B IH N IY TH', benefit:'B EH N AH F IH T',
+  beside:'B IH S AY D', besides:'B IH S AY D Z', best:'B EH S T',
+  bet:'B EH T', better:'B EH T ER', between:'B IH T W IY N',
+  beyond:'B IH Y AA N D', bible:'B AY B AH L', bicycle:'B AY S IH K AH L',
+  bid:'B IH D', big:'B IH G', bike:'B AY K',
+  bill:'B IH L', bin:'B IH N', bird:'B ER D',
+  birth:'B ER TH', birthday:'B ER TH D EY', bit:'B IH T',
+  bite:'B AY T', black:'B L AE K', blame:'B L EY M',
+  blank:'B L AE NG K', blind:'B L AY N D', block:'B L AA K',
+  blood:'B L AH D', blow:'B L OW', blue:'B L UW',
+  board:'B AO R D', boat:'B OW T', body:'B AA D IY',
+  boil:'B OY L', bomb:'B AA M', bond:'B AA N D',
+  bone:'B OW N', book:'B UH K', boom:'B UW M',
+  boot:'B UW T', border:'B AO R D ER', born:'B AO R N',
+  borrow:'B AA R OW', boss:'B AO S', both:'B OW TH',
+  bottle:'B AA T AH L', bottom:'B AA T AH M', bow:'B AW',
+  bowl:'B OW L', box:'B AA K S', boy:'B OY',
+  brain:'B R EY N', branch:'B R AE N CH', brave:'B R EY V',
+  bread:'B R EH D', break:'B R EY K', breakfast:'B R EH K F AH S T',
+  breast:'B R EH S T', breath:'B R EH TH', breathe:'B R IY DH',
+  brick:'B R IH K', bridge:'B R IH JH', brief:'B R IY F',
+  bright:'B R AY T', bring:'B R IH NG', broad:'B R AO D',
+  broadcast:'B R AO D K R AE S T', broke:'B R OW K', brother:'B R AH DH ER',
+  brown:'B R AW N', brush:'B R AH SH', budget:'B AH JH AH T',
+  build:'B IH L D', bullet:'B UH L AH T', bunch:'B AH N CH',
+  burden:'B ER D AH N', burn:'B ER N', burst:'B ER S T',
+  bury:'B EH R IY', bus:'B AH S', business:'B IH Z N AH S',
+  busy:'B IH Z IY', but:'B AH T', butter:'B AH T ER',
+  button:'B AH T AH N', buy:'B AY', by:'B AY',
+  cabin:'K AE B IH N', cabinet:'K AE B AH N AH T', cable:'K EY B AH L',
+  cage:'K EY JH', cake:'K EY K', calculate:'K AE L K Y AH L EY T',
+  call:'K AO L', calm:'K AA M', camera:'K AE M R AH',
+  camp:'K AE M P', campaign:'K AE M P EY N', campus:'K AE M P AH S',
+  can:'K AE N', canal:'K AH N AE L', cancel:'K AE N S AH L',
+  cancer:'K AE N S ER', candidate:'K AE N D AH D EY T', candle:'K AE N D AH L',
+  candy:'K AE N D IY', cap:'K AE P', capable:'K EY P AH B AH L',
+  capacity:'K AH P AE S AH T IY', capital:'K AE P AH T AH L', captain:'K AE P T AH N',
+  capture:'K AE P CH ER', car:'K AA R', carbon:'K AA R B AH N',
+  card:'K AA R D', care:'K EH R', career:'K AH R IH R',
+  careful:'K EH R F AH L', cargo:'K AA R G OW', carpet:'K AA R P AH T',
+  carriage:'K EH R IH JH', carry:'K EH R IY', cart:'K AA R T',
+  case:'K EY S', cash:'K AE SH', cassette:'K AH S EH T',
+  cast:'K AE S T', castle:'K AE S AH L', casual:'K AE ZH UW AH L',
+  cat:'K AE T', catalog:'K AE T AH L AO G', catch:'K AE CH',
+  category:'K AE T AH G AO R IY', cattle:'K AE T AH L', cause:'K AO Z',
+  cave:'K EY V', cease:'S IY S', ceiling:'S IY L IH NG',
+  celebrate:'S EH L AH B R EY T', cell:'S EH L', cellar:'S EH L ER',
+  cement:'S IH M EH N T', census:'S EH N S AH S', cent:'S EH N T',
+  center:'S EH N T ER', central:'S EH N T R AH L', century:'S EH N CH ER IY',
+  ceremony:'S EH R AH M OW N IY', certain:'S ER T AH N', chain:'CH EY N',
+  chair:'CH EH R', chairman:'CH EH R M AH N', challenge:'CH AE L AH N JH',
+  chamber:'CH EY M B ER', champion:'CH AE M P IY AH N', chance:'CH AE N S',
+  change:'CH EY N JH', channel:'CH AE N AH L', chapter:'CH AE P T ER',
+  character:'K EH R AH K T ER', charge:'CH AA R JH', charity:'CH EH R AH T IY',
+  chart:'CH AA R T', chase:'CH EY S', cheap:'CH IY P',
+  cheat:'CH IY T', check:'CH EH K', cheek:'CH IY K',
+  cheer:'CH IH R', cheese:'CH IY Z', chef:'SH EH F',
+  chemical:'K EH M IH K AH L', chest:'CH EH S T', chicken:'CH IH K AH N',
+  chief:'CH IY F', child:'CH AY L D', childhood:'CH AY L D HH UH D',
+  chip:'CH IH P', chocolate:'CH AA K L AH T', choice:'CH OY S',
+  choose:'CH UW Z', chronic:'K R AA N IH K', church:'CH ER CH',
+  cigarette:'S IH G AH R EH T', cinema:'S IH N AH M AH', circle:'S ER K AH L',
+  citizen:'S IH T AH Z AH N', city:'S IH T IY', civil:'S IH V AH L',
+  claim:'K L EY M', class:'K L AE S', classic:'K L AE S IH K',
+  classroom:'K L AE S R UW M', clean:'K L IY N', clear:'K L IH R',
+  clerk:'K L ER K', clever:'K L EH V ER', click:'K L IH K',
+  client:'K L AY AH N T', climate:'K L AY M AH T', climb:'K L AY M',
+  clinic:'K L IH N IH K', clock:'K L AA K', close:'K L OW Z',
+  cloth:'K L AO TH', clothes:'K L OW DH Z', clothing:'K L OW DH IH NG',
+  cloud:'K L AW D', club:'K L AH B', clue:'K L UW',
+  coach:'K OW CH', coal:'K OW L', coalition:'K OW AH L IH SH AH N',
+  coast:'K OW S T', coat:'K OW T', code:'K OW D',
+  coffee:'K AO F IY', cognitive:'K AA G N IH T IH V', coin:'K OY N',
+  cold:'K OW L D', collaborate:'K AH L AE B AH R EY T', collapse:'K AH L AE P S',
+  collar:'K AA L ER', colleague:'K AA L IY G', collect:'K AH L EH K T',
+  college:'K AA L IH JH', collision:'K AH L IH ZH AH N', color:'K AH L ER',
+  column:'K AA L AH M', combat:'K AA M B AE T', combination:'K AA M B AH N EY SH AH N',
+  combine:'K AH M B AY N', come:'K AH M', comedy:'K AA M AH D IY',
+  comfort:'K AH M F ER T', comic:'K AA M IH K', command:'K AH M AE N D',
+  comment:'K AA M EH N T', commerce:'K AA M ER S', commission:'K AH M IH SH AH N',
+  commit:'K AH M IH T', committee:'K AH M IH T IY', common:'K AA M AH N',
+  communicate:'K AH M Y UW N AH K EY T', community:'K AH M Y UW N AH T IY',
+  company:'K AH M P AH N IY', compare:'K AH M P EH R', compete:'K AH M P IY T',
+  competent:'K AA M P AH T AH N T', competition:'K AA M P AH T IH SH AH N',
+  complain:'K AH M P L EY N', complete:'K AH M P L IY T', complex:'K AA M P L EH K S',
+  component:'K AH M P OW N AH N T', compose:'K AH M P OW Z', composition:'K AA M P AH Z IH SH AH N',
+  compound:'K AA M P AW N D', comprehensive:'K AA M P R IH HH EH N S IH V',
+  comprise:'K AH M P R AY Z', computer:'K AH M P Y UW T ER', concentrate:'K AA N S AH N T R EY T',
+  concept:'K AA N S EH P T', concern:'K AH N S ER N', concert:'K AA N S ER T',
+  conclude:'K AH N K L UW D', concrete:'K AA N K R IY T', condition:'K AH N D IH SH AH N',
+  conduct:'K AH N D AH K T', conference:'K AA N F R AH N S', confess:'K AH N F EH S',
+  confidence:'K AA N F AH D AH N S', confirm:'K AH N F ER M', conflict:'K AA N F L IH K T',
+  confront:'K AH N F R AH N T', confuse:'K AH N F Y UW Z', congress:'K AA NG G R AH S',
+  connect:'K AH N EH K T', conscious:'K AA N SH AH S', consensus:'K AH N S EH N S AH S',
+  consequence:'K AA N S AH K W EH N S', consider:'K AH N S IH D ER', consist:'K AH N S IH S T',
+  consistent:'K AH N S IH S T AH N T', constant:'K AA N S T AH N T', constitute:'K AA N S T AH T UW T',
+  constitution:'K AA N S T AH T UW SH AH N', construct:'K AH N S T R AH K T', consult:'K AH N S AH L T',
+  consumer:'K AH N S UW M ER', contact:'K AA N T AE K T', contain:'K AH N T EY N',
+  contemporary:'K AH N T EH M P AH R EH R IY', content:'K AA N T EH N T', contest:'K AA N T EH S T',
+  context:'K AA N T EH K S T', continent:'K AA N T AH N AH N T', continue:'K AH N T IH N Y UW',
+  contract:'K AA N T R AE K T', contrast:'K AA N T R AE S T', contribute:'K AH N T R IH B Y UW T',
+  control:'K AH N T R OW L', convention:'K AH N V EH N SH AH N', conversation:'K AA N V ER S EY SH AH N',
+  convert:'K AH N V ER T', convince:'K AH N V IH N S', cook:'K UH K',
+  cookie:'K UH K IY', cool:'K UW L', cooperate:'K OW AA P ER EY T',
+  coordinate:'K OW AO R D AH N EY T', cop:'K AA P', cope:'K OW P',
+  copy:'K AA P IY', corner:'K AO R N ER', corporate:'K AO R P ER AH T',
+  correct:'K AH R EH K T', correspond:'K AO R AH S P AA N D', cost:'K AO S T',
+  cotton:'K AA T AH N', couch:'K AW CH', cough:'K AO F',
+  could:'K UH D', council:'K AW N S AH L', counsel:'K AW N S AH L',
+  count:'K AW N T', counter:'K AW N T ER', country:'K AH N T R IY',
+  county:'K AW N T IY', couple:'K AH P AH L', courage:'K ER IH JH',
+  course:'K AO R S', court:'K AO R T', cousin:'K AH Z AH N',
+  cover:'K AH V ER', cow:'K AW', crack:'K R AE K',
+  craft:'K R AE F T', crash:'K R AE SH', crazy:'K R EY Z IY',
+  cream:'K R IY M', create:'K R IY EY T', creative:'K R IY EY T IH V',
+  creature:'K R IY CH ER', credit:'K R EH D IH T', crew:'K R UW',
+  crime:'K R AY M', criminal:'K R IH M AH N AH L', crisis:'K R AY S IH S',
+  crisp:'K R IH S P', criteria:'K R AY T IH R IY AH', critic:'K R IH T IH K',
+  critical:'K R IH T IH K AH L', criticism:'K R IH T AH S IH Z AH M', criticize:'K R IH T AH S AY Z',
+  crop:'K R AA P', cross:'K R AO S', crowd:'K R AW D',
+  crown:'K R AW N', crucial:'K R UW SH AH L', crude:'K R UW D',
+  cruel:'K R UW AH L', cruise:'K R UW Z', crush:'K R AH SH',
+  cry:'K R AY', crystal:'K R IH S T AH L', cube:'K Y UW B',
+  cue:'K Y UW', cuisine:'K W IH Z IY N', cultivate:'K AH L T AH V EY T',
+  culture:'K AH L CH ER', cup:'K AH P', cupboard:'K AH B ER D',
+  curb:'K ER B', cure:'K Y UH R', curious:'K Y UH R IY AH S',
+  curl:'K ER L', current:'K ER AH N T', curriculum:'K ER IH K Y AH L AH M',
+  curse:'K ER S', curtain:'K ER T AH N', curve:'K ER V',
+  cushion:'K UH SH AH N', custom:'K AH S T AH M', customer:'K AH S T AH M ER',
+  cut:'K AH T', cycle:'S AY K AH L', dad:'D AE D',
+  daily:'D EY L IY', dairy:'D EH R IY', dam:'D AE M',
+  damage:'D AE M IH JH', damn:'D AE M', dance:'D AE N S',
+  danger:'D EY N JH ER', dark:'D AA R K', data:'D EY T AH',
+  date:'D EY T', daughter:'D AO T ER', dawn:'D AO N',
+  day:'D EY', dead:'D EH D', deal:'D IY L',
+  death:'D EH TH', debate:'D IH B EY T', debt:'D EH T',
+  decade:'D EH K EY D', decide:'D IH S AY D', decision:'D IH S IH ZH AH N',
+  deck:'D EH K', declare:'D IH K L EH R', decline:'D IH K L AY N',
+  decorate:'D EH K ER EY T', decrease:'D IH K R IY S', deep:'D IY P',
+  deer:'D IH R', defeat:'D IH F IY T', defend:'D IH F EH N D',
+  defense:'D IH F EH N S', define:'D IH F AY N', definite:'D EH F AH N AH T',
+  definition:'D EH F AH N IH SH AH N', degree:'D IH G R IY', delay:'D IH L EY',
+  delete:'D IH L IY T', delight:'D IH L AY T', deliver:'D IH L IH V ER',
+  delivery:'D IH L IH V ER IY', demand:'D IH M AE N D', democracy:'D IH M AA K R AH S IY',
+  demonstrate:'D EH M AH N S T R EY T', dense:'D EH N S', dentist:'D EH N T IH S T',
+  deny:'D IH N AY', depart:'D IH P AA R T', department:'D IH P AA R T M AH N T',
+  depend:'D IH P EH N D', deposit:'D IH P AA Z AH T', depress:'D IH P R EH S',
+  depth:'D EH P TH', deputy:'D EH P Y AH T IY', derive:'D IH R AY V',
+  descend:'D IH S EH N D', describe:'D IH S K R AY B', description:'D IH S K R IH P SH AH N',
+  desert:'D EH Z ER T', deserve:'D IH Z ER V', design:'D IH Z AY N',
+  desire:'D IH Z AY ER', desk:'D EH S K', despair:'D IH S P EH R',
+  despite:'D IH S P AY T', dessert:'D IH Z ER T', destination:'D EH S T AH N EY SH AH N',
+  destroy:'D IH S T R OY', destruction:'D IH S T R AH K SH AH N', detail:'D IH T EY L',
+  detect:'D IH T EH K T', determine:'D IH T ER M AH N', develop:'D IH V EH L AH P',
+  device:'D IH V AY S', devil:'D EH V AH L', devote:'D IH V OW T',
+  diagram:'D AY AH G R AE M', dial:'D AY AH L', dialogue:'D AY AH L AO G',
+  diamond:'D AY AH M AH N D', diary:'D AY ER IY', dictate:'D IH K T EY T',
+  dictionary:'D IH K SH AH N EH R IY', die:'D AY', diet:'D AY AH T',
+  differ:'D IH F ER', difference:'D IH F R AH N S', different:'D IH F R AH N T',
+  difficult:'D IH F AH K AH L T', difficulty:'D IH F AH K AH L T IY', dig:'D IH G',
+  digital:'D IH JH AH T AH L', dimension:'D IH M EH N SH AH N', dinner:'D IH N ER',
+  direct:'D IH R EH K T', direction:'D IH R EH K SH AH N', director:'D IH R EH K T ER',
+  dirt:'D ER T', dirty:'D ER T IY', disability:'D IH S AH B IH L AH T IY',
+  disadvantage:'D IH S AH D V AE N T IH JH', disagree:'D IH S AH G R IY',
+  disappear:'D IH S AH P IH R', disappoint:'D IH S AH P OY N T',
+  disaster:'D IH Z AE S T ER', discipline:'D IH S AH P L AH N', discuss:'D IH S K AH S',
+  discussion:'D IH S K AH SH AH N', disease:'D IH Z IY Z', disgust:'D IH S G AH S T',
+  dish:'D IH SH', dismiss:'D IH S M IH S', disorder:'D IH S AO R D ER',
+  display:'D IH S P L EY', dispute:'D IH S P Y UW T', distance:'D IH S T AH N S',
+  distant:'D IH S T AH N T', distinct:'D IH S T IH NG K T', distinguish:'D IH S T IH NG G W IH SH',
+  distribute:'D IH S T R IH B Y UW T', district:'D IH S T R IH K T', disturb:'D IH S T ER B',
+  dive:'D AY V', diverse:'D IH V ER S', divide:'D IH V AY D',
+  division:'D IH V IH ZH AH N', divorce:'D IH V AO R S', dizzy:'D IH Z IY',
+  do:'D UW', doctor:'D AA K T ER', document:'D AA K Y AH M AH N T',
+  dog:'D AO G', dollar:'D AA L ER', domain:'D OW M EY N',
+  domestic:'D AH M EH S T IH K', dominant:'D AA M AH N AH N T', dominate:'D AA M AH N EY T',
+  donate:'D OW N EY T', door:'D AO R', dose:'D OW S',
+  double:'D AH B AH L', doubt:'D AW T', down:'D AW N',
+  dozen:'D AH Z AH N', draft:'D R AE F T', drag:'D R AE G',
+  drama:'D R AA M AH', dramatic:'D R AH M AE T IH K', draw:'D R AO',
+  drawing:'D R AO IH NG', dream:'D R IY M', dress:'D R EH S',
+  drift:'D R IH F T', drill:'D R IH L', drink:'D R IH NG K',
+  drive:'D R AY V', driver:'D R AY V ER', drop:'D R AA P',
+  drug:'D R AH G', drum:'D R AH M', drunk:'D R AH NG K',
+  dry:'D R AY', duck:'D AH K', due:'D UW',
+  dull:'D AH L', dumb:'D AH M', dump:'D AH M P',
+  during:'D UH R IH NG', dust:'D AH S T', duty:'D UW T IY',
+  each:'IY CH', eager:'IY G ER', ear:'IH R',
+  early:'ER L IY', earn:'ER N', earth:'ER TH',
+  ease:'IY Z', east:'IY S T', easy:'IY Z IY',
+  eat:'IY T', echo:'EH K OW', economic:'EH K AH N AA M IH K',
+  economy:'IH K AA N AH M IY', edge:'EH JH', edition:'IH D IH SH AH N',
+  editor:'EH D IH T ER', educate:'EH JH AH K EY T', education:'EH JH AH K EY SH AH N',
+  effect:'IH F EH K T', effective:'IH F EH K T IH V', efficient:'IH F IH SH AH N T',
+  effort:'EH F ER T', egg:'EH G', eight:'EY T',
+  either:'AY DH ER', elaborate:'IH L AE B ER AH T', elastic:'IH L AE S T IH K',
+  elbow:'EH L B OW', elder:'EH L D ER', elect:'IH L EH K T',
+  election:'IH L EH K SH AH N', electric:'IH L EH K T R IH K', electricity:'IH L EH K T R IH S AH T IY',
+  electronic:'IH L EH K T R AA N IH K', elegant:'EH L AH G AH N T', element:'EH L AH M AH N T',
+  elephant:'EH L AH F AH N T', elevator:'EH L AH V EY T ER', eleven:'IH L EH V AH N',
+  eligible:'EH L IH JH AH B AH L', eliminate:'IH L IH M AH N EY T', else:'EH L S',
+  elsewhere:'EH L S W EH R', email:'IY M EY L', embarrass:'IH M B EH R AH S',
+  embassy:'EH M B AH S IY', embrace:'IH M B R EY S', emerge:'IH M ER JH',
+  emergency:'IH M ER JH AH N S IY', emotion:'IH M OW SH AH N', emotional:'IH M OW SH AH N AH L',
+  emphasis:'EH M F AH S IH S', emphasize:'EH M F AH S AY Z', empire:'EH M P AY ER',
+  employ:'IH M P L OY', employee:'IH M P L OY IY', employer:'IH M P L OY ER',
+  empty:'EH M P T IY', enable:'IH N EY B AH L', encounter:'IH N K AW N T ER',
+  encourage:'IH N K ER IH JH', end:'EH N D', enemy:'EH N AH M IY',
+  energy:'EH N ER JH IY', enforce:'IH N F AO R S', engage:'IH N G EY JH',
+  engine:'EH N JH AH N', engineer:'EH N JH AH N IH R', enhance:'IH N HH AE N S',
+  enjoy:'IH N JH OY', enormous:'IH N AO R M AH S', enough:'IH N AH F',
+  ensure:'IH N SH UH R', enter:'EH N T ER', enterprise:'EH N T ER P R AY Z',
+  entertainment:'EH N T ER T EY N M AH N T', entire:'IH N T AY ER', entrance:'EH N T R AH N S',
+  entry:'EH N T R IY', environment:'IH N V AY R AH N M AH N T', equal:'IY K W AH L',
+  equipment:'IH K W IH P M AH N T', equivalent:'IH K W IH V AH L AH N T', era:'IH R AH',
+  error:'EH R ER', escape:'IH S K EY P', especially:'IH S P EH SH AH L IY',
+  essay:'EH S EY', essential:'IH S EH N SH AH L', establish:'IH S T AE B L IH SH',
+  estate:'IH S T EY T', estimate:'EH S T AH M EY T', etc:'EH T S EH T ER AH',
+  ethnic:'EH TH N IH K', evaluate:'IH V AE L Y UW EY T', even:'IY V AH N',
+  evening:'IY V N IH NG', event:'IH V EH N T', eventually:'IH V EH N CH UW AH L IY',
+  ever:'EH V ER', every:'EH V R IY', evidence:'EH V AH D AH N S',
+  evil:'IY V AH L', exact:'IH G Z AE K T', exactly:'IH G Z AE K T L IY',
+  exam:'IH G Z AE M', examine:'IH G Z AE M AH N', example:'IH G Z AE M P AH L',
+  exceed:'IH K S IY D', excellent:'EH K S AH L AH N T', except:'IH K S EH P T',
+  exchange:'IH K S CH EY N JH', excite:'IH K S AY T', exciting:'IH K S AY T IH NG',
+  exclude:'IH K S K L UW D', excuse:'IH K S K Y UW Z', executive:'IH G Z EH K Y AH T IH V',
+  exercise:'EH K S ER S AY Z', exhibit:'IH G Z IH B IH T', exhibition:'EH K S AH B IH SH AH N',
+  exist:'IH G Z IH S T', exit:'EH K S IH T', expand:'IH K S P AE N D',
+  expect:'IH K S P EH K T', expense:'IH K S P EH N S', expensive:'IH K S P EH N S IH V',
+  experience:'IH K S P IH R IY AH N S', experiment:'IH K S P EH R AH M AH N T',
+  expert:'EH K S P ER T', explain:'IH K S P L EY N', explode:'IH K S P L OW D',
+  explore:'IH K S P L AO R', export:'EH K S P AO R T', expose:'IH K S P OW Z',
+  express:'IH K S P R EH S', extend:'IH K S T EH N D', extent:'IH K S T EH N T',
+  external:'IH K S T ER N AH L', extra:'EH K S T R AH', extract:'IH K S T R AE K T',
+  extreme:'IH K S T R IY M', eye:'AY', face:'F EY S',
+  facility:'F AH S IH L AH T IY', fact:'F AE K T', factor:'F AE K T ER',
+  factory:'F AE K T ER IY', faculty:'F AE K AH L T IY', fade:'F EY D',
+  fail:'F EY L', failure:'F EY L Y ER', fair:'F EH R',
+  fairy:'F EH R IY', faith:'F EY TH', fall:'F AO L',
+  false:'F AO L S', fame:'F EY M', family:'F AE M AH L IY',
+  famous:'F EY M AH S', fan:'F AE N', fancy:'F AE N S IY',
+  fantastic:'F AE N T AE S T IH K', fantasy:'F AE N T AH S IY', far:'F AA R',
+  farm:'F AA R M', farmer:'F AA R M ER', fashion:'F AE SH AH N',
+  fast:'F AE S T', fat:'F AE T', fate:'F EY T',
+  father:'F AA DH ER', fatigue:'F AH T IY G', fault:'F AO L T',
+  favor:'F EY V ER', favorite:'F EY V R IH T', fear:'F IH R',
+  feather:'F EH DH ER', feature:'F IY CH ER', federal:'F EH D ER AH L',
+  fee:'F IY', feed:'F IY D', feedback:'F IY D B AE K',
+  feel:'F IY L', feeling:'F IY L IH NG', fellow:'F EH L OW',
+  female:'F IY M EY L', fence:'F EH N S', festival:'F EH S T AH V AH L',
+  fetch:'F EH CH', fever:'F IY V ER', few:'F Y UW',
+  fiction:'F IH K SH AH N', field:'F IY L D', fierce:'F IH R S',
+  fifteen:'F IH F T IY N', fifth:'F IH F TH', fifty:'F IH F T IY',
+  fight:'F AY T', figure:'F IH G Y ER', file:'F AY L',
+  fill:'F IH L', film:'F IH L M', final:'F AY N AH L',
+  finally:'F AY N AH L IY', finance:'F AH N AE N S', find:'F AY N D',
+  fine:'F AY N', finger:'F IH NG G ER', finish:'F IH N IH SH',
+  fire:'F AY ER', firm:'F ER M', first:'F ER S T',
+  fish:'F IH SH', fishing:'F IH SH IH NG', fit:'F IH T',
+  fitness:'F IH T N AH S', five:'F AY V', fix:'F IH K S',
+  flag:'F L AE G', flame:'F L EY M', flash:'F L AE SH',
+  flat:'F L AE T', flavor:'F L EY V ER', flaw:'F L AO',
+  flesh:'F L EH SH', flight:'F L AY T', float:'F L OW T',
+  flood:'F L AH D', floor:'F L AO R', flour:'F L AW ER',
+  flow:'F L OW', flower:'F L AW ER', fly:'F L AY',
+  focus:'F OW K AH S', fog:'F AO G', fold:'F OW L D',
+  folk:'F OW K', follow:'F AA L OW', following:'F AA L OW IH NG',
+  food:'F UW D', foot:'F UH T', football:'F UH T B AO L',
+  for:'F AO R', force:'F AO R S', foreign:'F AO R AH N',
+  forest:'F AO R AH S T', forever:'F ER EH V ER', forget:'F ER G EH T',
+  forgive:'F ER G IH V', fork:'F AO R K', form:'F AO R M',
+  formal:'F AO R M AH L', former:'F AO R M ER', fortune:'F AO R CH AH N',
+  forty:'F AO R T IY', forward:'F AO R W ER D', fossil:'F AA S AH L',
+  foster:'F AO S T ER', found:'F AW N D', foundation:'F AW N D EY SH AH N',
+  fountain:'F AW N T AH N', four:'F AO R', fourteen:'F AO R T IY N',
+  fourth:'F AO R TH', frame:'F R EY M', framework:'F R EY M W ER K',
+  frank:'F R AE NG K', fraud:'F R AO D', free:'F R IY',
+  freedom:'F R IY D AH M', freeze:'F R IY Z', frequent:'F R IY K W AH N T',
+  fresh:'F R EH SH', friend:'F R EH N D', friendly:'F R EH N D L IY',
+  friendship:'F R EH N D SH IH P', from:'F R AH M', front:'F R AH N T',
+  fruit:'F R UW T', frustrate:'F R AH S T R EY T', fry:'F R AY',
+  fuel:'F Y UW AH L', full:'F UH L', fun:'F AH N',
+  function:'F AH NG K SH AH N', fund:'F AH N D', fundamental:'F AH N D AH M EH N T AH L',
+  funeral:'F Y UW N ER AH L', funny:'F AH N IY', fur:'F ER',
+  furniture:'F ER N IH CH ER', further:'F ER DH ER', future:'F Y UW CH ER',
+  gain:'G EY N', game:'G EY M', gang:'G AE NG',
+  gap:'G AE P', garage:'G AH R AA ZH', garden:'G AA R D AH N',
+  gas:'G AE S', gate:'G EY T', gather:'G AE DH ER',
+  gay:'G EY', gaze:'G EY Z', gear:'G IH R',
+  gender:'JH EH N D ER', gene:'JH IY N', general:'JH EH N ER AH L',
+  generate:'JH EH N ER EY T', generation:'JH EH N ER EY SH AH N', genetic:'JH AH N EH T IH K',
+  gentle:'JH EH N T AH L', gentleman:'JH EH N T AH L M AH N', genuine:'JH EH N Y UW AH N',
+  geography:'JH IY AA G R AH F IY', gesture:'JH EH S CH ER', get:'G EH T',
+  ghost:'G OW S T', giant:'JH AY AH N T', gift:'G IH F T',
+  girl:'G ER L', give:'G IH V', glad:'G L AE D',
+  glance:'G L AE N S', glass:'G L AE S', glimpse:'G L IH M P S',
+  global:'G L OW B AH L', glory:'G L AO R IY', glove:'G L AH V',
+  go:'G OW', goal:'G OW L', god:'G AA D',
+  gold:'G OW L D', golden:'G OW L D AH N', good:'G UH D',
+  government:'G AH V ER N M AH N T', grab:'G R AE B', grace:'G R EY S',
+  grade:'G R EY D', gradually:'G R AE JH UW AH L IY', graduate:'G R AE JH UW EY T',
+  grain:'G R EY N', grand:'G R AE N D', grandfather:'G R AE N D F AA DH ER',
+  grandmother:'G R AE N D M AH DH ER', grant:'G R AE N T', grass:'G R AE S',
+  grateful:'G R EY T F AH L', grave:'G R EY V', gray:'G R EY',
+  great:'G R EY T', green:'G R IY N', greet:'G R IY T',
+  grew:'G R UW', ground:'G R AW N D', group:'G R UW P',
+  grow:'G R OW', growth:'G R OW TH', guarantee:'G EH R AH N T IY',
+  guard:'G AA R D', guess:'G EH S', guest:'G EH S T',
+  guide:'G AY D', guilty:'G IH L T IY', guitar:'G IH T AA R',
+  gun:'G AH N', guy:'G AY', gym:'JH IH M',
+  habit:'HH AE B AH T', hair:'HH EH R', half:'HH AE F',
+  hall:'HH AO L', hand:'HH AE N D', handle:'HH AE N D AH L',
+  hang:'HH AE NG', happen:'HH AE P AH N', happy:'HH AE P IY',
+  hard:'HH AA R D', hardly:'HH AA R D L IY', harm:'HH AA R M',
+  hat:'HH AE T', hate:'HH EY T', have:'HH AE V',
+  he:'HH IY', head:'HH EH D', health:'HH EH L TH',
+  healthy:'HH EH L TH IY', hear:'HH IH R', heart:'HH AA R T',
+  heat:'HH IY T', heaven:'HH EH V AH N', heavy:'HH EH V IY',
+  height:'HH AY T', hell:'HH EH L', hello:'HH AH L OW',
+  help:'HH EH L P', hence:'HH EH N S', her:'HH ER',
+  here:'HH IH R', hero:'HH IH R OW', herself:'HH ER S EH L F',
+  hesitate:'HH EH Z AH T EY T', hi:'HH AY', hide:'HH AY D',
+  high:'HH AY', highlight:'HH AY L AY T', highway:'HH AY W EY',
+  hill:'HH IH L', him:'HH IH M', himself:'HH IH M S EH L F',
+  hip:'HH IH P', hire:'HH AY ER', his:'HH IH Z',
+  history:'HH IH S T ER IY', hit:'HH IH T', hold:'HH OW L D',
+  hole:'HH OW L', holiday:'HH AA L AH D EY', home:'HH OW M',
+  homework:'HH OW M W ER K', honest:'AA N IH S T', hope:'HH OW P',
+  horror:'HH AO R ER', horse:'HH AO R S', hospital:'HH AA S P IH T AH L',
+  host:'HH OW S T', hot:'HH AA T', hotel:'HH OW T EH L',
+  hour:'AW ER', house:'HH AW S', housing:'HH AW Z IH NG',
+  how:'HH AW', however:'HH AW EH V ER', huge:'HH Y UW JH',
+  human:'HH Y UW M AH N', humor:'HH Y UW M ER', hundred:'HH AH N D R AH D',
+  hungry:'HH AH NG G R IY', hunt:'HH AH N T', hurry:'HH ER IY',
+  hurt:'HH ER T', husband:'HH AH Z B AH N D', ice:'AY S',
+  idea:'AY D IY AH', ideal:'AY D IY AH L', identify:'AY D EH N T AH F AY',
+  identity:'AY D EH N T AH T IY', ignore:'IH G N AO R', ill:'IH L',
+  illegal:'IH L IY G AH L', illness:'IH L N AH S', image:'IH M AH JH',
+  imagine:'IH M AE JH AH N', immediate:'IH M IY D IY AH T', immense:'IH M EH N S',
+  immigrant:'IH M AH G R AH N T', impact:'IH M P AE K T', import:'IH M P AO R T',
+  important:'IH M P AO R T AH N T', impose:'IH M P OW Z', impossible:'IH M P AA S AH B AH L',
+  impress:'IH M P R EH S', impression:'IH M P R EH SH AH N', improve:'IH M P R UW V',
+  in:'IH N', inch:'IH N CH', incident:'IH N S AH D AH N T',
+  include:'IH N K L UW D', including:'IH N K L UW D IH NG', income:'IH N K AH M',
+  increase:'IH N K R IY S', indeed:'IH N D IY D', independent:'IH N D IH P EH N D AH N T',
+  index:'IH N D EH K S', indicate:'IH N D AH K EY T', individual:'IH N D AH V IH JH UW AH L',
+  indoor:'IH N D AO R', industry:'IH N D AH S T R IY', infant:'IH N F AH N T',
+  infect:'IH N F EH K T', inflation:'IH N F L EY SH AH N', influence:'IH N F L UW AH N S',
+  inform:'IH N F AO R M', information:'IH N F ER M EY SH AH N', initial:'IH N IH SH AH L',
+  injury:'IH N JH ER IY', ink:'IH NG K', inner:'IH N ER',
+  innocent:'IH N AH S AH N T', innovation:'IH N AH V EY SH AH N', input:'IH N P UH T',
+  inquiry:'IH N K W AY R IY', insect:'IH N S EH K T', inside:'IH N S AY D',
+  insight:'IH N S AY T', insist:'IH N S IH S T', inspect:'IH N S P EH K T',
+  inspire:'IH N S P AY ER', install:'IH N S T AO L', instance:'IH N S T AH N S',
+  instead:'IH N S T EH D', institute:'IH N S T AH T UW T', institution:'IH N S T AH T UW SH AH N',
+  instruct:'IH N S T R AH K T', instruction:'IH N S T R AH K SH AH N', instrument:'IH N S T R AH M AH N T',
+  insurance:'IH N SH UH R AH N S', intelligence:'IH N T EH L AH JH AH N S', intend:'IH N T EH N D',
+  intense:'IH N T EH N S', intention:'IH N T EH N SH AH N', interest:'IH N T R AH S T',
+  interesting:'IH N T R AH S T IH NG', internal:'IH N T ER N AH L', international:'IH N T ER N AE SH AH N AH L',
+  internet:'IH N T ER N EH T', interview:'IH N T ER V Y UW', into:'IH N T UW',
+  introduce:'IH N T R AH D UW S', invention:'IH N V EH N SH AH N', invest:'IH N V EH S T',
+  investigate:'IH N V EH S T AH G EY T', investment:'IH N V EH S T M AH N T', invite:'IH N V AY T',
+  involve:'IH N V AA L V', iron:'AY ER N', island:'AY L AH N D',
+  issue:'IH SH UW', it:'IH T', item:'AY T AH M',
+  its:'IH T S', itself:'IH T S EH L F', jacket:'JH AE K AH T',
+  job:'JH AA B', join:'JH OY N', joke:'JH OW K',
+  journey:'JH ER N IY', joy:'JH OY', judge:'JH AH JH',
+  juice:'JH UW S', jump:'JH AH M P', just:'JH AH S T',
+  keep:'K IY P', key:'K IY', kick:'K IH K',
+  kid:'K IH D', kill:'K IH L', kind:'K AY N D',
+  king:'K IH NG', kiss:'K IH S', kitchen:'K IH CH AH N',
+  knee:'N IY', knife:'N AY F', knock:'N AA K',
+  know:'N OW', knowledge:'N AA L IH JH', lab:'L AE B',
+  lack:'L AE K', lady:'L EY D IY', lake:'L EY K',
+  land:'L AE N D', language:'L AE NG G W AH JH', large:'L AA R JH',
+  last:'L AE S T', late:'L EY T', later:'L EY T ER',
+  laugh:'L AE F', law:'L AO', lawyer:'L AO Y ER',
+  lay:'L EY', layer:'L EY ER', lead:'L IY D',
+  leader:'L IY D ER', leaf:'L IY F', league:'L IY G',
+  learn:'L ER N', least:'L IY S T', leather:'L EH DH ER',
+  leave:'L IY V', lecture:'L EH K CH ER', left:'L EH F T',
+  leg:'L EH G', legal:'L IY G AH L', legend:'L EH JH AH N D',
+  leisure:'L IY ZH ER', lemon:'L EH M AH N', lend:'L EH N D',
+  length:'L EH NG K TH', less:'L EH S', lesson:'L EH S AH N',
+  let:'L EH T', letter:'L EH T ER', level:'L EH V AH L',
+  library:'L AY B R EH R IY', license:'L AY S AH N S', lie:'L AY',
+  life:'L AY F', lifestyle:'L AY F S T AY L', lifetime:'L AY F T AY M',
+  lift:'L IH F T', light:'L AY T', like:'L AY K',
+  likely:'L AY K L IY', limit:'L IH M AH T', line:'L AY N',
+  link:'L IH NG K', lip:'L IH P', list:'L IH S T',
+  listen:'L IH S AH N', literature:'L IH T ER AH CH ER', little:'L IH T AH L',
+  live:'L IH V', load:'L OW D', loan:'L OW N',
+  local:'L OW K AH L', locate:'L OW K EY T', location:'L OW K EY SH AH N',
+  lock:'L AA K', logic:'L AA JH IH K', logical:'L AA JH IH K AH L',
+  lonely:'L OW N L IY', long:'L AO NG', look:'L UH K',
+  loose:'L UW S', lord:'L AO R D', lose:'L UW Z',
+  loss:'L AO S', lost:'L AO S T', lot:'L AA T',
+  loud:'L AW D', love:'L AH V', lovely:'L AH V L IY',
+  low:'L OW', luck:'L AH K', lucky:'L AH K IY',
+  lunch:'L AH N CH', lung:'L AH NG', machine:'M AH SH IY N',
+  mad:'M AE D', magazine:'M AE G AH Z IY N', magic:'M AE JH IH K',
+  mail:'M EY L', main:'M EY N', maintain:'M EY N T EY N',
+  major:'M EY JH ER', majority:'M AH JH AO R AH T IY', make:'M EY K',
+  male:'M EY L', mall:'M AO L', man:'M AE N',
+  manage:'M AE N IH JH', manager:'M AE N IH JH ER', manner:'M AE N ER',
+  manufacturer:'M AE N Y AH F AE K CH ER ER', many:'M EH N IY', map:'M AE P',
+  march:'M AA R CH', mark:'M AA R K', market:'M AA R K AH T',
+  marriage:'M EH R IH JH', marry:'M EH R IY', mask:'M AE S K',
+  mass:'M AE S', master:'M AE S T ER', match:'M AE CH',
+  material:'M AH T IH R IY AH L', math:'M AE TH', matter:'M AE T ER',
+  maximum:'M AE K S AH M AH M', may:'M EY', maybe:'M EY B IY',
+  mayor:'M EY ER', me:'M IY', meal:'M IY L',
+  mean:'M IY N', meaning:'M IY N IH NG', means:'M IY N Z',
+  measure:'M EH ZH ER', meat:'M IY T', media:'M IY D IY AH',
+  medical:'M EH D IH K AH L', medicine:'M EH D AH S AH N', medium:'M IY D IY AH M',
+  meet:'M IY T', meeting:'M IY T IH NG', member:'M EH M B ER',
+  memory:'M EH M ER IY', mental:'M EH N T AH L', mention:'M EH N SH AH N',
+  menu:'M EH N Y UW', mere:'M IH R', message:'M EH S IH JH',
+  metal:'M EH T AH L', method:'M EH TH AH D', middle:'M IH D AH L',
+  might:'M AY T', mile:'M AY L', military:'M IH L AH T EH R IY',
+  milk:'M IH L K', mind:'M AY N D', mine:'M AY N',
+  mineral:'M IH N ER AH L', minimum:'M IH N AH M AH M', minister:'M IH N AH S T ER',
+  minor:'M AY N ER', minority:'M AH N AO R AH T IY', minute:'M IH N AH T',
+  mirror:'M IH R ER', miss:'M IH S', mission:'M IH SH AH N',
+  mistake:'M IH S T EY K', mix:'M IH K S', mixture:'M IH K S CH ER',
+  mobile:'M OW B AH L', mode:'M OW D', model:'M AA D AH L',
+  modern:'M AA D ER N', modest:'M AA D AH S T', mom:'M AA M',
+  moment:'M OW M AH N T', money:'M AH N IY', monitor:'M AA N AH T ER',
+  month:'M AH N TH', mood:'M UW D', moon:'M UW N',
+  moral:'M AO R AH L', more:'M AO R', morning:'M AO R N IH NG',
+  mortgage:'M AO R G IH JH', most:'M OW S T', mother:'M AH DH ER',
+  motion:'M OW SH AH N', motivation:'M OW T AH V EY SH AH N', motor:'M OW T ER',
+  mountain:'M AW N T AH N', mouse:'M AW S', mouth:'M AW TH',
+  move:'M UW V', movement:'M UW V M AH N T', movie:'M UW V IY',
+  much:'M AH CH', multiple:'M AH L T AH P AH L', multiply:'M AH L T AH P L AY',
+  muscle:'M AH S AH L', museum:'M Y UW Z IY AH M', music:'M Y UW Z IH K',
+  musical:'M Y UW Z IH K AH L', must:'M AH S T', my:'M AY',
+  myself:'M AY S EH L F', mystery:'M IH S T ER IY', myth:'M IH TH',
+  nail:'N EY L', name:'N EY M', narrow:'N EH R OW',
+  nation:'N EY SH AH N', national:'N AE SH AH N AH L', native:'N EY T IH V',
+  natural:'N AE CH ER AH L', nature:'N EY CH ER', near:'N IH R',
+  nearly:'N IH R L IY', necessary:'N EH S AH S EH R IY', neck:'N EH K',
+  need:'N IY D', negative:'N EH G AH T IH V', neighbor:'N EY B ER',
+  neither:'N IY DH ER', nervous:'N ER V AH S', net:'N EH T',
+  network:'N EH T W ER K', never:'N EH V ER', new:'N UW',
+  news:'N UW Z', newspaper:'N UW Z P EY P ER', next:'N EH K S T',
+  nice:'N AY S', night:'N AY T', no:'N OW',
+  nobody:'N OW B AA D IY', noise:'N OY Z', none:'N AH N',
+  nor:'N AO R', normal:'N AO R M AH L', north:'N AO R TH',
+  nose:'N OW Z', not:'N AA T', note:'N OW T',
+  nothing:'N AH TH IH NG', notice:'N OW T IH S', novel:'N AA V AH L',
+  now:'N AW', nowhere:'N OW W EH R', nuclear:'N UW K L IY ER',
+  number:'N AH M B ER', numerous:'N UW M ER AH S', nurse:'N ER S',
+  nut:'N AH T', object:'AA B JH EH K T', objective:'AH B JH EH K T IH V',
+  obligation:'AA B L AH G EY SH AH N', observation:'AA B Z ER V EY SH AH N', observe:'AH B Z ER V',
+  obtain:'AH B T EY N', obvious:'AA B V IY AH S', occasion:'AH K EY ZH AH N',
+  occupation:'AA K Y AH P EY SH AH N', occur:'AH K ER', ocean:'OW SH AH N',
+  odd:'AA D', of:'AH V', off:'AO F',
+  offense:'AH F EH N S', offer:'AO F ER', office:'AO F AH S',
+  officer:'AO F AH S ER', official:'AH F IH SH AH L', often:'AO F AH N',
+  oil:'OY L', okay:'OW K EY', old:'OW L D',
+  on:'AA N', once:'W AH N S', one:'W AH N',
+  only:'OW N L IY', onto:'AA N T UW', open:'OW P AH N',
+  operate:'AA P ER EY T', operation:'AA P ER EY SH AH N', opinion:'AH P IH N Y AH N',
+  opportunity:'AA P ER T UW N AH T IY', oppose:'AH P OW Z', option:'AA P SH AH N',
+  or:'AO R', orange:'AO R AH N JH', order:'AO R D ER',
+  ordinary:'AO R D AH N EH R IY', organization:'AO R G AH N AH Z EY SH AH N',
+  organize:'AO R G AH N AY Z', origin:'AO R AH JH AH N', other:'AH DH ER',
+  otherwise:'AH DH ER W AY Z', ought:'AO T', our:'AW R',
+  ourselves:'AW R S EH L V Z', out:'AW T', outcome:'AW T K AH M',
+  outside:'AW T S AY D', over:'OW V ER', overall:'OW V ER AO L',
+  own:'OW N', owner:'OW N ER', pace:'P EY S',
+  pack:'P AE K', package:'P AE K IH JH', page:'P EY JH',
+  pain:'P EY N', paint:'P EY N T', painting:'P EY N T IH NG',
+  pair:'P EH R', palace:'P AE L AH S', pale:'P EY L',
+  palm:'P AA M', pan:'P AE N', panel:'P AE N AH L',
+  panic:'P AE N IH K', paper:'P EY P ER', parent:'P EH R AH N T',
+  park:'P AA R K', part:'P AA R T', particular:'P ER T IH K Y AH L ER',
+  partly:'P AA R T L IY', partner:'P AA R T N ER', party:'P AA R T IY',
+  pass:'P AE S', passage:'P AE S IH JH', passenger:'P AE S AH N JH ER',
+  passion:'P AE SH AH N', past:'P AE S T', path:'P AE TH',
+  patient:'P EY SH AH N T', pattern:'P AE T ER N', pause:'P AO Z',
+  pay:'P EY', payment:'P EY M AH N T', peace:'P IY S',
+  peak:'P IY K', pedestrian:'P AH D EH S T R IY AH N', pen:'P EH N',
+  penalty:'P EH N AH L T IY', pencil:'P EH N S AH L', people:'P IY P AH L',
+  pepper:'P EH P ER', per:'P ER', percent:'P ER S EH N T',
+  perfect:'P ER F EH K T', perform:'P ER F AO R M', performance:'P ER F AO R M AH N S',
+  perhaps:'P ER HH AE P S', period:'P IH R IY AH D', permanent:'P ER M AH N AH N T',
+  permission:'P ER M IH SH AH N', person:'P ER S AH N', personal:'P ER S AH N AH L',
+  personality:'P ER S AH N AE L AH T IY', perspective:'P ER S P EH K T IH V', persuade:'P ER S W EY D',
+  pet:'P EH T', phase:'F EY Z', phenomenon:'F AH N AA M AH N AA N',
+  philosophy:'F AH L AA S AH F IY', phone:'F OW N', photo:'F OW T OW',
+  phrase:'F R EY Z', physical:'F IH Z IH K AH L', piano:'P IY AE N OW',
+  pick:'P IH K', picture:'P IH K CH ER', piece:'P IY S',
+  pig:'P IH G', pile:'P AY L', pilot:'P AY L AH T',
+  pin:'P IH N', pink:'P IH NG K', pipe:'P AY P',
+  pitch:'P IH CH', place:'P L EY S', plain:'P L EY N',
+  plan:'P L AE N', plane:'P L EY N', planet:'P L AE N AH T',
+  plant:'P L AE N T', plastic:'P L AE S T IH K', plate:'P L EY T',
+  platform:'P L AE T F AO R M', play:'P L EY', player:'P L EY ER',
+  pleasant:'P L EH Z AH N T', please:'P L IY Z', pleasure:'P L EH ZH ER',
+  plenty:'P L EH N T IY', plot:'P L AA T', poem:'P OW AH M',
+  poet:'P OW AH T', poetry:'P OW AH T R IY', point:'P OY N T',
+  police:'P AH L IY S', policy:'P AA L AH S IY', political:'P AH L IH T AH K AH L',
+  politics:'P AA L AH T IH K S', pollution:'P AH L UW SH AH N', pool:'P UW L',
+  poor:'P UH R', pop:'P AA P', popular:'P AA P Y AH L ER',
+  population:'P AA P Y AH L EY SH AH N', port:'P AO R T', portion:'P AO R SH AH N',
+  portrait:'P AO R T R AH T', position:'P AH Z IH SH AH N', positive:'P AA Z AH T IH V',
+  possess:'P AH Z EH S', possible:'P AA S AH B AH L', possibly:'P AA S AH B L IY',
+  post:'P OW S T', pot:'P AA T', potato:'P AH T EY T OW',
+  potential:'P AH T EH N SH AH L', pound:'P AW N D', pour:'P AO R',
+  poverty:'P AA V ER T IY', powder:'P AW D ER', power:'P AW ER',
+  powerful:'P AW ER F AH L', practical:'P R AE K T IH K AH L', practice:'P R AE K T IH S',
+  praise:'P R EY Z', pray:'P R EY', prayer:'P R EH R',
+  predict:'P R IH D IH K T', prefer:'P R IH F ER', pregnancy:'P R EH G N AH N S IY',
+  pregnant:'P R EH G N AH N T', preparation:'P R EH P ER EY SH AH N', prepare:'P R IH P EH R',
+  presence:'P R EH Z AH N S', present:'P R EH Z AH N T', preserve:'P R IH Z ER V',
+  president:'P R EH Z AH D AH N T', press:'P R EH S', pressure:'P R EH SH ER',
+  pretend:'P R IH T EH N D', pretty:'P R IH T IY', prevent:'P R IH V EH N T',
+  previous:'P R IY V IY AH S', price:'P R AY S', pride:'P R AY D',
+  priest:'P R IY S T', primarily:'P R AY M EH R AH L IY', primary:'P R AY M EH R IY',
+  prime:'P R AY M', prince:'P R IH N S', princess:'P R IH N S EH S',
+  principal:'P R IH N S AH P AH L', principle:'P R IH N S AH P AH L', print:'P R IH N T',
+  prior:'P R AY ER', priority:'P R AY AO R AH T IY', prison:'P R IH Z AH N',
+  prisoner:'P R IH Z AH N ER', private:'P R AY V AH T', prize:'P R AY Z',
+  probably:'P R AA B AH B L IY', problem:'P R AA B L AH M', procedure:'P R AH S IY JH ER',
+  process:'P R AA S EH S', produce:'P R AH D UW S', product:'P R AA D AH K T',
+  production:'P R AH D AH K SH AH N', profession:'P R AH F EH SH AH N', professional:'P R AH F EH SH AH N AH L',
+  professor:'P R AH F EH S ER', profile:'P R OW F AY L', profit:'P R AA F IH T',
+  program:'P R OW G R AE M', progress:'P R AA G R EH S', project:'P R AA JH EH K T',
+  promise:'P R AA M IH S', promote:'P R AH M OW T', prompt:'P R AA M P T',
+  proof:'P R UW F', proper:'P R AA P ER', property:'P R AA P ER T IY',
+  proposal:'P R AH P OW Z AH L', propose:'P R AH P OW Z', protect:'P R AH T EH K T',
+  protection:'P R AH T EH K SH AH N', protein:'P R OW T IY N', protest:'P R AH T EH S T',
+  proud:'P R AW D', prove:'P R UW V', provide:'P R AH V AY D',
+  provider:'P R AH V AY D ER', province:'P R AA V AH N S', provision:'P R AH V IH ZH AH N',
+  psychological:'S AY K AH L AA JH IH K AH L', public:'P AH B L IH K', publication:'P AH B L IH K EY SH AH N',
+  publish:'P AH B L IH SH', pull:'P UH L', pulse:'P AH L S',
+  pump:'P AH M P', punch:'P AH N CH', punish:'P AH N IH SH',
+  punishment:'P AH N IH SH M AH N T', purchase:'P ER CH AH S', pure:'P Y UH R',
+  purpose:'P ER P AH S', purse:'P ER S', push:'P UH S',
+  put:'P UH T', qualify:'K W AA L AH F AY', quality:'K W AA L AH T IY',
+  quantity:'K W AA N T AH T IY', quarter:'K W AO R T ER', queen:'K W IY N',
+  question:'K W EH S CH AH N', quick:'K W IH K', quiet:'K W AY AH T',
+  quit:'K W IH T', quite:'K W AY T', quote:'K W OW T',
+  race:'R EY S', radio:'R EY D IY OW', rail:'R EY L',
+  railway:'R EY L W EY', rain:'R EY N', raise:'R EY Z',
+  range:'R EY N JH', rank:'R AE NG K', rapid:'R AE P IH D',
+  rare:'R EH R', rate:'R EY T', rather:'R AE DH ER',
+  ratio:'R EY SH IY OW', raw:'R AO', reach:'R IY CH',
+  react:'R IY AE K T', reaction:'R IY AE K SH AH N', read:'R IY D',
+  reader:'R IY D ER', reading:'R IY D IH NG', ready:'R EH D IY',
+  real:'R IY L', reality:'R IY AE L AH T IY', realize:'R IY AH L AY Z',
+  really:'R IH L IY', reason:'R IY Z AH N', reasonable:'R IY Z AH N AH B AH L',
+  recall:'R IH K AO L', receive:'R IH S IY V', recent:'R IY S AH N T',
+  recipe:'R EH S AH P IY', recognize:'R EH K AH G N AY Z', recommend:'R EH K AH M EH N D',
+  record:'R EH K ER D', recover:'R IH K AH V ER', red:'R EH D',
+  reduce:'R IH D UW S', refer:'R IH F ER', reference:'R EH F ER AH N S',
+  reflect:'R IH F L EH K T', reform:'R IH F AO R M', refresh:'R IH F R EH SH',
+  refrigerator:'R IH F R IH JH ER EY T ER', refuse:'R IH F Y UW Z', regard:'R IH G AA R D',
+  region:'R IY JH AH N', register:'R EH JH IH S T ER', regret:'R IH G R EH T',
+  regular:'R EH G Y AH L ER', regulation:'R EH G Y AH L EY SH AH N', reject:'R IH JH EH K T',
+  relate:'R IH L EY T', relation:'R IH L EY SH AH N', relationship:'R IH L EY SH AH N SH IH P',
+  relative:'R EH L AH T IH V', relax:'R IH L AE K S', release:'R IH L IY S',
+  relevant:'R EH L AH V AH N T', relief:'R IH L IY F', religion:'R IH L IH JH AH N',
+  religious:'R IH L IH JH AH S', rely:'R IH L AY', remain:'R IH M EY N',
+  remember:'R IH M EH M B ER', remind:'R IH M AY N D', remove:'R IH M UW V',
+  rent:'R EH N T', repair:'R IH P EH R', repeat:'R IH P IY T',
+  replace:'R IH P L EY S', reply:'R IH P L AY', report:'R IH P AO R T',
+  represent:'R EH P R IH Z EH N T', republic:'R IH P AH B L IH K', reputation:'R EH P Y AH T EY SH AH N',
+  request:'R IH K W EH S T', require:'R IH K W AY ER', rescue:'R EH S K Y UW',
+  research:'R IY S ER CH', reserve:'R IH Z ER V', resident:'R EH Z AH D AH N T',
+  resist:'R IH Z IH S T', resolve:'R IH Z AA L V', resort:'R IH Z AO R T',
+  resource:'R IY S AO R S', respect:'R IH S P EH K T', respond:'R IH S P AA N D',
+  response:'R IH S P AA N S', responsibility:'R IH S P AA N S AH B IH L AH T IY', rest:'R EH S T',
+  restaurant:'R EH S T R AH AA N T', restore:'R IH S T AO R', restrict:'R IH S T R IH K T',
+  result:'R IH Z AH L T', retain:'R IH T EY N', retire:'R IH T AY ER',
+  return:'R IH T ER N', reveal:'R IH V IY L', revenue:'R EH V AH N UW',
+  reverse:'R IH V ER S', review:'R IH V Y UW', revolution:'R EH V AH L UW SH AH N',
+  reward:'R IH W AO R D', rhythm:'R IH DH AH M', rice:'R AY S',
+  rich:'R IH CH', ride:'R AY D', ridiculous:'R IH D IH K Y AH L AH S',
+  right:'R AY T', ring:'R IH NG', ripe:'R AY P',
+  rise:'R AY Z', risk:'R IH S K', river:'R IH V ER',
+  road:'R OW D', rob:'R AA B', rock:'R AA K',
+  role:'R OW L', roll:'R OW L', roof:'R UW F',
+  room:'R UW M', root:'R UW T', rope:'R OW P',
+  rose:'R OW Z', rough:'R AH F', round:'R AW N D',
+  route:'R UW T', routine:'R UW T IY N', row:'R OW',
+  royal:'R OY AH L', rub:'R AH B', rubber:'R AH B ER',
+  rude:'R UW D', rule:'R UW L', ruler:'R UW L ER',
+  run:'R AH N', rural:'R UH R AH L', rush:'R AH SH',
+  sad:'S AE D', safe:'S EY F', safety:'S EY F T IY',
+  sail:'S EY L', sake:'S EY K', salad:'S AE L AH D',
+  salary:'S AE L ER IY', sale:'S EY L', salt:'S AO L T',
+  same:'S EY M', sample:'S AE M P AH L', sand:'S AE N D',
+  satellite:'S AE T AH L AY T', satisfaction:'S AE T IH S F AE K SH AH N', satisfy:'S AE T IH S F AY',
+  save:'S EY V', say:'S EY', scale:'S K EY L',
+  scan:'S K AE N', scandal:'S K AE N D AH L', scene:'S IY N',
+  schedule:'S K EH JH UW L', scheme:'S K IY M', school:'S K UW L',
+  science:'S AY AH N S', scientific:'S AY AH N T IH F IH K', scientist:'S AY AH N T IH S T',
+  score:'S K AO R', scream:'S K R IY M', screen:'S K R IY N',
+  screw:'S K R UW', script:'S K R IH P T', sea:'S IY',
+  search:'S ER CH', season:'S IY Z AH N', seat:'S IY T',
+  second:'S EH K AH N D', secret:'S IY K R IH T', secretary:'S EH K R AH T EH R IY',
+  section:'S EH K SH AH N', sector:'S EH K T ER', security:'S IH K Y UH R AH T IY',
+  see:'S IY', seed:'S IY D', seek:'S IY K',
+  seem:'S IY M', segment:'S EH G M AH N T', select:'S AH L EH K T',
+  selection:'S AH L EH K SH AH N', self:'S EH L F', sell:'S EH L',
+  senate:'S EH N AH T', send:'S EH N D', senior:'S IY N Y ER',
+  sense:'S EH N S', sensitive:'S EH N S AH T IH V', sentence:'S EH N T AH N S',
+  separate:'S EH P ER EY T', sequence:'S IY K W AH N S', series:'S IH R IY Z',
+  serious:'S IH R IY AH S', servant:'S ER V AH N T', serve:'S ER V',
+  service:'S ER V AH S', session:'S EH SH AH N', set:'S EH T',
+  settle:'S EH T AH L', settlement:'S EH T AH L M AH N T', seven:'S EH V AH N',
+  several:'S EH V R AH L', severe:'S AH V IH R', sex:'S EH K S',
+  sexual:'S EH K SH UW AH L', shade:'SH EY D', shadow:'SH AE D OW',
+  shake:'SH EY K', shall:'SH AE L', shape:'SH EY P',
+  share:'SH EH R', sharp:'SH AA R P', she:'SH IY',
+  sheet:'SH IY T', shelf:'SH EH L F', shell:'SH EH L',
+  shelter:'SH EH L T ER', shift:'SH IH F T', shine:'SH AY N',
+  ship:'SH IH P', shirt:'SH ER T', shock:'SH AA K',
+  shoe:'SH UW', shoot:'SH UW T', shop:'SH AA P',
+  shopping:'SH AA P IH NG', shore:'SH AO R', short:'SH AO R T',
+  shot:'SH AA T', should:'SH UH D', shoulder:'SH OW L D ER',
+  shout:'SH AW T', show:'SH OW', shower:'SH AW ER',
+  shut:'SH AH T', sick:'S IH K', side:'S AY D',
+  sight:'S AY T', sign:'S AY N', signal:'S IH G N AH L',
+  signature:'S IH G N AH CH ER', silence:'S AY L AH N S', silent:'S AY L AH N T',
+  silk:'S IH L K', silly:'S IH L IY', silver:'S IH L V ER',
+  similar:'S IH M AH L ER', simple:'S IH M P AH L', simply:'S IH M P L IY',
+  since:'S IH N S', sincere:'S IH N S IH R', sing:'S IH NG',
+  singer:'S IH NG ER', single:'S IH NG G AH L', sink:'S IH NG K',
+  sir:'S ER', sister:'S IH S T ER', sit:'S IH T',
+  site:'S AY T', situation:'S IH CH UW EY SH AH N', six:'S IH K S',
+  size:'S AY Z', skill:'S K IH L', skin:'S K IH N',
+  sky:'S K AY', slave:'S L EY V', sleep:'S L IY P',
+  slice:'S L AY S', slide:'S L AY D', slight:'S L AY T',
+  slip:'S L IH P', slope:'S L OW P', slow:'S L OW',
+  small:'S M AO L', smart:'S M AA R T', smell:'S M EH L',
+  smile:'S M AY L', smoke:'S M OW K', smooth:'S M UW DH',
+  snake:'S N EY K', snow:'S N OW', so:'S OW',
+  soap:'S OW P', social:'S OW SH AH L', society:'S AH S AY AH T IY',
+  sock:'S AA K', soft:'S AO F T', software:'S AO F T W EH R',
+  soil:'S OY L', solar:'S OW L ER', soldier:'S OW L JH ER',
+  solid:'S AA L IH D', solution:'S AH L UW SH AH N', solve:'S AA L V',
+  some:'S AH M', somebody:'S AH M B AA D IY', somehow:'S AH M HH AW',
+  someone:'S AH M W AH N', something:'S AH M TH IH NG', sometimes:'S AH M T AY M Z',
+  somewhat:'S AH M W AH T', somewhere:'S AH M W EH R', son:'S AH N',
+  song:'S AO NG', soon:'S UW N', sorry:'S AA R IY',
+  sort:'S AO R T', soul:'S OW L', sound:'S AW N D',
+  soup:'S UW P', source:'S AO R S', south:'S AW TH',
+  southern:'S AH DH ER N', space:'S P EY S', speak:'S P IY K',
+  speaker:'S P IY K ER', special:'S P EH SH AH L', species:'S P IY SH IY Z',
+  specific:'S P AH S IH F IH K', speech:'S P IY CH', speed:'S P IY D',
+  spell:'S P EH L', spend:'S P EH N D', spirit:'S P IH R AH T',
+  spiritual:'S P IH R IH CH UW AH L', split:'S P L IH T', sport:'S P AO R T',
+  spot:'S P AA T', spread:'S P R EH D', spring:'S P R IH NG',
+  square:'S K W EH R', stable:'S T EY B AH L', staff:'S T AE F',
+  stage:'S T EY JH', stair:'S T EH R', stamp:'S T AE M P',
+  stand:'S T AE N D', standard:'S T AE N D ER D', star:'S T AA R',
+  stare:'S T EH R', start:'S T AA R T', state:'S T EY T',
+  statement:'S T EY T M AH N T', station:'S T EY SH AH N', status:'S T EY T AH S',
+  stay:'S T EY', steady:'S T EH D IY', steal:'S T IY L',
+  steam:'S T IY M', steel:'S T IY L', steep:'S T IY P',
+  stem:'S T EH M', step:'S T EH P', stick:'S T IH K',
+  still:'S T IH L', stock:'S T AA K', stomach:'S T AH M AH K',
+  stone:'S T OW N', stop:'S T AA P', store:'S T AO R',
+  storm:'S T AO R M', story:'S T AO R IY', straight:'S T R EY T',
+  strange:'S T R EY N JH', stranger:'S T R EY N JH ER', strategy:'S T R AE T AH JH IY',
+  stream:'S T R IY M', street:'S T R IY T', strength:'S T R EH NG K TH',
+  stress:'S T R EH S', stretch:'S T R EH CH', strike:'S T R AY K',
+  string:'S T R IH NG', strip:'S T R IH P', stroke:'S T R OW K',
+  strong:'S T R AO NG', structure:'S T R AH K CH ER', struggle:'S T R AH G AH L',
+  student:'S T UW D AH N T', studio:'S T UW D IY OW', study:'S T AH D IY',
+  stuff:'S T AH F', stupid:'S T UW P AH D', style:'S T AY L',
+  subject:'S AH B JH EH K T', substance:'S AH B S T AH N S', succeed:'S AH K S IY D',
+  success:'S AH K S EH S', successful:'S AH K S EH S F AH L', such:'S AH CH',
+  sudden:'S AH D AH N', suffer:'S AH F ER', sugar:'SH UH G ER',
+  suggest:'S AH G JH EH S T', suggestion:'S AH G JH EH S CH AH N', suit:'S UW T',
+  summer:'S AH M ER', sun:'S AH N', supper:'S AH P ER',
+  supply:'S AH P L AY', support:'S AH P AO R T', suppose:'S AH P OW Z',
+  sure:'SH UH R', surface:'S ER F AH S', surprise:'S ER P R AY Z',
+  surround:'S ER AW N D', survey:'S ER V EY', survive:'S ER V AY V',
+  suspect:'S AH S P EH K T', sweet:'S W IY T', swim:'S W IH M',
+  switch:'S W IH CH', symbol:'S IH M B AH L', sympathy:'S IH M P AH TH IY',
+  system:'S IH S T AH M', table:'T EY B AH L', tail:'T EY L',
+  take:'T EY K', tale:'T EY L', talent:'T AE L AH N T',
+  talk:'T AO K', tall:'T AO L', tank:'T AE NG K',
+  tape:'T EY P', target:'T AA R G AH T', task:'T AE S K',
+  taste:'T EY S T', tax:'T AE K S', tea:'T IY',
+  teach:'T IY CH', teacher:'T IY CH ER', team:'T IY M',
+  tear:'T IH R', technical:'T EH K N IH K AH L', technique:'T EH K N IY K',
+  technology:'T EH K N AA L AH JH IY', telephone:'T EH L AH F OW N', television:'T EH L AH V IH ZH AH N',
+  tell:'T EH L', temperature:'T EH M P ER AH CH ER', temporary:'T EH M P ER EH R IY',
+  ten:'T EH N', tend:'T EH N D', tendency:'T EH N D AH N S IY',
+  tennis:'T EH N IH S', tension:'T EH N SH AH N', tent:'T EH N T',
+  term:'T ER M', terrible:'T EH R AH B AH L', test:'T EH S T',
+  text:'T EH K S T', than:'DH AE N', thank:'TH AE NG K',
+  that:'DH AE T', the:'DH AH', theater:'TH IY AH T ER',
+  their:'DH EH R', them:'DH EH M', theme:'TH IY M',
+  themselves:'DH EH M S EH L V Z', then:'DH EH N', theory:'TH IH R IY',
+  therapy:'TH EH R AH P IY', there:'DH EH R', therefore:'DH EH R F AO R',
+  these:'DH IY Z', they:'DH EY', thick:'TH IH K',
+  thin:'TH IH N', thing:'TH IH NG', think:'TH IH NG K',
+  third:'TH ER D', thirsty:'TH ER S T IY', thirteen:'TH ER T IY N',
+  thirty:'TH ER T IY', this:'DH IH S', those:'DH OW Z',
+  though:'DH OW', thought:'TH AO T', thousand:'TH AW Z AH N D',
+  threat:'TH R EH T', three:'TH R IY', throat:'TH R OW T',
+  through:'TH R UW', throughout:'TH R UW AW T', throw:'TH R OW',
+  thus:'DH AH S', ticket:'T IH K AH T', tide:'T AY D',
+  tie:'T AY', tight:'T AY T', till:'T IH L',
+  time:'T AY M', tiny:'T AY N IY', tip:'T IH P',
+  tire:'T AY ER', title:'T AY T AH L', to:'T UW',
+  today:'T AH D EY', together:'T AH G EH DH ER', tomorrow:'T AH M AO R OW',
+  tone:'T OW N', tongue:'T AH NG', tonight:'T AH N AY T',
+  too:'T UW', took:'T UH K', tool:'T UW L',
+  tooth:'T UW TH', top:'T AA P', total:'T OW T AH L',
+  touch:'T AH CH', tour:'T UH R', tourist:'T UH R IH S T',
+  toward:'T AO R D', towards:'T AO R D Z', tower:'T AW ER',
+  town:'T AW N', toy:'T OY', track:'T R AE K',
+  trade:'T R EY D', tradition:'T R AH D IH SH AH N', traffic:'T R AE F IH K',
+  tragedy:'T R AE JH AH D IY', trail:'T R EY L', train:'T R EY N',
+  training:'T R EY N IH NG', transfer:'T R AE N S F ER', transform:'T R AE N S F AO R M',
+  transition:'T R AE N Z IH SH AH N', translate:'T R AE N Z L EY T', transport:'T R AE N S P AO R T',
+  travel:'T R AE V AH L', treat:'T R IY T', treatment:'T R IY T M AH N T',
+  tree:'T R IY', trial:'T R AY AH L', tribe:'T R AY B',
+  trick:'T R IH K', trip:'T R IH P', trouble:'T R AH B AH L',
+  truck:'T R AH K', true:'T R UW', trust:'T R AH S T',
+  truth:'T R UW TH', try:'T R AY', tube:'T UW B',
+  tune:'T UW N', tunnel:'T AH N AH L', turn:'T ER N',
+  twelve:'T W EH L V', twenty:'T W EH N T IY', twice:'T W AY S',
+  twin:'T W IH N', two:'T UW', type:'T AY P',
+  typical:'T IH P IH K AH L', ugly:'AH G L IY', ultimate:'AH L T AH M AH T',
+  unable:'AH N EY B AH L', uncle:'AH NG K AH L', under:'AH N D ER',
+  understand:'AH N D ER S T AE N D', understanding:'AH N D ER S T AE N D IH NG', undertake:'AH N D ER T EY K',
+  underwear:'AH N D ER W EH R', undo:'AH N D UW', unfortunately:'AH N F AO R CH AH N AH T L IY',
+  uniform:'Y UW N AH F AO R M', union:'Y UW N Y AH N', unique:'Y UW N IY K',
+  unit:'Y UW N IH T', unite:'Y UW N AY T', universal:'Y UW N AH V ER S AH L',
+  universe:'Y UW N AH V ER S', university:'Y UW N AH V ER S AH T IY', unknown:'AH N N OW N',
+  unless:'AH N L EH S', unlike:'AH N L AY K', unlikely:'AH N L AY K L IY',
+  until:'AH N T IH L', unusual:'AH N Y UW ZH UW AH L', up:'AH P',
+  upon:'AH P AA N', upper:'AH P ER', urban:'ER B AH N',
+  urge:'ER JH', urgent:'ER JH AH N T', us:'AH S',
+  use:'Y UW Z', used:'Y UW Z D', useful:'Y UW S F AH L',
+  user:'Y UW Z ER', usual:'Y UW ZH UW AH L', usually:'Y UW ZH UW AH L IY',
+  vacation:'V EY K EY SH AH N', valley:'V AE L IY', valuable:'V AE L Y UW AH B AH L',
+  value:'V AE L Y UW', variety:'V ER AY AH T IY', various:'V EH R IY AH S',
+  vegetable:'V EH JH T AH B AH L', vehicle:'V IY AH K AH L', venture:'V EH N CH ER',
+  version:'V ER ZH AH N', versus:'V ER S AH S', vertical:'V ER T IH K AH L',
+  very:'V EH R IY', vessel:'V EH S AH L', veteran:'V EH T ER AH N',
+  via:'V AY AH', victim:'V IH K T IH M', victory:'V IH K T ER IY',
+  video:'V IH D IY OW', view:'V Y UW', viewer:'V Y UW ER',
+  village:'V IH L IH JH', violate:'V AY AH L EY T', violence:'V AY AH L AH N S',
+  violent:'V AY AH L AH N T', virtual:'V ER CH UW AH L', virtue:'V ER CH UW',
+  virus:'V AY R AH S', visible:'V IH Z AH B AH L', vision:'V IH ZH AH N',
+  visit:'V IH Z AH T', visitor:'V IH Z AH T ER', visual:'V IH ZH UW AH L',
+  vital:'V AY T AH L', voice:'V OY S', volume:'V AA L Y UW M',
+  volunteer:'V AA L AH N T IH R', vote:'V OW T', wage:'W EY JH',
+  wait:'W EY T', walk:'W AO K', wall:'W AO L',
+  want:'W AA N T', war:'W AO R', warm:'W AO R M',
+  warn:'W AO R N', wash:'W AA SH', waste:'W EY S T',
+  watch:'W AA CH', water:'W AO T ER', wave:'W EY V',
+  way:'W EY', we:'W IY', weak:'W IY K',
+  wealth:'W EH L TH', weapon:'W EH P AH N', wear:'W EH R',
+  weather:'W EH DH ER', web:'W EH B', wedding:'W EH D IH NG',
+  week:'W IY K', weekend:'W IY K EH N D', weight:'W EY T',
+  welcome:'W EH L K AH M', welfare:'W EH L F EH R', well:'W EH L',
+  west:'W EH S T', western:'W EH S T ER N', wet:'W EH T',
+  what:'W AH T', whatever:'W AH T EH V ER', wheel:'W IY L',
+  when:'W EH N', whenever:'W EH N EH V ER', where:'W EH R',
+  whereas:'W EH R AE Z', wherever:'W EH R EH V ER', whether:'W EH DH ER',
+  which:'W IH CH', while:'W AY L', whilst:'W AY L S T',
+  whisper:'W IH S P ER', white:'W AY T', who:'HH UW',
+  whole:'HH OW L', whom:'HH UW M', whose:'HH UW Z',
+  why:'W AY', wide:'W AY D', wife:'W AY F',
+  wild:'W AY L D', will:'W IH L', win:'W IH N',
+  wind:'W IH N D', window:'W IH N D OW', wine:'W AY N',
+  wing:'W IH NG', winner:'W IH N ER', winter:'W IH N T ER',
+  wire:'W AY ER', wise:'W AY Z', wish:'W IH SH',
+  with:'W IH DH', within:'W IH DH IH N', without:'W IH DH AW T',
+  witness:'W IH T N AH S', woman:'W UH M AH N', wonder:'W AH N D ER',
+  wonderful:'W AH N D ER F AH L', wood:'W UH D', wooden:'W UH D AH N',
+  word:'W ER D', work:'W ER K', worker:'W ER K ER',
+  world:'W ER L D', worry:'W ER IY', worth:'W ER TH',
+  would:'W UH D', write:'R AY T', writer:'R AY T ER',
+  writing:'R AY T IH NG', wrong:'R AO NG', yard:'Y AA R D',
+  yeah:'Y EH', year:'Y IH R', yell:'Y EH L',
+  yellow:'Y EH L OW', yes:'Y EH S', yesterday:'Y EH S T ER D EY',
+  yet:'Y EH T', yield:'Y IY L D', you:'Y UW',
+  young:'Y AH NG', your:'Y AO R', yours:'Y AO R Z',
+  yourself:'Y AO R S EH L F', youth:'Y UW TH', zero:'Z IH R OW',
+  zone:'Z OW N',
+
+  // ---------- NORMALIZER VOCABULARY (numbers, units, titles) ----------
+  sixteen:'S IH K S T IY N', seventeen:'S EH V AH N T IY N', eighteen:'EY T IY N',
+  nineteen:'N AY N T IY N', sixty:'S IH K S T IY', seventy:'S EH V AH N T IY',
+  eighty:'EY T IY', ninety:'N AY N T IY', minus:'M AY N AH S', oh:'OW',
+  sixth:'S IH K S TH', seventh:'S EH V AH N TH', eighth:'EY T TH',
+  ninth:'N AY N TH', tenth:'T EH N TH', eleventh:'IH L EH V AH N TH',
+  twelfth:'T W EH L F TH', thirteenth:'TH ER T IY N TH', fourteenth:'F AO R T IY N TH',
+  fifteenth:'F IH F T IY N TH', sixteenth:'S IH K S T IY N TH', seventeenth:'S EH V AH N T IY N TH',
+  eighteenth:'EY T IY N TH', nineteenth:'N AY N T IY N TH', twentieth:'T W EH N T IY AH TH',
+  thirtieth:'TH ER T IY AH TH', fortieth:'F AO R T IY AH TH', fiftieth:'F IH F T IY AH TH',
+  sixtieth:'S IH K S T IY AH TH', seventieth:'S EH V AH N T IY AH TH', eightieth:'EY T IY AH TH',
+  ninetieth:'N AY N T IY AH TH', hundredth:'HH AH N D R AH D TH', thousandth:'TH AW Z AH N D TH',
+  million:'M IH L Y AH N', billion:'B IH L Y AH N', trillion:'T R IH L Y AH N',
+  millionth:'M IH L Y AH N TH', billionth:'B IH L Y AH N TH',
+  tens:'T EH N Z', twenties:'T W EH N T IY Z', thirties:'TH ER T IY Z',
+  forties:'F AO R T IY Z', fifties:'F IH F T IY Z', sixties:'S IH K S T IY Z',
+  seventies:'S EH V AH N T IY Z', eighties:'EY T IY Z', nineties:'N AY N T IY Z',
+  hundreds:'HH AH N D R AH D Z', thousands:'TH AW Z AH N D Z',
+  halves:'HH AE V Z', thirds:'TH ER D Z', quarters:'K W AO R T ER Z',
+  plus:'P L AH S', times:'T AY M Z', equals:'IY K W AH L Z', oclock:'AH K L AA K',
+  dollars:'D AA L ER Z', cents:'S EH N T S', pounds:'P AW N D Z',
+  penny:'P EH N IY', pence:'P EH N S', euro:'Y UH R OW', euros:'Y UH R OW Z',
+  yen:'Y EH N', rupee:'R UW P IY', rupees:'R UW P IY Z',
+  degrees:'D IH G R IY Z', celsius:'S EH L S IY AH S', fahrenheit:'F EH R AH N HH AY T',
+  kilometer:'K IH L AA M AH T ER', kilometers:'K IH L AA M AH T ER Z',
+  centimeter:'S EH N T AH M IY T ER', centimeters:'S EH N T AH M IY T ER Z',
+  millimeter:'M IH L AH M IY T ER', millimeters:'M IH L AH M IY T ER Z',
+  miles:'M AY L Z', yards:'Y AA R D Z',
+  kilogram:'K IH L AH G R AE M', kilograms:'K IH L AH G R AE M Z',
+  gram:'G R AE M', grams:'G R AE M Z', milligram:'M IH L AH G R AE M', milligrams:'M IH L AH G R AE M Z',
+  ounce:'AW N S', ounces:'AW N S AH Z', milliliter:'M IH L AH L IY T ER', milliliters:'M IH L AH L IY T ER Z',
+  hours:'AW ER Z', seconds:'S EH K AH N D Z', minutes:'M IH N AH T S',
+  millisecond:'M IH L AH S EH K AH N D', milliseconds:'M IH L AH S EH K AH N D Z',
+  kilobyte:'K IH L AH B AY T', kilobytes:'K IH L AH B AY T S',
+  megabyte:'M EH G AH B AY T', megabytes:'M EH G AH B AY T S',
+  gigabyte:'G IH G AH B AY T', gigabytes:'G IH G AH B AY T S',
+  terabyte:'T EH R AH B AY T', terabytes:'T EH R AH B AY T S',
+  hertz:'HH ER T S', kilohertz:'K IH L AH HH ER T S', megahertz:'M EH G AH HH ER T S', gigahertz:'G IH G AH HH ER T S',
+  watt:'W AA T', watts:'W AA T S', kilowatt:'K IH L AH W AA T', kilowatts:'K IH L AH W AA T S',
+  volt:'V OW L T', volts:'V OW L T S', milliamp:'M IH L IY AE M P',
+  january:'JH AE N Y UW EH R IY', february:'F EH B Y UW EH R IY', april:'EY P R AH L',
+  june:'JH UW N', july:'JH UW L AY', august:'AA G AH S T', september:'S EH P T EH M B ER',
+  october:'AA K T OW B ER', november:'N OW V EH M B ER', december:'D IH S EH M B ER',
+  mister:'M IH S T ER', missus:'M IH S IH Z', miz:'M IH Z', junior:'JH UW N Y ER',
+  lieutenant:'L UW T EH N AH N T', sergeant:'S AA R JH AH N T', governor:'G AH V ER N ER',
+  senator:'S EH N AH T ER', representative:'R EH P R AH Z EH N T AH T IH V',
+  honorable:'AA N ER AH B AH L', saint:'S EY N T', avenue:'AE V AH N UW',
+  boulevard:'B UH L AH V AA R D', mount:'M AW N T', fort:'F AO R T',
+  incorporated:'IH N K AO R P ER EY T AH D', limited:'L IH M AH T AH D',
+  corporation:'K AO R P ER EY SH AH N', approximately:'AH P R AA K S AH M AH T L IY',
+  et:'EH T', cetera:'S EH T ER AH',
+};
+
+// Letter names, used when a word is spelled out ("F B I")
+const LETTER_NAMES = {
+  a:'EY', b:'B IY', c:'S IY', d:'D IY', e:'IY', f:'EH F', g:'JH IY',
+  h:'EY CH', i:'AY', j:'JH EY', k:'K EY', l:'EH L', m:'EH M', n:'EH N',
+  o:'OW', p:'P IY', q:'K Y UW', r:'AA R', s:'EH S', t:'T IY', u:'Y UW',
+  v:'V IY', w:'D AH B AH L Y UW', x:'EH K S', y:'W AY', z:'Z IY',
+};
+
+// Contractions that don't follow stem + suffix
+const CONTRACTION_EXCEPTIONS = {
+  "don't":'D OW N T', "won't":'W OW N T', "can't":'K AE N T', "shan't":'SH AE N T',
+  "ain't":'EY N T', "aren't":'AA R N T', "weren't":'W ER N T', "o'clock":'AH K L AA K',
+  "y'all":'Y AO L', "'em":'AH M', "let's":'L EH T S',
+};
+
+const SIBILANTS = new Set(['S','Z','SH','ZH','CH','JH']);
+const VOICELESS = new Set(['P','T','K','F','TH']);
+
+// -ed after a stem: "wanted" IH D, "cracked" T, "played" D
+function pastTenseEnding(stemPhs) {
+  const last = stemPhs[stemPhs.length - 1]?.replace(/\d/, '');
+  if (last === 'T' || last === 'D') return ['IH', 'D'];
+  return VOICELESS.has(last) || ['S', 'SH', 'CH'].includes(last) ? ['T'] : ['D'];
+}
+
+
+// One-vowel stem ending in a single consonant ("bit", "pin", "hop")
+const SILENT_E_STEM_RE = /^[^aeiouy]*[aeiou][bcdfgklmnpstvz]$/;
+
+// Suffix rules applied after exception lookup
+const SUFFIX_RULES = [
+  [/tion$/,      'SH AH N'],
+  [/sion$/,      'ZH AH N'],
+  [/ious$/,      'IY AH S'],
+  [/ous$/,       'AH S'],
+  [/ious$/,      'IY AH S'],
+  [/ment$/,      'M AH N T'],
+  [/ness$/,      'N AH S'],
+  [/less$/,      'L AH S'],
+  [/ful$/,       'F UH L'],
+  [/ly$/,        'L IY'],
+  [/ing$/,       'IH NG'],
+  [/ed$/,        'D'],
+  [/es$/,        'IH Z'],
+  [/er$/,        'ER'],
+  [/est$/,       'AH S T'],
+  [/tion$/,      'SH AH N'],
+  [/ty$/,        'T IY'],
+  [/ity$/,       'IH T IY'],
+  [/al$/,        'AH L'],
+  [/ial$/,       'IY AH L'],
+  [/ic$/,        'IH K'],
+  [/ical$/,      'IH K AH L'],
+  [/ive$/,       'IH V'],
+  [/ize$/,       'AY Z'],
+  [/ise$/,       'AY Z'],
+  [/ify$/,       'IH F AY'],
+  [/able$/,      'AH B AH L'],
+  [/ible$/,      'IH B AH L'],
+  [/age$/,       'IH JH'],
+  [/ate$/,       'EY T'],
+  [/ure$/,       'Y UH R'],
+  [/ance$/,      'AH N S'],
+  [/ence$/,      'AH N S'],
+  [/ism$/,       'IH Z AH M'],
+  [/ist$/,       'AH S T'],
+  [/ology$/,     'AO L AH JH IY'],
+];
+
+// =====================================================
+// LETTER-TO-SOUND RULES – fallback for words nobody knows
+// =====================================================
+// NRL-style context rules (Elovitz et al., 1976), one list per first
+// letter, tried in order: "left[match]right=PHONEMES", first hit wins.
+// The word is syllabified first and the breaks written in as '|', so a
+// vowel can tell an open syllable ("pa|per") from a closed one ("hap|py").
+// Context symbols – all of them look straight through '|':
+//   #  one or more vowels          *  one or more consonants
+//   ^  exactly one consonant       :  zero or more consonants
+//   .  a voiced consonant          +  a front vowel (e, i, y)
+//   &  a sibilant (s c g z x j ch sh)
+//   @  a consonant after which u is "oo" (t s r d l z n j th ch sh)
+//   %  a suffix (e, er, es, ed, ing, ely)
+//   |  syllable break              ' ' start / end of the word
+// =====================================================
+const LTS_CONTEXT = {
+  '#': '(?:\\|?[aeiou])+',
+  '*': '(?:\\|?[bcdfghjklmnpqrstvwxyz])+',
+  '^': '[bcdfghjklmnpqrstvwxyz]',
+  ':': '(?:\\|?[bcdfghjklmnpqrstvwxyz])*',
+  '.': '[bdvgjlmnrwz]',
+  '+': '[eiy]',
+  '&': '(?:[scgzxj]|ch|sh)',
+  '@': '(?:[tsrdlznj]|th|ch|sh)',
+  '%': '(?:ing|ely|er|es|ed|e)',
+};
+
+const LTS_RULES = {
+  a: [
+    ' [a] =AH', ' [a]|=AH', '[a] =AH',
+    '^[are] =EH R', '[arr]=AE R', 'w[ar]=AO R', '[ar]#=EH R', '[ar]=AA R',
+    '[ai]=EY', '[ay]=EY', '[augh]=AO', '[au]=AO', '[aw]=AO',
+    '[all]=AO L', '[alk]=AO K', '[alm]=AA M', '[alf]=AE F', '[al]t=AO L',
+    'w[a]t=AA', 'w[a]s=AA', 'w[a]n=AA',
+    '[a]^e =EY', '[a]^%=EY', '[a]|=EY',
+    '[a]=AE',
+  ],
+  b: ['[bb]=B', 'm[b] =', '[b]=B'],
+  c: [
+    '[cial]=SH AH L', '[cian]=SH AH N', '[cious]=SH AH S', '[cient]=SH AH N T',
+    's[ch]=K', '[chr]=K R', 'y[ch]=K', '[ch]y=K', '[ch]=CH', '[ck]=K', '[cc]+=K S', '[cc]=K',
+    's[c]+=', '[c]+=S', '[c]=K',
+  ],
+  d: [
+    '[dge]=JH', '[dd]=D',
+    '#:pe[d] =T', '#:ke[d] =T', '#:fe[d] =T', '#:xe[d] =T', '#:sse[d] =T',
+    '#:che[d] =T', '#:she[d] =T', '#:ce[d] =T',
+    '[d]=D',
+  ],
+  e: [
+    '#:&[e]s =IH', '#:[e]s =', '#:t[e]d =IH', '#:d[e]d =IH', '#:[e]d =',
+    '#:[e] =', ' :[e] =IY',
+    '[ear]^=ER', '[ear]=IH R', '[eer]=IH R', '[ere] =IH R', '[er]#=EH R', '[er]=ER',
+    '[eigh]=EY', 'c[ei]=IY', '[ei]=EY', '[ey] =IY', '[ey]=EY',
+    '[ea]=IY', '[ee]=IY',
+    '@[ew]=UW', '[ew]=Y UW', '@[eu]=UW', '[eu]=Y UW',
+    '[e]^e =IY', ' [e]|=IH', '[e]|=IY',
+    '[e]=EH',
+  ],
+  f: ['[ff]=F', '[f]=F'],
+  g: [
+    '[gion]=JH AH N', '[gious]=JH AH S',
+    ' [gh]=G', '[gh]=', '[gg]=G', ' [g]n=', '[g]n =', '[gu]#=G',
+    ' [g]et=G', ' [g]i^=G', 'n[g]er=G',
+    '[g]+=JH', '[g]=G',
+  ],
+  h: [' [h]=HH', '[h]#=HH', '[h]='],
+  i: [
+    '[igh]=AY', ' ^[ied] =AY D', '[ied] =IY D', ' ^[ie] =AY', '[ier]=IY ER', '[ie]=IY',
+    '[ire] =AY ER', '[ir]#=AY R', '[ir]=ER',
+    '[ind] =AY N D', '[ild]=AY L D',
+    '[i]^e =AY', '[i]^%=AY',
+    '[i]|#=AY', '[i]|^y =IH', ' :[i]|=AY', '[i]|=IH', '[i] =IY',
+    '[i]=IH',
+  ],
+  j: ['[j]=JH'],
+  k: [' [k]n=', '[k]=K'],
+  l: ['^[le] =AH L', '[ll]=L', '[l]=L'],
+  m: ['[mm]=M', '[m]=M'],
+  n: ['[nn]=N', '[ng]=NG', '[n]k=NG', '[n]=N'],
+  o: [
+    '[ough]t=AO', '[ough] =OW', '[ough]=AH F', '[ould]=UH D',
+    '[oor]=AO R', '[oo]k=UH', '[oo]=UW', '[oar]=AO R', '[oa]=OW', '[oe] =OW', '[oe]s =OW',
+    '[oi]=OY', '[oy]=OY',
+    '[our]^=AO R', '[our]=AW ER', '[ous] =AH S', '[ou]=AW',
+    ' ^[ow] =AW', '[ow] =OW', '[ow]=AW',
+    'w[or]^=ER', '[ore] =AO R', '[or]=AO R',
+    '[old]=OW L D', '[olt]=OW L T', '[olk]=OW K', '[ong]=AO NG',
+    '[o]^e =OW', '[o]^%=OW', '[o]|=OW', '[o] =OW',
+    '[o]=AA',
+  ],
+  p: ['[ph]=F', ' [p]s=', ' [p]n=', '[pp]=P', '[p]=P'],
+  q: ['[que] =K', '[qu]=K W', '[q]=K'],
+  r: ['[rr]=R', '[rh]=R', '[r]=R'],
+  s: [
+    '#[sion]=ZH AH N', '[ssion]=SH AH N', '[sion]=SH AH N', '#[sure]=ZH ER', '[sure]=SH ER',
+    '[sch]=S K', '[sh]=SH', '[ss]=S',
+    '.[s] =Z', '#:.e[s] =Z', '#e[s] =Z', 'i[s]m =Z', '#[s]#=Z',
+    '[s]=S',
+  ],
+  t: [
+    '[tion]=SH AH N', '[tial]=SH AH L', '[tious]=SH AH S', '[tient]=SH AH N T', '[tia]=SH AH',
+    '[ture]=CH ER', '[tch]=CH', '[th]=TH', '[tt]=T', 's[t]le =',
+    '[t]=T',
+  ],
+  u: [
+    '[ure] =Y UH R', '[ur]#=Y UH R', '[ur]=ER',
+    '@[ue] =UW', '[ue] =Y UW', 'b[ui]=IH', '[ui]=UW',
+    'p[u]ll=UH', 'b[u]ll=UH', 'f[u]ll=UH', 'p[u]sh=UH', 'b[u]sh=UH', 'p[u]t =UH',
+    '@[u]^e =UW', '[u]^e =Y UW', '@[u]^%=UW', '[u]^%=Y UW',
+    '@[u]|=UW', '[u]|=Y UW', '[u] =UW',
+    '[u]=AH',
+  ],
+  v: ['[v]=V'],
+  w: [' [w]r=', '[wh]=W', '[w]=W'],
+  x: [' [x]=Z', '[xion]=K SH AH N', ' e[x]#=G Z', '[x]=K S'],
+  y: [
+    ' [y]#=Y', '#[y]#=Y', ' ps[y]=AY', ' :[y] =AY', '[y] =IY',
+    '[y]^e =AY', '[y]|=AY', '[y]=IH',
+  ],
+  z: ['[zz]=Z', '[z]=Z'],
+};
+
+// Context pattern → regex source; `side` says which way '|' may sit next to an atom
+function ltsContextSource(pattern, side) {
+  let src = '';
+  for (const ch of pattern) {
+    if (ch === '|') { src += '\\|'; continue; }
+    const atom = ch === ' ' ? ' ' : (LTS_CONTEXT[ch] ?? ch);
+    src += side === 'left' ? `${atom}\\|?` : `\\|?${atom}`;
+  }
+  return side === 'left' ? `${src}$` : `^${src}`;
+}
+
+function compileLtsRule(rule) {
+  const [, left, match, right, phones] = rule.match(/^(.*)\[(.+)\](.*)=(.*)$/);
+  return {
+    match,
+    left:  left  ? new RegExp(ltsContextSource(left, 'left'))   : null,
+    right: right ? new RegExp(ltsContextSource(right, 'right')) : null,
+    phones: phones ? phones.split(' ') : [],
+  };
+}
+
+const COMPILED_LTS_RULES = Object.fromEntries(
+  Object.entries(LTS_RULES).map(([letter, rules]) => [letter, rules.map(compileLtsRule)])
+);
+
+// End index of `letters` spelled from `pos` in a syllabified string, or -1
+function matchLetters(str, pos, letters) {
+  let i = pos;
+  for (const ch of letters) {
+    if (str[i] === '|') i++;
+    if (str[i] !== ch) return -1;
+    i++;
+  }
+  return i;
+}
+
+// =====================================================
+// SPELLING SYLLABIFICATION
+// =====================================================
+// Vowel letters (plus y between consonants, and a final consonant + "le")
+// are syllable nuclei; a silent final e, or the e of a plain -es / -ed,
+// is not. Consonants between nuclei go to the next syllable as far as
+// they make a legal English onset; doubled letters always split, and
+// ck, ng and x stay with the syllable before. A single consonant starts
+// the next syllable (open syllable, long vowel: "pa|per") unless a
+// typical closed ending follows ("hab|it", "pan|el", "mag|ic").
+// =====================================================
+const CONSONANT_UNITS = ['tch', 'dge', 'ch', 'sh', 'th', 'ph', 'wh', 'ck', 'ng', 'gh', 'qu'];
+const LEGAL_ONSETS = new Set([
+  'bl','br','ch','cl','cr','dr','dw','fl','fr','gl','gr','kn','ph','pl','pr','qu','sc','sh','sk',
+  'sl','sm','sn','sp','st','sw','th','tr','tw','wh','wr','scr','shr','sph','spl','spr','squ','str',
+  'thr','sch','chr',
+]);
+const HIATUS_PAIRS = new Set(['ia', 'io', 'iu', 'eo', 'ua', 'uo']);
+const CODA_ONLY_UNITS = new Set(['ck', 'ng', 'x']);
+const CLOSED_ENDING_RE = /^(?:ic|ics|ical|id|it|ish|el|et|in|ule)$/;
+
+// Letters → [{ text, vowel }] units, consonant digraphs kept whole
+function spellingUnits(word) {
+  const units = [];
+  for (let i = 0; i < word.length;) {
+    const ch = word[i];
+    if ('aeiou'.includes(ch)) {
+      units.push({ text: ch, vowel: true });
+      i++;
+      continue;
+    }
+    if (ch === 'y') {
+      // y before a vowel is a consonant ("yes", "beyond"), otherwise a vowel
+      const beforeVowel = 'aeiou'.includes(word[i + 1] ?? '-');
+      units.push({ text: ch, vowel: !beforeVowel });
+      i++;
+      continue;
+    }
+    const unit = CONSONANT_UNITS.find(u => word.startsWith(u, i)) ??
+      (ch === 'g' && word[i + 1] === 'u' && 'aeiy'.includes(word[i + 2] ?? '-') ? 'gu' : ch);
+    units.push({ text: unit, vowel: false });
+    i += unit.length;
+  }
+  return units;
+}
+
+/**
+ * Splits a lowercase word into spelled syllables: "paper" → "pa|per",
+ * "happy" → "hap|py", "table" → "ta|ble", "make" → "make".
+ */
+function syllabify(word) {
+  const units = spellingUnits(word);
+  const last = units.length - 1;
+  const isNucleusVowel = units.map(u => u.vowel);
+
+  // Silent e: final e, or the e of -es / -ed, when another vowel comes first
+  const vowelBefore = i => isNucleusVowel.slice(0, i).some(Boolean);
+  const ePos = units[last]?.text === 'e' ? last
+    : units[last - 1]?.text === 'e' && /^[sd]$/.test(units[last].text) ? last - 1 : -1;
+  if (ePos > 0 && !units[ePos - 1].vowel && vowelBefore(ePos - 1)) {
+    const before = units[ePos - 1].text;
+    const ending = ePos === last ? '' : units[last].text;
+    const syllabicLe = ending === '' && before === 'l' && ePos > 1 && !units[ePos - 2].vowel;
+    const audible = (ending === 's' && /^(?:s|z|x|ch|sh|c|g|dge)$/.test(before)) ||
+      (ending === 'd' && /^[td]$/.test(before));
+    if (syllabicLe) isNucleusVowel[ePos - 1] = true;          // "ta|ble": l carries the syllable
+    if (!audible) isNucleusVowel[ePos] = false;
+  }
+
+  // Nuclei: runs of vowel units, broken at hiatus pairs ("li|on")
+  const nuclei = [];
+  units.forEach((u, i) => {
+    if (!isNucleusVowel[i]) return;
+    const prev = nuclei[nuclei.length - 1];
+    if (prev && prev.end === i - 1 && units[i - 1].vowel && !HIATUS_PAIRS.has(units[i - 1].text + u.text)) {
+      prev.end = i;
+    } else {
+      nuclei.push({ start: i, end: i });
+    }
+  });
+  if (nuclei.length < 2) return word;
+
+  // Break point (unit index that starts the next syllable) between each pair
+  const breaks = [];
+  for (let n = 1; n < nuclei.length; n++) {
+    const from = nuclei[n - 1].end + 1, to = nuclei[n].start;
+    const cluster = units.slice(from, to).map(u => u.text);
+    let split = to;                                        // hiatus: straight between the vowels
+    if (cluster.length === 1) {
+      const rest = units.slice(to).map(u => u.text).join('');
+      split = CODA_ONLY_UNITS.has(cluster[0]) || (n === nuclei.length - 1 && CLOSED_ENDING_RE.test(rest))
+        ? to : from;
+    } else if (cluster.length > 1) {
+      split = to - 1;                                      // at least the last consonant
+      for (let k = 0; k < cluster.length - 1; k++) {
+        const onset = cluster.slice(k).join('');
+        const doubled = cluster[k] === cluster[k + 1];
+        if (!doubled && !CODA_ONLY_UNITS.has(cluster[k]) && LEGAL_ONSETS.has(onset)) { split = from + k; break; }
+      }
+    }
+    breaks.push(split);
+  }
+
+  return units.map((u, i) => (breaks.includes(i) ? '|' : '') + u.text).join('');
+}
+
+/**
+ * Letter-to-sound for a lowercase word: syllabify, then run LTS_RULES
+ * left to right. Vowels come out without stress digits (assignStress
+ * adds them).
+ */
+function convertByRules(word) {
+  const str = ` ${syllabify(word)} `;
+  const phones = [];
+  let pos = 1;
+  while (pos < str.length - 1) {
+    const ch = str[pos];
+    const rule = (COMPILED_LTS_RULES[ch] || []).find(r => {
+      const end = matchLetters(str, pos, r.match);
+      return end > 0
+        && (!r.left  || r.left.test(str.slice(0, pos)))
+        && (!r.right || r.right.test(str.slice(end)));
+    });
+    if (!rule) { pos++; continue; }                        // '|' and anything unspellable
+    phones.push(...rule.phones);
+    pos = matchLetters(str, pos, rule.match);
+  }
+  return phones;
+}
+
+// =====================================================
+// PRONOUNCING DICTIONARY – full CMU-style ARPAbet lexicon
+// =====================================================
+// cmudict.dict ships next to this file (~135k entries, stress digits
+// included). It is fetched after the model loads and indexed in slices so
+// the page never stalls; until it is ready the lookups below simply fall
+// through to WORD_EXCEPTIONS and the rule engine.
+//
+// Index: the raw file text is kept as-is, plus a Uint32Array holding the
+// start offset of every entry line, sorted by headword for binary search.
+// =====================================================
+const PRON_DICT_URL   = './cmudict.dict';
+const PRON_DICT_SLICE = 10000;   // lines indexed before yielding to the page
+
+let pronDictText  = '';
+let pronDictIndex = null;        // Uint32Array of line offsets, or null until ready
+let pronDictLoad  = null;        // in-flight load promise
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function dictKeyAt(text, lineStart) {
+  let end = lineStart;
+  while (end < text.length && text[end] !== ' ' && text[end] !== '\t') end++;
+  return text.slice(lineStart, end);
+}
+
+/**
+ * Builds the line index for dictionary text in cmudict format
+ * ("word  PH1 PH2", alternates as "word(2)", ";;;" comments).
+ * Yields between slices; sorts only if the file isn't already sorted.
+ */
+async function indexPronouncingDictionary(text) {
+  const starts = [];
+  let sorted = true, prevKey = '';
+  let pos = 0, lines = 0;
+
+  while (pos < text.length) {
+    let eol = text.indexOf('\n', pos);
+    if (eol < 0) eol = text.length;
+    if (eol > pos && !text.startsWith(';;;', pos)) {
+      const key = dictKeyAt(text, pos);
+      if (key < prevKey) sorted = false;
+      prevKey = key;
+      starts.push(pos);
+    }
+    pos = eol + 1;
+    if (++lines % PRON_DICT_SLICE === 0) await yieldToEventLoop();
+  }
+
+  if (!sorted) {
+    const keys = new Map(starts.map(st => [st, dictKeyAt(text, st)]));
+    starts.sort((a, b) => (keys.get(a) < keys.get(b) ? -1 : keys.get(a) > keys.get(b) ? 1 : 0));
+  }
+  pronDictText  = text;
+  pronDictIndex = Uint32Array.from(starts);
+  return pronDictIndex.length;
+}
+
+/**
+ * Fetches and indexes the dictionary once; later calls share the promise.
+ * A failed load is logged and leaves the rule engine in charge.
+ */
+function loadPronouncingDictionary(url = PRON_DICT_URL) {
+  if (!pronDictLoad) {
+    pronDictLoad = fetch(url)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(indexPronouncingDictionary)
+      .then(count => { console.log(`✓ Pronouncing dictionary: ${count} entries`); return count; })
+      .catch(err => { console.warn('✗ Pronouncing dictionary unavailable:', err.message); return 0; });
+  }
+  return pronDictLoad;
+}
+
+function findDictLine(key) {
+  let lo = 0, hi = pronDictIndex.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const k = dictKeyAt(pronDictText, pronDictIndex[mid]);
+    if (k === key) return pronDictIndex[mid];
+    if (k < key) lo = mid + 1; else hi = mid - 1;
+  }
+  return -1;
+}
+
+function dictPronAt(lineStart) {
+  let eol = pronDictText.indexOf('\n', lineStart);
+  if (eol < 0) eol = pronDictText.length;
+  return pronDictText.slice(lineStart, eol).replace(/^\S+\s+/, '').trim();
+}
+
+/**
+ * All dictionary pronunciations for a word, primary first
+ * (e.g. "read" → ['R IY1 D', 'R EH1 D']), or null if unknown / not loaded.
+ */
+function lookupDictionary(word) {
+  if (!pronDictIndex) return null;
+  const key = word.toLowerCase();
+  const first = findDictLine(key);
+  if (first < 0) return null;
+  const prons = [dictPronAt(first)];
+  for (let v = 2; ; v++) {
+    const alt = findDictLine(`${key}(${v})`);
+    if (alt < 0) break;
+    prons.push(dictPronAt(alt));
+  }
+  return prons;
+}
+
+// =====================================================
+// USER LEXICON – custom pronunciations that win over everything
+// =====================================================
+// word (lowercase, letters/apostrophes) → ARPAbet string.
+// Filled from localStorage and edited through the lexicon panel.
+let userLexicon = {};
+
+const ARPABET_PHONEMES = [
+  'AA','AE','AH','AO','AW','AY','EH','ER','EY','IH','IY','OW','OY','UH','UW',
+  'B','CH','D','DH','F','G','HH','JH','K','L','M','N','NG','P','R','S','SH',
+  'T','TH','V','W','Y','Z','ZH',
+];
+const ARPABET_VOWELS = new Set(ARPABET_PHONEMES.slice(0, 15));
+
+/**
+ * Validates an ARPAbet string ("ae n th r aa1 p ih k") and returns it in
+ * canonical form ("AE N TH R AA1 P IH K"). Throws on unknown symbols or
+ * stress digits on consonants.
+ */
+function parseArpabet(str) {
+  const phones = String(str).trim().toUpperCase().split(/[\s,]+/).filter(Boolean);
+  if (!phones.length) throw new Error('No phonemes given');
+  for (const p of phones) {
+    const m = p.match(/^([A-Z]+)([0-2])?$/);
+    if (!m || !ARPABET_PHONEMES.includes(m[1])) throw new Error(`Unknown phoneme "${p}"`);
+    if (m[2] && !ARPABET_VOWELS.has(m[1])) throw new Error(`Stress digit on consonant "${p}"`);
+  }
+  return phones.join(' ');
+}
+
+// Lexicon keys are single lowercase words, as textToPhonemeEvents tokenizes them
+function normalizeLexiconWord(word) {
+  const w = String(word).trim().toLowerCase().replace(/[’‘]/g, "'");
+  if (!/^[a-z']+$/.test(w) || !/[a-z]/.test(w)) throw new Error(`"${word}" is not a single word`);
+  return w;
+}
+
+/**
+ * Adds or replaces one entry. Returns the canonical [word, phonemes].
+ */
+function setLexiconEntry(word, phonemes) {
+  const key = normalizeLexiconWord(word);
+  const value = parseArpabet(phonemes);
+  userLexicon[key] = value;
+  return [key, value];
+}
+
+function removeLexiconEntry(word) {
+  delete userLexicon[normalizeLexiconWord(word)];
+}
+
+/**
+ * Merges a plain { word: "ARPABET" } object into the lexicon.
+ * Invalid entries are skipped and reported, valid ones still land.
+ */
+function mergeLexicon(entries) {
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('Lexicon must be a JSON object of word → phonemes');
+  }
+  const added = [], skipped = [];
+  Object.entries(entries).forEach(([word, phonemes]) => {
+    try { added.push(setLexiconEntry(word, phonemes)[0]); }
+    catch (err) { skipped.push(`${word}: ${err.message}`); }
+  });
+  return { added, skipped };
+}
+
+// Dictionary first, then the hand-tuned exceptions
+function knownPronunciation(word) {
+  const dict = lookupDictionary(word);
+  if (dict) return { phonemes: dict[0].split(' '), source: 'dictionary' };
+  if (Object.hasOwn(WORD_EXCEPTIONS, word)) return { phonemes: WORD_EXCEPTIONS[word].split(' '), source: 'exception' };
+  return null;
+}
+
+/**
+ * Pronunciation of a single word plus where it came from:
+ * 'lexicon', 'dictionary', 'exception' or 'rules'. Every vowel carries a
+ * stress digit (AH0, EY1, ...): dictionary stress is kept as-is, anything
+ * else gets it from assignStress.
+ */
+function lookupPronunciation(word) {
+  const pron = rawPronunciation(word);
+  if (pron.source !== 'dictionary') pron.phonemes = assignStress(pron.phonemes, word);
+  return pron;
+}
+
+function rawPronunciation(word) {
+  // "café" → "cafe": English rules only know unaccented letters
+  const apos = word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').replace(/^'+|'+$/g, '');
+  if (!apos) return { phonemes: [], source: 'rules' };
+  if (Object.hasOwn(userLexicon, apos)) return { phonemes: userLexicon[apos].split(' '), source: 'lexicon' };
+
+  // Apostrophe forms first ("don't" is its own dictionary entry)
+  if (apos.includes("'")) {
+    const known = lookupDictionary(apos);
+    if (known) return { phonemes: known[0].split(' '), source: 'dictionary' };
+    if (CONTRACTION_EXCEPTIONS[apos]) return { phonemes: CONTRACTION_EXCEPTIONS[apos].split(' '), source: 'exception' };
+    const contraction = apos.match(/^([a-z]+)'([a-z]+)$/);
+    if (contraction) return { phonemes: contractionToPhonemes(contraction[1], contraction[2]), source: 'rules' };
+  }
+
+  const lw = apos.replace(/[^a-z]/g,'');
+  if (!lw) return { phonemes: [], source: 'rules' };
+  const known = knownPronunciation(lw);
+  if (known) return known;
+
+  // Known stem + suffix ("dancingly"); unknown stems go through the letter rules whole
+  for (const [re, ph] of SUFFIX_RULES) {
+    if (re.test(lw)) {
+      let stem = lw.replace(re, '');
+      // An undoubled consonant before a vowel suffix means a dropped silent e:
+      // "biter" is bite + er, not bit + er ("bitter")
+      if (/^(?:ing|ed|er|est|es)\$$/.test(re.source) && SILENT_E_STEM_RE.test(stem)) {
+        if (re.source === 'es$') continue;                 // "bites": bite + s, left to the rules
+        stem += 'e';
+      }
+      const stemPhs = knownPronunciation(stem)?.phonemes;
+      if (!stemPhs) continue;
+      const ending = re.source === 'ed$' ? pastTenseEnding(stemPhs) : ph.split(' ');
+      return { phonemes: [...stemPhs, ...ending], source: 'rules' };
+    }
+  }
+  return { phonemes: convertByRules(lw), source: 'rules' };
+}
+
+function graphemeToPhonemes(word) {
+  return lookupPronunciation(word).phonemes;
+}
+
+// Monosyllables that are normally unstressed in running speech
+const UNSTRESSED_FUNCTION_WORDS = new Set([
+  'a','an','the','of','to','in','on','at','by','for','from','with','as',
+  'and','or','but','nor','if','than','that','so','is','are','was','were',
+  'be','been','am','can','could','will','would','shall','should','may',
+  'might','must','do','does','did','has','have','had','i','me','my','we',
+  'us','our','you','your','he','him','his','she','her','it','its','they',
+  'them','their','there','some',
+]);
+// Spellings whose first syllable is usually unstressed ("beGIN", "conTROL")
+const UNSTRESSED_PREFIX_RE = /^(?:be|de|re|con|com|ex|pre|pro|per|ob|ad|en|em|un|dis|mis|mal)(?=[a-z]{3,})/;
+// Suffixes that put primary stress on the syllable right before them
+const PRE_STRESS_SUFFIX_RE = /(?:tion|sion|cian|ic|ical|ity|ial|ian|ious|eous|uous|ify|itive|ulous)$/;
+// Suffixes that carry the primary stress themselves
+const FINAL_STRESS_SUFFIX_RE = /(?:ee|eer|ese|esque|ique|oon|ette|ade)$/;
+
+/**
+ * Fills in stress digits for phonemes that don't have them.
+ * Vowels without a digit next to vowels that have one become 0 (a suffix
+ * added to a dictionary stem). Fully unmarked words get a heuristic:
+ * primary on the first syllable, moved by common prefixes and suffixes,
+ * never on a schwa if a full vowel is available, and secondary stress two
+ * syllables before a late primary.
+ */
+function assignStress(phonemes, word = '') {
+  const vowels = [];
+  phonemes.forEach((p, i) => { if (ARPABET_VOWELS.has(parsePhoneme(p).phone)) vowels.push(i); });
+  if (!vowels.length) return phonemes;
+
+  const marked = vowels.filter(i => /[0-2]$/.test(phonemes[i]));
+  if (marked.length) {
+    return phonemes.map((p, i) => (vowels.includes(i) && !/[0-2]$/.test(p) ? p + '0' : p));
+  }
+
+  const lw = word.toLowerCase().replace(/[^a-z]/g, '');
+  const stress = new Array(vowels.length).fill(0);
+  if (vowels.length === 1) {
+    stress[0] = UNSTRESSED_FUNCTION_WORDS.has(lw) ? 0 : 1;
+  } else {
+    let primary = 0;
+    if (FINAL_STRESS_SUFFIX_RE.test(lw)) primary = vowels.length - 1;
+    else if (PRE_STRESS_SUFFIX_RE.test(lw)) primary = Math.max(0, vowels.length - 2 - (/(?:ical|ity|itive|ulous)$/.test(lw) ? 1 : 0));
+    else if (UNSTRESSED_PREFIX_RE.test(lw) && vowels.length <= 3) primary = 1;
+
+    // Schwas are poor stress carriers – move to the nearest full vowel
+    const isSchwa = (k) => parsePhoneme(phonemes[vowels[k]]).phone === 'AH';
+    if (isSchwa(primary)) {
+      const alt = [primary + 1, primary - 1, primary + 2].find(k => k >= 0 && k < vowels.length && !isSchwa(k));
+      if (alt !== undefined) primary = alt;
+    }
+    // -ing never takes the stress from the stem ("adding", not "adDING")
+    if (/ings?$/.test(lw) && primary === vowels.length - 1) primary--;
+    stress[primary] = 1;
+    if (primary >= 2 && !isSchwa(primary - 2)) stress[primary - 2] = 2;
+  }
+
+  const out = phonemes.slice();
+  vowels.forEach((idx, k) => { out[idx] = parsePhoneme(out[idx]).phone + stress[k]; });
+  return out;
+}
+
+/**
+ * "didn't" → did + N T, "John's" → John + Z, "you'll" → you + L.
+ * Unknown apostrophe endings just read the joined word.
+ */
+function contractionToPhonemes(stem, ending) {
+  const stemPhs = graphemeToPhonemes(stem);
+  const last = (stemPhs[stemPhs.length - 1] || '').replace(/[0-9]/g, '');
+  const vowelFinal = /^[AEIOU]/.test(last) || last === 'R';
+
+  if (stem.endsWith('n') && ending === 't') {
+    // "didn't" splits as "didn" + "t"; the negative is always stressed
+    // even when the bare auxiliary ("could") is not
+    const base = graphemeToPhonemes(stem.slice(0, -1));
+    if (!base.some(p => p.endsWith('1'))) {
+      const first = base.findIndex(p => p.endsWith('0'));
+      if (first >= 0) base[first] = base[first].slice(0, -1) + '1';
+    }
+    const baseLast = (base[base.length - 1] || '').replace(/[0-9]/g, '');
+    const endsVowel = /^[AEIOU]/.test(baseLast) || baseLast === 'R';
+    return [...base, ...(endsVowel ? ['N', 'T'] : ['AH', 'N', 'T'])];
+  }
+  switch (ending) {
+    case 's':
+      if (SIBILANTS.has(last)) return [...stemPhs, 'IH', 'Z'];
+      return [...stemPhs, VOICELESS.has(last) ? 'S' : 'Z'];
+    case 're': return [...stemPhs, vowelFinal ? 'R' : 'ER'];
+    case 'll': return [...stemPhs, 'L'];
+    case 've': return [...stemPhs, 'V'];
+    case 'd':  return [...stemPhs, 'D'];
+    case 'm':  return [...stemPhs, 'M'];
+    default:   return graphemeToPhonemes(stem + ending);
+  }
+}
+
+// "B" → B IY1, "O's" → OW1 Z
+function spellLetterPhonemes(token, stress) {
+  const phones = LETTER_NAMES[token[0].toLowerCase()].split(' ')
+    .map(p => (ARPABET_VOWELS.has(p) ? p + stress : p));
+  return token.length > 1 ? [...phones, 'Z'] : phones;
+}
+
+// =====================================================
+// HOMOGRAPHS – one spelling, several pronunciations
+// =====================================================
+// Each homograph lists its senses, default first. textToPhonemeEvents
+// picks one from the words around it: word-specific cues ("wind UP",
+// "made of LEAD"), then tense for past/present pairs, then a rough part
+// of speech from the previous word ("the REcord" vs "to reCORD").
+// Plain -s forms of noun/verb pairs ("records") are derived. The pick is
+// reported on the event as `homograph` and can be forced with `senses`.
+// =====================================================
+const HOMOGRAPHS = {
+  // tense
+  read:      { present: 'R IY1 D', past: 'R EH1 D' },
+  wound:     { noun: 'W UW1 N D', past: 'W AW1 N D' },
+  // verb / adjective
+  live:      { verb: 'L IH1 V', adjective: 'L AY1 V' },
+  lives:     { verb: 'L IH1 V Z', noun: 'L AY1 V Z' },
+  close:     { verb: 'K L OW1 Z', adjective: 'K L OW1 S' },
+  content:   { noun: 'K AA1 N T EH0 N T', adjective: 'K AH0 N T EH1 N T' },
+  // noun / verb
+  lead:      { verb: 'L IY1 D', metal: 'L EH1 D' },
+  wind:      { noun: 'W IH1 N D', verb: 'W AY1 N D' },
+  tear:      { noun: 'T IH1 R', verb: 'T EH1 R' },
+  tears:     { noun: 'T IH1 R Z', verb: 'T EH1 R Z' },
+  use:       { verb: 'Y UW1 Z', noun: 'Y UW1 S' },
+  house:     { noun: 'HH AW1 S', verb: 'HH AW1 Z' },
+  excuse:    { noun: 'IH0 K S K Y UW1 S', verb: 'IH0 K S K Y UW1 Z' },
+  abuse:     { noun: 'AH0 B Y UW1 S', verb: 'AH0 B Y UW1 Z' },
+  record:    { noun: 'R EH1 K ER0 D', verb: 'R IH0 K AO1 R D' },
+  present:   { noun: 'P R EH1 Z AH0 N T', verb: 'P R IY0 Z EH1 N T' },
+  object:    { noun: 'AA1 B JH EH0 K T', verb: 'AH0 B JH EH1 K T' },
+  project:   { noun: 'P R AA1 JH EH2 K T', verb: 'P R AH0 JH EH1 K T' },
+  permit:    { noun: 'P ER1 M IH2 T', verb: 'P ER0 M IH1 T' },
+  produce:   { noun: 'P R OW1 D UW0 S', verb: 'P R AH0 D UW1 S' },
+  conduct:   { noun: 'K AA1 N D AH0 K T', verb: 'K AH0 N D AH1 K T' },
+  conflict:  { noun: 'K AA1 N F L IH0 K T', verb: 'K AH0 N F L IH1 K T' },
+  contract:  { noun: 'K AA1 N T R AE2 K T', verb: 'K AH0 N T R AE1 K T' },
+  contrast:  { noun: 'K AA1 N T R AE2 S T', verb: 'K AH0 N T R AE1 S T' },
+  convert:   { noun: 'K AA1 N V ER0 T', verb: 'K AH0 N V ER1 T' },
+  desert:    { noun: 'D EH1 Z ER0 T', verb: 'D IH0 Z ER1 T' },
+  export:    { noun: 'EH1 K S P AO0 R T', verb: 'IH0 K S P AO1 R T' },
+  import:    { noun: 'IH1 M P AO2 R T', verb: 'IH2 M P AO1 R T' },
+  increase:  { noun: 'IH1 N K R IY2 S', verb: 'IH2 N K R IY1 S' },
+  decrease:  { noun: 'D IY1 K R IY2 S', verb: 'D IH0 K R IY1 S' },
+  insult:    { noun: 'IH1 N S AH2 L T', verb: 'IH2 N S AH1 L T' },
+  progress:  { noun: 'P R AA1 G R EH2 S', verb: 'P R AH0 G R EH1 S' },
+  protest:   { noun: 'P R OW1 T EH2 S T', verb: 'P R AH0 T EH1 S T' },
+  rebel:     { noun: 'R EH1 B AH0 L', verb: 'R IH0 B EH1 L' },
+  refund:    { noun: 'R IY1 F AH2 N D', verb: 'R IH0 F AH1 N D' },
+  reject:    { noun: 'R IY1 JH EH0 K T', verb: 'R IH0 JH EH1 K T' },
+  subject:   { noun: 'S AH1 B JH IH0 K T', verb: 'S AH0 B JH EH1 K T' },
+  suspect:   { noun: 'S AH1 S P EH2 K T', verb: 'S AH0 S P EH1 K T' },
+  survey:    { noun: 'S ER1 V EY2', verb: 'S ER0 V EY1' },
+  transport: { noun: 'T R AE1 N S P AO0 R T', verb: 'T R AE0 N S P AO1 R T' },
+  address:   { noun: 'AE1 D R EH2 S', verb: 'AH0 D R EH1 S' },
+  estimate:  { noun: 'EH1 S T AH0 M AH0 T', verb: 'EH1 S T AH0 M EY2 T' },
+  separate:  { noun: 'S EH1 P ER0 AH0 T', verb: 'S EH1 P ER0 EY2 T' },
+  graduate:  { noun: 'G R AE1 JH AH0 W AH0 T', verb: 'G R AE1 JH AH0 W EY2 T' },
+  associate: { noun: 'AH0 S OW1 S IY0 AH0 T', verb: 'AH0 S OW1 S IY0 EY2 T' },
+  duplicate: { noun: 'D UW1 P L AH0 K AH0 T', verb: 'D UW1 P L AH0 K EY2 T' },
+};
+
+// Word-specific cues: the previous (`after`) or next (`before`) word → sense
+const HOMOGRAPH_CUES = {
+  lead:  { after: { of: 'metal', with: 'metal' },
+           before: { pipe: 'metal', pipes: 'metal', paint: 'metal', poisoning: 'metal', pencil: 'metal', weight: 'metal' } },
+  live:  { before: { music: 'adjective', show: 'adjective', broadcast: 'adjective', stream: 'adjective', audience: 'adjective',
+                     performance: 'adjective', event: 'adjective', coverage: 'adjective', concert: 'adjective', wire: 'adjective' },
+           after: { go: 'adjective', goes: 'adjective', went: 'adjective', going: 'adjective', gone: 'adjective' } },
+  close: { before: { to: 'adjective', by: 'adjective', call: 'adjective', friend: 'adjective', friends: 'adjective', enough: 'adjective' } },
+  wind:  { before: { up: 'verb', down: 'verb' } },
+  tear:  { before: { up: 'verb', apart: 'verb', down: 'verb', off: 'verb', open: 'verb', into: 'verb' },
+           after: { and: 'verb' } },   // "wear and tear"
+  wound: { before: { up: 'past', down: 'past', around: 'past', back: 'past' } },
+  use:   { after: { no: 'noun', of: 'noun', in: 'noun' } },
+};
+
+const DETERMINERS = new Set([
+  'a','an','the','this','that','these','those','my','your','his','her','its','our','their',
+  'every','each','no','any','some','another','whose','such','first','last','next','new',
+]);
+const NOUN_PREPOSITIONS = new Set(['of','for','in','on','at','with','from','about','into','without','under']);
+const SUBJECT_PRONOUNS  = new Set(['i','you','we','they','he','she','it','who']);
+const OBJECT_PRONOUNS   = new Set(['me','you','us','them','him','her','it']);
+const THIRD_PERSON      = new Set(['he','she','it','who','that']);
+const VERB_MARKERS      = new Set(['will','would','can','could','shall','should','may','might','must','to','please',"let's"]);
+const BE_FORMS          = new Set(['am','is','are','was','were','be','been','being',"i'm","you're","we're","they're","he's","she's","it's"]);
+const PERFECT_FORMS     = new Set(['have','has','had','having',"i've","you've","we've","they've","i'd","you'd","he'd","she'd","we'd","they'd"]);
+const DEGREE_ADVERBS    = new Set(['very','so','too','quite','really','pretty','rather','more','most']);
+// Looked past when finding "the previous word"
+const SKIPPED_ADVERBS   = new Set(['also','just','always','never','often','still','already','usually','sometimes','even','only','then']);
+const PAST_TIME_WORDS   = new Set(['yesterday','ago','last','already','earlier','once','was','were','did','had','went','said','told']);
+// -ed words that aren't past tenses
+const NOT_PAST_ED       = new Set(['hundred','kindred','sacred','naked','wicked','wretched','rugged','ragged','beloved','need','feed','seed','speed','indeed','bed','red','shed','bled']);
+
+// Previous word, skipping adverbs that don't change the part of speech
+function previousWord(words, i) {
+  let j = i - 1;
+  while (j > 0 && SKIPPED_ADVERBS.has(words[j])) j--;
+  return words[j];
+}
+
+function isVerbCue(w) {
+  return !!w && (SUBJECT_PRONOUNS.has(w) || VERB_MARKERS.has(w) || /^(?:do|does|did)(?:n't)?$/.test(w) ||
+    w === 'not' || /n't$|'ll$/.test(w));
+}
+
+function isNounCue(w) {
+  // "John's record" – but "it's", "that's" are verbs
+  return !!w && (DETERMINERS.has(w) || NOUN_PREPOSITIONS.has(w) || (/'s$/.test(w) && !BE_FORMS.has(w) && !/^(?:that|what|there|here|who|where|let)'s$/.test(w)));
+}
+
+// Does the sentence read as past tense? (-ed verbs, past auxiliaries, "yesterday")
+function sentenceIsPast(words) {
+  return words.some(w => PAST_TIME_WORDS.has(w) || (w.length > 4 && /[^e]ed$/.test(w) && !NOT_PAST_ED.has(w)));
+}
+
+/**
+ * Chooses a sense of HOMOGRAPHS[key] for words[i] (all lowercase).
+ * Returns { sense, reason } – reason is a short human-readable cue.
+ */
+function chooseHomographSense(key, words, i) {
+  const senses = HOMOGRAPHS[key];
+  const has = name => Object.hasOwn(senses, name);
+  const prev = previousWord(words, i), next = words[i + 1];
+  const pick = (sense, reason) => ({ sense, reason });
+
+  const cues = HOMOGRAPH_CUES[key];
+  if (cues?.before?.[next]) return pick(cues.before[next], `before "${next}"`);
+  if (cues?.after?.[prev])  return pick(cues.after[prev], `after "${prev}"`);
+
+  if (has('past') && has('present')) {
+    if (PERFECT_FORMS.has(prev) || BE_FORMS.has(prev)) return pick('past', `after "${prev}"`);
+    if (THIRD_PERSON.has(prev)) return pick('past', `"${prev}" without -s`);
+    if (isVerbCue(prev) && !SUBJECT_PRONOUNS.has(prev)) return pick('present', `after "${prev}"`);
+    if (sentenceIsPast(words.filter((_, j) => j !== i))) return pick('past', 'past-tense sentence');
+    return pick('present', 'default');
+  }
+
+  const verbSense = has('verb') ? 'verb' : has('past') ? 'past' : null;
+  const nounSense = has('noun') ? 'noun' : has('adjective') ? 'adjective' : null;
+  if (has('adjective') && (BE_FORMS.has(prev) || DEGREE_ADVERBS.has(prev))) return pick('adjective', `after "${prev}"`);
+  if (verbSense === 'past' && PERFECT_FORMS.has(prev)) return pick('past', `after "${prev}"`);
+  if (verbSense && i === 0 && (DETERMINERS.has(next) || OBJECT_PRONOUNS.has(next))) return pick(verbSense, 'imperative');
+  // "-s" forms: "he records" is a verb, "they records" isn't English
+  const plural = key.endsWith('s') && !key.endsWith('ss');
+  if (verbSense && isVerbCue(prev) && (!plural || THIRD_PERSON.has(prev) || !SUBJECT_PRONOUNS.has(prev))) {
+    return pick(verbSense, `after "${prev}"`);
+  }
+  if (nounSense && isNounCue(prev)) return pick(nounSense, `after "${prev}"`);
+  return pick(Object.keys(senses)[0], 'default');
+}
+
+// HOMOGRAPHS key for a word – itself, or the stem of a regular -s form
+function homographKey(word) {
+  if (Object.hasOwn(HOMOGRAPHS, word)) return { key: word, suffix: '' };
+  const stem = word.replace(/e?s$/, '');
+  for (const s of [word.slice(0, -1), stem]) {
+    if (word.endsWith('s') && Object.hasOwn(HOMOGRAPHS, s) && !HOMOGRAPHS[s].past) return { key: s, suffix: 's' };
+  }
+  return null;
+}
+
+// Phonemes of a sense, with the -s ending added when the word was inflected
+function homographPhonemes(key, sense, suffix) {
+  const phones = HOMOGRAPHS[key][sense].split(' ');
+  if (!suffix) return phones;
+  const last = parsePhoneme(phones[phones.length - 1]).phone;
+  if (SIBILANTS.has(last)) return [...phones, 'IH0', 'Z'];
+  return [...phones, VOICELESS.has(last) ? 'S' : 'Z'];
+}
+
+function textToPhonemeEvents(text, lang = 'en', { senses = {} } = {}) {
+  // Returns [{word, phonemes:[string], source, charStart, charEnd, srcStart, srcEnd, homograph?}]
+  // `text` may be mapped text; srcStart/srcEnd then point into the raw input.
+  // Any language but 'en' goes through LANGUAGE_PROFILES and yields IPA.
+  // Homographs carry homograph: { sense, senses, reason }; `senses` forces
+  // a sense by word index or lowercase word ({ 3: 'past', lead: 'metal' }).
+  const mapped = typeof text === 'string' ? null : text;
+  const str    = mapped ? mapped.text : text;
+  const tokens = [...str.matchAll(/[\p{L}']+/gu)];
+  const words  = tokens.map(m => m[0].toLowerCase().replace(/[’‘]/g, "'"));
+
+  // A lone capital next to another lone capital is a spelled-out letter
+  const isLetter = (m) => m && /^[A-Z](?:'s)?$/.test(m[0]);
+  const adjacent = (a, b) => a && b && /^\s*$/.test(str.slice(a.index + a[0].length, b.index));
+
+  return tokens.map((m, i) => {
+    const spelled = isLetter(m) &&
+      ((isLetter(tokens[i - 1]) && adjacent(tokens[i - 1], m)) ||
+       (isLetter(tokens[i + 1]) && adjacent(m, tokens[i + 1])));
+    // Spelled letters: the last one in a run takes the primary stress (F B I)
+    const lastOfRun = !(isLetter(tokens[i + 1]) && adjacent(m, tokens[i + 1]));
+    const homograph = lang === 'en' && !spelled && !Object.hasOwn(userLexicon, words[i]) && homographKey(words[i]);
+    let choice = null;
+    if (homograph) {
+      const forced = senses[i] ?? senses[words[i]];
+      choice = forced && Object.hasOwn(HOMOGRAPHS[homograph.key], forced)
+        ? { sense: forced, reason: 'override' }
+        : chooseHomographSense(homograph.key, words, i);
+    }
+    const pron = lang !== 'en'
+      ? { phonemes: languageToPhonemes(m[0], lang), source: 'rules' }
+      : spelled
+        ? { phonemes: spellLetterPhonemes(m[0], lastOfRun ? 1 : 2), source: 'letters' }
+        : choice
+          ? { phonemes: homographPhonemes(homograph.key, choice.sense, homograph.suffix), source: 'homograph' }
+          : lookupPronunciation(m[0]);
+    const ev = {
+      word: m[0],
+      phonemes: pron.phonemes.filter(p => p),
+      source: pron.source,
+      charStart: m.index,
+      charEnd: m.index + m[0].length,
+    };
+    if (choice) ev.homograph = { ...choice, senses: Object.keys(HOMOGRAPHS[homograph.key]) };
+    if (mapped) {
+      const src = sourceRange(mapped, ev.charStart, ev.charEnd);
+      ev.srcStart = src.start;
+      ev.srcEnd   = src.end;
+    }
+    return ev;
+  });
+}
+
+// =====================================================
+// OTHER LANGUAGES – letter-to-sound rules into IPA
+// =====================================================
+// One profile per language: ordered [pattern, ipa] rules tried at each
+// position (first match wins, so longer spellings come first), plus a
+// default-stress rule for words whose spelling doesn't mark it. Patterns
+// are regex sources matched against the lowercased word and may use
+// lookarounds and ^/$ for context. Letters no rule claims are kept when
+// they're already IPA (p, t, m, ...) and dropped otherwise.
+// Accented vowels emit ˈ themselves; stress(word, vowels) returns the
+// index of the stressed vowel for everything else.
+// =====================================================
+const LANGUAGE_PROFILES = {
+  es: {
+    name: 'Spanish',
+    rules: [
+      ['ch', 'tʃ'], ['ll', 'ʝ'], ['rr', 'r'], ['^r', 'r'], ['(?<=[lns])r', 'r'], ['r', 'ɾ'],
+      ['qu(?=[eéií])', 'k'], ['gu(?=[eéií])', 'ɡ'], ['gü', 'ɡ w'],
+      ['c(?=[eéií])', 's'], ['c', 'k'], ['z', 's'],
+      ['g(?=[eéií])', 'x'], ['g', 'ɡ'], ['j', 'x'], ['ñ', 'ɲ'], ['h', ''], ['x', 'k s'], ['v', 'b'],
+      ['y(?![aeiouáéíóú])', 'i'], ['y', 'ʝ'],
+      ['á', 'ˈa'], ['é', 'ˈe'], ['í', 'ˈi'], ['ó', 'ˈo'], ['ú', 'ˈu'],
+      ['i(?=[aeouáéóú])', 'j'], ['u(?=[aeioáéíó])', 'w'],
+    ],
+    stress: (w, v) => (/[aeiouns]$/.test(w) ? v.length - 2 : v.length - 1),
+  },
+  it: {
+    name: 'Italian',
+    rules: [
+      ['([bcdfglmnprstvz])(?=\\1)', ''],         // geminates: say the consonant once
+      ['gli(?=[aeiou])', 'ʎ'], ['gli', 'ʎ i'], ['gn', 'ɲ'], ['sci(?=[aou])', 'ʃ'], ['sc(?=[ieèéì])', 'ʃ'],
+      ['ch', 'k'], ['gh', 'ɡ'], ['ci(?=[aouò])', 'tʃ'], ['gi(?=[aouò])', 'dʒ'],
+      ['c(?=[ieèéì])', 'tʃ'], ['g(?=[ieèéì])', 'dʒ'], ['c', 'k'], ['q', 'k'], ['g', 'ɡ'],
+      ['z', 'ts'], ['h', ''], ['r', 'r'],
+      ['à', 'ˈa'], ['è', 'ˈɛ'], ['é', 'ˈe'], ['ì', 'ˈi'], ['ò', 'ˈɔ'], ['ó', 'ˈo'], ['ù', 'ˈu'],
+      ['(?<=[^aeiou])i(?=[aeouàèéòù])', 'j'], ['u(?=[aeioàèéò])', 'w'],
+    ],
+    stress: (w, v) => v.length - 2,
+  },
+  pt: {
+    name: 'Portuguese',
+    rules: [
+      ['nh', 'ɲ'], ['lh', 'ʎ'], ['ch', 'ʃ'], ['rr', 'ʁ'], ['^r', 'ʁ'], ['r', 'ɾ'], ['ss', 's'],
+      ['qu(?=[eéêií])', 'k'], ['gu(?=[eéêií])', 'ɡ'],
+      ['ç', 's'], ['c(?=[eéêií])', 's'], ['c', 'k'], ['g(?=[eéêií])', 'ʒ'], ['g', 'ɡ'], ['j', 'ʒ'],
+      ['h', ''], ['x', 'ʃ'], ['(?<=[aeiouáéíóúâêôãõ])s(?=[aeiouáéíóúâêôãõ])', 'z'],
+      ['ões$', 'ˈõ j s'], ['ão$', 'ˈɐ̃ w'], ['ãe', 'ɐ̃ j'], ['ão', 'ɐ̃ w'], ['ã', 'ɐ̃'], ['õ', 'õ'],
+      ['am$', 'ɐ̃ w'], ['e[mn]$', 'ẽ j'], ['a[mn](?![aeiouáéíóú])', 'ɐ̃'], ['e[mn](?![aeiouáéíóú])', 'ẽ'],
+      ['i[mn](?![aeiouáéíóú])', 'ĩ'], ['o[mn](?![aeiouáéíóú])', 'õ'], ['u[mn](?![aeiouáéíóú])', 'ũ'],
+      ['á', 'ˈa'], ['â', 'ˈɐ'], ['é', 'ˈɛ'], ['ê', 'ˈe'], ['í', 'ˈi'], ['ó', 'ˈɔ'], ['ô', 'ˈo'], ['ú', 'ˈu'], ['à', 'a'],
+      ['os$', 'u s'], ['o$', 'u'], ['es$', 'i s'], ['e$', 'i'], ['l$', 'w'],
+    ],
+    stress: (w, v) => (/(?:[aeo]s?|[ae][mn]|ens)$/.test(w) ? v.length - 2 : v.length - 1),
+  },
+  fr: {
+    name: 'French',
+    rules: [
+      ['([bcdfglmnprstz])(?=\\1)', ''],
+      ['eaux?$', 'o'], ['eau', 'o'], ['aux?$', 'o'], ['au', 'o'],
+      ['oin', 'w ɛ̃'], ['oi', 'w a'], ['où', 'u'], ['ou', 'u'], ['ai(?!n)', 'ɛ'], ['ei(?!n)', 'ɛ'],
+      ['[eœ]u', 'ø'], ['ui', 'ɥ i'],
+      ['(?:a|e)[mn](?![aeiouyhmn])', 'ɑ̃'], ['(?:ai|ei|i|y)[mn](?![aeiouyhmn])', 'ɛ̃'],
+      ['o[mn](?![aeiouyhmn])', 'ɔ̃'], ['u[mn](?![aeiouyhmn])', 'œ̃'],
+      ['(?<=[aeiou])ille?', 'j'], ['ille', 'i j'], ['(?<=[aeiou])il$', 'j'],
+      ['ch', 'ʃ'], ['gn', 'ɲ'], ['ph', 'f'], ['qu', 'k'], ['th', 't'],
+      ['ç', 's'], ['c(?=[eéèêiîy])', 's'], ['c', 'k'],
+      ['gu(?=[eéèêiîy])', 'ɡ'], ['g(?=[eéèêiîy])', 'ʒ'], ['g', 'ɡ'], ['j', 'ʒ'],
+      ['h', ''], ['r', 'ʁ'], ['(?<=[aeiouy])s(?=[aeiouyéè])', 'z'],
+      ['er$', 'e'], ['ez$', 'e'], ['et$', 'ɛ'], ['(?<=[aeiouyéèêô].*)es?$', ''],
+      ['[dtspxz]$', ''], ['x', 'k s'],
+      ['é', 'e'], ['[èêë]', 'ɛ'], ['[àâ]', 'a'], ['[îï]', 'i'], ['ô', 'o'], ['[ûù]', 'u'],
+      ['e(?=[bcdfgklmnpqrstvz]{2})', 'ɛ'], ['e', 'ə'], ['o', 'ɔ'], ['u', 'y'], ['y', 'i'],
+    ],
+    // Stress falls on the last full vowel of the word
+    stress: (w, v) => v.findLastIndex(p => ipaBase(p) !== 'ə'),
+  },
+  de: {
+    name: 'German',
+    rules: [
+      ['([bdfglmnprtkz])(?=\\1)', ''],
+      ['^be(?=[a-zäöüß]{4})', 'b ə'], ['^ge(?=[a-zäöüß]{4})', 'ɡ ə'],
+      ['^ver(?=[a-zäöüß]{3})', 'f ɛ ɐ'], ['^zer(?=[a-zäöüß]{3})', 'ts ɛ ɐ'],
+      ['tsch', 'tʃ'], ['sch', 'ʃ'], ['(?<=^(?:be|ge|ver|zer|ent|er)?)s(?=[pt])', 'ʃ'], ['chs', 'k s'],
+      ['(?<=[aou])ch', 'x'], ['ch', 'ç'], ['ck', 'k'], ['ph', 'f'], ['pf', 'pf'], ['qu', 'k v'],
+      ['th', 't'], ['tz', 'ts'], ['z', 'ts'], ['ß', 's'], ['ss', 's'], ['s(?=[aeiouäöüy])', 'z'],
+      ['v', 'f'], ['w', 'v'], ['j', 'j'], ['ng', 'ŋ'], ['nk', 'ŋ k'], ['ig$', 'ɪ ç'],
+      ['b$', 'p'], ['d$', 't'], ['g$', 'k'], ['g', 'ɡ'],
+      ['ei', 'ai'], ['ai', 'ai'], ['[eä]u', 'ɔʏ'], ['au', 'au'], ['ie', 'iː'],
+      ['aa|ah', 'aː'], ['ee|eh', 'eː'], ['oo|oh', 'oː'], ['uh', 'uː'], ['ih', 'iː'],
+      ['äh', 'ɛː'], ['öh', 'øː'], ['üh', 'yː'],
+      ['er$', 'ɐ'], ['(?<=[aeiouäöüh])r(?![aeiouäöü])', 'ɐ'], ['r', 'ʁ'],
+      ['(?<=[aeiouäöü])h', ''], ['h', 'h'],
+      ['e(?=[nl]?$)', 'ə'], ['ä', 'ɛ'],
+      ['ö(?=[^aeiouäöü]{2})', 'œ'], ['ö', 'øː'], ['ü(?=[^aeiouäöü]{2})', 'ʏ'], ['ü', 'yː'],
+      ['e(?=[^aeiouäöü]{2})', 'ɛ'], ['e', 'eː'], ['i(?=[^aeiouäöü]{2})', 'ɪ'], ['i', 'iː'],
+      ['o(?=[^aeiouäöü]{2})', 'ɔ'], ['o', 'oː'], ['u(?=[^aeiouäöü]{2})', 'ʊ'], ['u', 'uː'], ['y', 'ʏ'],
+    ],
+    // First syllable, unless the word starts with an unstressed prefix
+    stress: (w, v) => {
+      const prefix = w.match(/^(?:be|ge|ver|zer|ent|emp|er|miss)(?=[a-zäöüß]{3})/)?.[0];
+      const skip = prefix ? GERMAN_PREFIX_VOWELS[prefix] : 0;
+      return v.length > skip ? skip : 0;
+    },
+  },
+};
+
+// Vowels the unstressed German prefixes above transcribe to ("ver" → ɛ ɐ)
+const GERMAN_PREFIX_VOWELS = { be: 1, ge: 1, ent: 1, emp: 1, miss: 1, ver: 2, zer: 2, er: 2 };
+
+const compiledLanguageRules = {};
+
+function languageRules(lang) {
+  compiledLanguageRules[lang] ??= LANGUAGE_PROFILES[lang].rules
+    .map(([pattern, ipa]) => [new RegExp(pattern, 'uy'), ipa ? ipa.split(' ') : []]);
+  return compiledLanguageRules[lang];
+}
+
+// Base language code of a BCP 47 tag ("es-MX" → "es"), or 'en' when unsupported
+function languageOf(tag) {
+  const base = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(LANGUAGE_PROFILES, base) ? base : 'en';
+}
+
+/**
+ * IPA tokens for one word of a non-English language, one primary
+ * stress marked. `lang` must be a LANGUAGE_PROFILES key.
+ */
+function languageToPhonemes(word, lang) {
+  const w = word.toLowerCase().normalize('NFC').replace(/'/g, '');
+  const rules = languageRules(lang);
+  const phones = [];
+  let i = 0;
+  scan: while (i < w.length) {
+    for (const [re, ipa] of rules) {
+      re.lastIndex = i;
+      const m = re.exec(w);
+      if (m && m[0].length) {
+        phones.push(...ipa);
+        i += m[0].length;
+        continue scan;
+      }
+    }
+    if (IPA_TO_SHAPE[w[i]]) phones.push(w[i]);
+    i++;
+  }
+
+  // Spelling may mark more than one vowel (ó…ão); the first one wins
+  const vowelIdx = phones.map((p, k) => (IPA_VOWELS.has(ipaBase(p)) ? k : -1)).filter(k => k >= 0);
+  const marked = vowelIdx.filter(k => phones[k].startsWith('ˈ'));
+  marked.slice(1).forEach(k => { phones[k] = phones[k].slice(1); });
+  if (!marked.length && vowelIdx.length) {
+    const vowels = vowelIdx.map(k => phones[k]);
+    const n = Math.max(0, Math.min(vowels.length - 1, LANGUAGE_PROFILES[lang].stress(w, vowels)));
+    phones[vowelIdx[n]] = 'ˈ' + phones[vowelIdx[n]];
+  }
+  return phones;
+}
+
+// ---------- Numbers ----------
+// English numbers go through normalizeForSpeech. For the other languages
+// expandNumbers() only reads digits as words, so "25 euros" moves the
+// mouth through "vingt-cinq euros". Each entry gives the words below a
+// thousand, the thousand and million forms, and how decimals are read.
+const ES_ONES = [
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+  'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve',
+];
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+
+const IT_ONES = [
+  'zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove',
+  'dieci', 'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici', 'diciassette', 'diciotto', 'diciannove',
+];
+const IT_TENS = ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'];
+
+const PT_ONES = [
+  'zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove',
+  'dez', 'onze', 'doze', 'treze', 'catorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove',
+];
+const PT_TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+const PT_HUNDREDS = ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos', 'seiscentos', 'setecentos', 'oitocentos', 'novecentos'];
+
+const FR_ONES = [
+  'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+  'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize',
+];
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+
+const DE_ONES = [
+  'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+  'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn',
+];
+const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+function frenchBelow100(n) {
+  if (n < 17) return FR_ONES[n];
+  if (n < 20) return 'dix-' + FR_ONES[n - 10];
+  if (n < 70) {
+    const tens = FR_TENS[Math.floor(n / 10)], u = n % 10;
+    return !u ? tens : u === 1 ? `${tens} et un` : `${tens}-${FR_ONES[u]}`;
+  }
+  if (n < 80) return n === 71 ? 'soixante et onze' : 'soixante-' + frenchBelow100(n - 60);
+  return n === 80 ? 'quatre-vingts' : 'quatre-vingt-' + frenchBelow100(n - 80);
+}
+
+function germanBelow100(n) {
+  if (n < 20) return DE_ONES[n];
+  const u = n % 10;
+  return (u ? (u === 1 ? 'ein' : DE_ONES[u]) + 'und' : '') + DE_TENS[Math.floor(n / 10)];
+}
+
+const LANGUAGE_NUMBERS = {
+  es: {
+    point: 'coma', minus: 'menos', separators: '.',
+    below1000(n) {
+      if (n === 100) return 'cien';
+      const h = Math.floor(n / 100), r = n % 100;
+      const rest = r < 30 ? ES_ONES[r] : ES_TENS[Math.floor(r / 10)] + (r % 10 ? ' y ' + ES_ONES[r % 10] : '');
+      return [h ? ES_HUNDREDS[h] : '', r || !h ? rest : ''].filter(Boolean).join(' ');
+    },
+    // "uno" shortens before a noun: "veintiún mil", "un millón"
+    thousand: (k, words) => (k === 1 ? 'mil' : `${words(k).replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un')} mil`),
+    million: (m, words) => (m === 1 ? 'un millón' : `${words(m).replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un')} millones`),
+  },
+  it: {
+    point: 'virgola', minus: 'meno', separators: '.',
+    below1000(n) {
+      const h = Math.floor(n / 100), r = n % 100, u = r % 10;
+      let rest = r < 20 ? IT_ONES[r] : IT_TENS[Math.floor(r / 10)];
+      if (r >= 20 && u) rest = (u === 1 || u === 8 ? rest.slice(0, -1) : rest) + (u === 3 ? 'tré' : IT_ONES[u]);
+      if (!h) return rest;
+      const hundreds = h === 1 ? 'cento' : IT_ONES[h] + 'cento';
+      if (!r) return hundreds;
+      return (r >= 80 && r < 90 ? hundreds.slice(0, -1) : hundreds) + rest;   // centottanta
+    },
+    thousand: (k, words) => (k === 1 ? 'mille' : words(k).replace(/tré$/, 'tre') + 'mila'),
+    million: (m, words) => (m === 1 ? 'un milione' : `${words(m)} milioni`),
+  },
+  pt: {
+    point: 'vírgula', minus: 'menos', separators: '.',
+    below1000(n) {
+      if (n === 100) return 'cem';
+      const h = Math.floor(n / 100), r = n % 100;
+      const parts = [h ? PT_HUNDREDS[h] : ''];
+      if (r < 20) parts.push(r || !h ? PT_ONES[r] : '');
+      else parts.push(PT_TENS[Math.floor(r / 10)], r % 10 ? PT_ONES[r % 10] : '');
+      return parts.filter(Boolean).join(' e ');
+    },
+    thousand: (k, words) => (k === 1 ? 'mil' : `${words(k)} mil`),
+    million: (m, words) => (m === 1 ? 'um milhão' : `${words(m)} milhões`),
+    // "mil e duzentos", "dois mil e cinco" – but "mil trezentos e dez"
+    joinRest: (r) => (r < 100 || r % 100 === 0 ? ' e ' : ' '),
+  },
+  fr: {
+    point: 'virgule', minus: 'moins', separators: ' \u00a0\u202f',
+    below1000(n) {
+      const h = Math.floor(n / 100), r = n % 100;
+      const hundreds = h === 1 ? 'cent' : h ? `${FR_ONES[h]} cent${r ? '' : 's'}` : '';
+      return [hundreds, r || !h ? frenchBelow100(r) : ''].filter(Boolean).join(' ');
+    },
+    // "deux cents" and "quatre-vingts" lose their s before mille
+    thousand: (k, words) => (k === 1 ? 'mille' : `${words(k).replace(/(cent|vingt)s$/, '$1')} mille`),
+    million: (m, words) => (m === 1 ? 'un million' : `${words(m)} millions`),
+  },
+  de: {
+    point: 'Komma', minus: 'minus', separators: '.', fractionDigits: true,
+    below1000(n) {
+      const h = Math.floor(n / 100), r = n % 100;
+      return (h ? (h === 1 ? 'ein' : DE_ONES[h]) + 'hundert' : '') + (r || !h ? germanBelow100(r) : '');
+    },
+    thousand: (k, words) => (k === 1 ? 'ein' : words(k).replace(/eins$/, 'ein')) + 'tausend',
+    million: (m, words) => (m === 1 ? 'eine Million' : `${words(m)} Millionen`),
+    joinRest: () => '',
+  },
+};
+
+// Cardinal words for 0 ≤ n < 10¹² in `lang`
+function languageCardinal(n, lang) {
+  const spec = LANGUAGE_NUMBERS[lang];
+  const words = (k) => languageCardinal(k, lang);
+  if (n < 1000) return spec.below1000(n);
+  const m = Math.floor(n / 1e6), k = Math.floor(n / 1000) % 1000, r = n % 1000;
+  let text = [m ? spec.million(m, words) : '', k ? spec.thousand(k, words) : ''].filter(Boolean).join(' ');
+  if (r) text += (spec.joinRest?.(r) ?? ' ') + spec.below1000(r);
+  return text;
+}
+
+/**
+ * Reads the digits in non-English text as words of `lang` (a
+ * LANGUAGE_NUMBERS key): "-3,5" → "menos tres coma cinco",
+ * "25 000" → "vingt-cinq mille". Takes a string or mapped text and
+ * returns mapped text; other languages come back unchanged.
+ */
+function expandNumbers(input, lang) {
+  const t = typeof input === 'string' ? createMappedText(input) : input;
+  const spec = LANGUAGE_NUMBERS[lang];
+  if (!spec) return t;
+  const sep = `[${spec.separators}]`;
+  const number = new RegExp(
+    String.raw`(?<!\d)([-−](?=\d))?(\d{1,3}(?:${sep}\d{3})+(?!\d)|\d+)(?:[,.](\d+))?`, 'gu');
+  const spell = (digits) => [...digits].map(d => spec.below1000(Number(d))).join(' ');
+  return replaceMapped(t, number, (m) => {
+    const whole = m[2].replace(/\D/g, '');
+    let words = whole.length > 12 || (whole.length > 1 && whole.startsWith('0'))
+      ? spell(whole) : languageCardinal(Number(whole), lang);
+    if (m[3]) {
+      const frac = m[3];
+      const zeros = frac.match(/^0*/)[0];
+      words += ` ${spec.point} ` + (spec.fractionDigits || frac.length > 12 || zeros.length === frac.length
+        ? spell(frac) : [spell(zeros), languageCardinal(Number(frac), lang)].filter(Boolean).join(' '));
+    }
+    // Glued to letters ("MP3") the words still need a space
+    const before = /\p{L}/u.test(t.text[m.index - 1] ?? '') ? ' ' : '';
+    const after = /\p{L}/u.test(t.text[m.index + m[0].length] ?? '') ? ' ' : '';
+    return before + (m[1] ? spec.minus + ' ' : '') + words + after;
+  });
+}
+
+// =====================================================
+// TIMELINE BUILDER
+// Given word events with timing, produce a flat per-frame
+// schedule of { time_ms, visemeKey, duration_ms }
+// =====================================================
+function buildTimeline(wordEvents) {
+  // wordEvents: [{word, phonemes, wordStartMs, wordDurationMs}]
+  const frames = [];
+  let prevEndMs = null;              // rests go between words; before the first only its breath
+  for (const ev of wordEvents) {
+    const { phonemes, wordStartMs, wordDurationMs } = ev;
+    if (!phonemes.length) continue;
+
+    // Silence before the word: a phrase break, maybe with a breath in it
+    const restFromMs = prevEndMs ?? Math.max(0, wordStartMs - (ev.inhaleMs || 0));
+    if (wordStartMs - restFromMs >= 1) frames.push(restFrame(restFromMs, wordStartMs - restFromMs, ev.inhaleMs));
+    prevEndMs = wordStartMs + wordDurationMs;
+
+    const totalUnits = phonemes.reduce((s, p) => s + phonemeDuration(p), 0);
+
+    let t = wordStartMs;
+    phonemes.forEach((p, i) => {
+      const scaledDur = (phonemeDuration(p) / totalUnits) * wordDurationMs;
+      const frame = phonemeFrame(p, t, Math.max(30, scaledDur), ev.emphasis, ev.loudness);
+      if (i === 0 && ev.phraseEnd) frame.phraseEnd = ev.phraseEnd;
+      frames.push(frame);
+      t += scaledDur;
+    });
+  }
+  frames.sort((a,b) => a.timeMs - b.timeMs);
+  return frames;
+}
+
+function estimateWordDuration(phonemes) {
+  return phonemes.reduce((s, p) => s + phonemeDuration(p), 0);
+}
+
+// Estimate for a word event, faster or slower under SSML <prosody rate>
+// and the calibrated voice's own tempo
+function estimateEventDuration(ev) {
+  return estimateWordDuration(ev.phonemes) / ((ev.rate || 1) * voiceTiming.rate);
+}
+
+/**
+ * Author:SS-2005 
+ * Builds the full phoneme timeline from word events and the boundary
+ * events received so far ([{wordIdx, elapsedMs}]).
+ * Words with known start times use exact timing.
+ * Words after the last known word are estimated forward.
+ */
+function timelineFromWords(wordEvents, boundaryLog) {
+  const newFrames = [];
+
+  for (let wi = 0; wi < wordEvents.length; wi++) {
+    const wev = wordEvents[wi];
+    if (!wev.phonemes.length) continue;
+
+    let wordStartMs, wordDurationMs;
+    let restMs = wev.restMs || 0;
+
+    // Find this word in boundary log
+    const logged = boundaryLog.find(b => b.wordIdx === wi);
+    const nextLogged = boundaryLog.find(b => b.wordIdx > wi);
+
+    if (logged) {
+      wordStartMs = logged.elapsedMs;
+      // Duration = time until next word (less any comma rest), or estimate
+      if (nextLogged) {
+        wordDurationMs = spokenWindowMs(wev, nextLogged.elapsedMs - logged.elapsedMs);
+        restMs = nextLogged.elapsedMs - logged.elapsedMs - wordDurationMs;
+      } else {
+        // Estimate based on phoneme count
+        wordDurationMs = estimateEventDuration(wev);
+      }
+    } else if (boundaryLog.length > 0) {
+      // Estimate based on last known word
+      const lastLog = boundaryLog[boundaryLog.length - 1];
+      let offsetMs = 0;
+      for (let j = lastLog.wordIdx; j < wi; j++) {
+        if (wordEvents[j]) {
+          offsetMs += estimateEventDuration(wordEvents[j]) + (wordEvents[j].restMs || 0);
+        }
+      }
+      wordStartMs = lastLog.elapsedMs + offsetMs;
+      wordDurationMs = estimateEventDuration(wev);
+    } else {
+      // No boundary data yet – use pure estimate from start
+      let offsetMs = 0;
+      for (let j = 0; j < wi; j++) {
+        if (wordEvents[j]) offsetMs += estimateEventDuration(wordEvents[j]) + (wordEvents[j].restMs || 0);
+      }
+      wordStartMs = offsetMs;
+      wordDurationMs = estimateEventDuration(wev);
+    }
+
+    // Build phoneme frames for this word – stressed vowels take a bigger
+    // share of the word's window, unstressed ones a smaller one
+    const phones = wev.phonemes;
+    const totalUnits = phones.reduce((s, p) => s + phonemeDuration(p), 0);
+
+    let t = wordStartMs;
+    phones.forEach((p, i) => {
+      const dur = Math.max(28, (phonemeDuration(p) / totalUnits) * wordDurationMs);
+      const frame = phonemeFrame(p, t, dur, wev.emphasis, wev.loudness);
+      if (i === 0 && wev.phraseEnd) frame.phraseEnd = wev.phraseEnd;
+      newFrames.push(frame);
+      t += dur;
+    });
+    if (restMs >= 1) newFrames.push(restFrame(wordStartMs + wordDurationMs, restMs));
+  }
+
+  newFrames.sort((a,b) => a.timeMs - b.timeMs);
+  return newFrames;
+}
+
+/**
+ * The Speak button's text handling without a voice: normalizes and
+ * splits `text` the same way, then times every word. `wordTimes` holds
+ * a start time (ms) per word token, in order; words it pins last until
+ * the next pinned word, the rest are estimated, with `pauses` (per break
+ * strength, see PROSODIC PHRASING) at phrase breaks, or what an SSML
+ * <break> asks for; the mouth rests in 'sil' frames meanwhile.
+ * `rate` and `volume` are the voice's settings (1 = default): estimates
+ * and pauses shrink at faster rates, the mouth opens less when quieter.
+ * `senses` forces homograph senses as in textToPhonemeEvents, word
+ * indexes counting across the whole text. Returns { words, timeline }.
+ */
+function textToLipTimeline(text, { lang = 'en', wordTimes = [], pauses = PHRASE_BREAK_MS, senses = {}, rate = 1, volume = 1 } = {}) {
+  // SSML, markup and emoji are not words; emphasis still shows on the face
+  const ssml = readSsml(createMappedText(text), { lang });
+  const markup = readMarkup(ssml.text);
+  const emphasis = [...ssml.emphasis, ...markup.emphasis];
+  const spoken = extractExpressions(markup.text).text;
+  const prepared = lang === 'en' ? normalizeForSpeech(spoken) : expandNumbers(spoken, lang);
+  const words = [];
+  let cursorMs = 0;
+
+  const prosody = { rate, pitch: 1, volume };
+  for (const segment of speechSegments(prepared, ssml, { pauses, prosody, paragraphs: markup.paragraphs })) {
+    // Word-index overrides count across the whole text; segments count from 0
+    const segmentSenses = Object.fromEntries(Object.entries(senses).map(([k, v]) =>
+      [/^\d+$/.test(k) ? String(k - words.length) : k, v]));
+    const events = markPhrasing(markSsml(markEmphasis(
+      textToPhonemeEvents(cleanTextForSpeech(segment.text), lang, { senses: segmentSenses }), emphasis), ssml, prosody), segment);
+    if (events.length) cursorMs += segment.pauseMs;
+    for (const ev of events) {
+      const i = words.length;
+      const pinned = wordTimes[i] ?? null;
+      const startMs = pinned ?? cursorMs;
+      const durationMs = pinned !== null && wordTimes[i + 1] != null
+        ? spokenWindowMs(ev, wordTimes[i + 1] - pinned)
+        : estimateEventDuration(ev);
+      words.push({ ...ev, wordStartMs: startMs, wordDurationMs: durationMs });
+      cursorMs = startMs + durationMs + (ev.restMs || 0);
+    }
+  }
+  return { words, timeline: buildTimeline(words) };
+}
+
+// =====================================================
+// VOICE TIMING CALIBRATION
+// =====================================================
+// Estimates assume one average voice; real voices are faster or slower,
+// stretch vowels or consonants differently, and some fire their word
+// boundary events late. Every spoken utterance gives intervals between
+// anchors – its start, each measured word boundary and its end – whose
+// measured length should be
+//   Σ scale[class] · (base duration of that class in the interval) + lag · k
+// where k is +1 from the start to a boundary, −1 from a boundary to the
+// end and 0 between boundaries (a late boundary shortens the interval
+// after it). The normal equations of that least-squares problem are all
+// the stats keep, so they can be added to run after run and stored.
+// The fit pulls class scales toward the overall tempo while data is thin.
+// =====================================================
+const TIMING_UNKNOWNS     = PHONEME_CLASSES.length + 1;   // class scales, then lag
+const TIMING_PRIOR_WEIGHT = 2e5;   // ≈ a few words of evidence, in ms²
+const TIMING_LAG_PRIOR    = 2;     // ≈ two intervals measuring no lag
+const TIMING_MAX_ROWS     = 400;   // beyond this, older runs count for half
+const TIMING_LIMITS = { rate: [0.4, 2.5], class: [0.6, 1.6], lagMs: [0, 600] };
+
+function createTimingStats() {
+  return {
+    xtx: Array.from({ length: TIMING_UNKNOWNS }, () => new Array(TIMING_UNKNOWNS).fill(0)),
+    xty: new Array(TIMING_UNKNOWNS).fill(0),
+    rows: 0,
+  };
+}
+
+/**
+ * Adds one utterance to `stats`: `wordEvents` as given to
+ * timelineFromWords, `boundaryLog` the boundaries the voice really sent
+ * ([{wordIdx, elapsedMs}] – leave out spread-out guesses) and `endMs`
+ * the utterance's end on the same clock. Returns the intervals used.
+ */
+function addTimingObservation(stats, wordEvents, boundaryLog, endMs) {
+  const anchors = [
+    { wordIdx: 0, elapsedMs: 0, late: 0 },
+    ...[...boundaryLog].sort((a, b) => a.wordIdx - b.wordIdx).map(b => ({ wordIdx: b.wordIdx, elapsedMs: b.elapsedMs, late: 1 })),
+    { wordIdx: wordEvents.length, elapsedMs: endMs, late: 0 },
+  ];
+  let used = 0;
+  for (let k = 1; k < anchors.length; k++) {
+    const from = anchors[k - 1], to = anchors[k];
+    const row = new Array(TIMING_UNKNOWNS).fill(0);
+    for (const ev of wordEvents.slice(from.wordIdx, to.wordIdx)) {
+      ev.phonemes.forEach(p => { row[PHONEME_CLASSES.indexOf(phonemeClass(p))] += basePhonemeDuration(p) / (ev.rate || 1); });
+    }
+    row[TIMING_UNKNOWNS - 1] = to.late - from.late;
+    const predicted = row.slice(0, -1).reduce((s, d) => s + d, 0);
+    const rests = wordEvents.slice(from.wordIdx, to.wordIdx).reduce((sum, ev) => sum + (ev.restMs || 0), 0);
+    const measured = to.elapsedMs - from.elapsedMs - rests;
+    // Lost or repeated boundaries make intervals no voice could produce
+    if (!(measured > 0) || (predicted === 0 ? row[TIMING_UNKNOWNS - 1] === 0 || measured > TIMING_LIMITS.lagMs[1]
+      : measured / predicted < 0.25 || measured / predicted > 4)) continue;
+    row.forEach((v, i) => {
+      row.forEach((w, j) => { stats.xtx[i][j] += v * w; });
+      stats.xty[i] += v * measured;
+    });
+    used++;
+  }
+  stats.rows += used;
+  if (stats.rows > TIMING_MAX_ROWS) {
+    stats.xtx.forEach(r => r.forEach((_, j) => { r[j] /= 2; }));
+    stats.xty.forEach((_, i) => { stats.xty[i] /= 2; });
+    stats.rows /= 2;
+  }
+  return used;
+}
+
+// Gaussian elimination with partial pivoting; null when singular
+function solveLinear(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(m[r][c]) > Math.abs(m[pivot][c])) pivot = r;
+    if (Math.abs(m[pivot][c]) < 1e-9) return null;
+    [m[c], m[pivot]] = [m[pivot], m[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = m[r][c] / m[c][c];
+      for (let k = c; k <= n; k++) m[r][k] -= f * m[c][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+const clampTo = ([lo, hi], v) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Stats → { rate, classes, boundaryLagMs, rows } for setVoiceTiming.
+ * The overall tempo (one scale for every class, plus lag) is solved
+ * first; the class scales then lean on it through a ridge prior.
+ */
+function fitVoiceTiming(stats) {
+  if (!stats?.rows) return structuredClone(NEUTRAL_VOICE_TIMING);
+  const { xtx, xty } = stats;
+  const L = TIMING_UNKNOWNS - 1, C = PHONEME_CLASSES.length;
+  const sum = (f) => { let s = 0; for (let i = 0; i < C; i++) s += f(i); return s; };
+
+  // Overall tempo: every class column summed into one
+  let both = 0;
+  for (let i = 0; i < C; i++) for (let j = 0; j < C; j++) both += xtx[i][j];
+  const overall = solveLinear(
+    [[both + TIMING_PRIOR_WEIGHT, sum(i => xtx[i][L])], [sum(i => xtx[L][i]), xtx[L][L] + TIMING_LAG_PRIOR]],
+    [sum(i => xty[i]) + TIMING_PRIOR_WEIGHT, xty[L]],
+  );
+  const tempo = overall ? clampTo([1 / TIMING_LIMITS.rate[1], 1 / TIMING_LIMITS.rate[0]], overall[0]) : 1;
+
+  const a = xtx.map((row, i) => row.map((v, j) => v + (i === j ? (i === L ? TIMING_LAG_PRIOR : TIMING_PRIOR_WEIGHT) : 0)));
+  const b = xty.map((v, i) => v + (i === L ? 0 : TIMING_PRIOR_WEIGHT * tempo));
+  const x = solveLinear(a, b) || [...new Array(C).fill(tempo), overall?.[1] ?? 0];
+
+  return {
+    rate: 1 / tempo,
+    boundaryLagMs: clampTo(TIMING_LIMITS.lagMs, x[L]),
+    rows: stats.rows,
+    classes: Object.fromEntries(PHONEME_CLASSES.map((c, i) => [c, clampTo(TIMING_LIMITS.class, x[i] / tempo)])),
+  };
+}
+
+// Makes estimates follow a fitted voice (null: the neutral average voice)
+function setVoiceTiming(timing) {
+  Object.assign(voiceTiming, structuredClone(timing || NEUTRAL_VOICE_TIMING));
+}
+
+// =====================================================
+// AUDIO ANALYSIS – visemes from a recorded voice
+// =====================================================
+// Every ~32 ms window of audio is reduced to a few features (loudness,
+// zero-crossing rate, spectral centroid, energy in four formant-ish bands
+// plus rough F1/F2 estimates) and classified into a VISEME_SHAPES key.
+// The same code runs on live AnalyserNode data and on an
+// OfflineAudioContext render, so a decoded buffer gives the exact frames
+// the face would show while it plays.
+// =====================================================
+const AUDIO_WINDOW_MS     = 32;
+const AUDIO_HOP_MS        = 16;      // offline step – about one render frame
+const AUDIO_ANALYSIS_RATE = 16000;   // offline renders are resampled to this
+const AUDIO_SILENCE_DB    = -50;     // absolute gate, dBFS
+const AUDIO_DYNAMIC_DB    = 30;      // range below the running peak that still moves the jaw
+const AUDIO_PEAK_DECAY_DB = 0.05;    // per window, so the gate follows quieter takes
+const AUDIO_FRICATION_ZCR = 2500;    // zero crossings per second above which noise wins
+const AUDIO_SHAPE_HOLD    = 2;       // windows a new shape must persist before it shows
+
+// Frequency bands (Hz): F1 region, F2 region, upper formants, frication
+const AUDIO_BANDS = {
+  low:  [150, 900],
+  mid:  [900, 2500],
+  high: [2500, 4500],
+  fric: [4500, 8000],
+};
+const BAND_NAMES = Object.keys(AUDIO_BANDS);
+
+const hannWindows = new Map();
+
+function hannWindow(n) {
+  if (!hannWindows.has(n)) {
+    const w = new Float32Array(n);
+    for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+    hannWindows.set(n, w);
+  }
+  return hannWindows.get(n);
+}
+
+// In-place iterative radix-2 FFT; length must be a power of two
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < half; k++) {
+        const a = i + k, b = a + half;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr;        im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+// Power-of-two window length closest to AUDIO_WINDOW_MS at this rate
+function audioWindowSize(sampleRate, windowMs = AUDIO_WINDOW_MS) {
+  return 2 ** Math.round(Math.log2((sampleRate * windowMs) / 1000));
+}
+
+/**
+ * Features of one window of mono samples (length a power of two).
+ * Spectral values only look at 150–8000 Hz so they read the same at
+ * 16 kHz and 48 kHz; band energies are shares of that range.
+ */
+function audioFeatures(samples, sampleRate) {
+  const n = samples.length;
+  const win = hannWindow(n);
+  const re = new Float32Array(n), im = new Float32Array(n);
+  let sumSq = 0, crossings = 0;
+  for (let i = 0; i < n; i++) {
+    const s = samples[i];
+    sumSq += s * s;
+    if (i && (s >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    re[i] = s * win[i];
+  }
+  fft(re, im);
+
+  const bands = { low: 0, mid: 0, high: 0, fric: 0 };
+  const binHz = sampleRate / n;
+  let total = 0, weighted = 0, f1Sum = 0, f2Sum = 0;
+  for (let k = 1; k < n / 2; k++) {
+    const hz = k * binHz;
+    const band = BAND_NAMES.find(b => hz >= AUDIO_BANDS[b][0] && hz < AUDIO_BANDS[b][1]);
+    if (!band) continue;
+    const p = re[k] * re[k] + im[k] * im[k];
+    bands[band] += p;
+    total += p;
+    weighted += p * hz;
+    if (band === 'low') f1Sum += p * hz;
+    if (band === 'mid') f2Sum += p * hz;
+  }
+
+  const rms = Math.sqrt(sumSq / n);
+  return {
+    rmsDb: 20 * Math.log10(rms + 1e-9),
+    zcr: (crossings / n) * sampleRate,
+    centroid: total ? weighted / total : 0,
+    f1: bands.low ? f1Sum / bands.low : 0,
+    f2: bands.mid ? f2Sum / bands.mid : 0,
+    bands: Object.fromEntries(Object.entries(bands).map(([b, e]) => [b, total ? e / total : 0])),
+  };
+}
+
+/**
+ * Best-guess viseme for an audible window. Deliberately coarse: noise
+ * high up is frication, a low hum is a closed mouth, anything voiced is
+ * placed on a small vowel chart by openness (F1) and frontness (F2).
+ */
+function audioFeaturesToShape(f) {
+  const { low, high, fric } = f.bands;
+  if (high + fric > 0.55 && f.zcr > AUDIO_FRICATION_ZCR) {
+    if (f.centroid > 5200) return 'SS';
+    if (f.centroid > 3400) return 'SH';
+    return 'FF';
+  }
+  if (low > 0.85 && f.f1 < 350) return 'MM';
+  if (f.f1 > 650) return f.f2 > 1500 ? 'AE' : 'AA';
+  if (f.f1 > 450) return f.f2 > 1700 ? 'EH' : f.f2 < 1200 ? 'AO' : 'AH';
+  if (f.f2 > 1900) return 'IY';
+  if (f.f2 > 1500) return 'IH';
+  return f.f2 < 1100 ? 'UW' : 'OW';
+}
+
+/**
+ * Running loudness and shape hysteresis for one audio stream. A live
+ * input can set its own noise gate (`gateDb`, dBFS), a `sensitivity`
+ * gain on the measured level and `hold` (windows a new shape must last –
+ * fewer reacts faster); tuneAudioVisemeState() changes them on the fly.
+ */
+function createAudioVisemeState(options = {}) {
+  const state = { peakDb: AUDIO_SILENCE_DB + AUDIO_DYNAMIC_DB, shapeKey: 'sil', pending: 'sil', pendingCount: 0 };
+  return tuneAudioVisemeState(state, { gateDb: AUDIO_SILENCE_DB, sensitivity: 1, hold: AUDIO_SHAPE_HOLD, ...options });
+}
+
+function tuneAudioVisemeState(state, { gateDb = state.gateDb, sensitivity = null, hold = state.hold } = {}) {
+  state.gateDb = gateDb;
+  if (sensitivity !== null) state.gainDb = 20 * Math.log10(Math.max(1e-3, sensitivity));
+  state.hold = hold;
+  return state;
+}
+
+/**
+ * Classifies one window against the stream's running peak.
+ * Returns { shapeKey, amplitude } with amplitude 0 for silence.
+ */
+function classifyAudioWindow(features, state) {
+  const rmsDb = features.rmsDb + state.gainDb;
+  state.peakDb = Math.max(rmsDb, state.peakDb - AUDIO_PEAK_DECAY_DB);
+  const gateDb = Math.max(state.gateDb, state.peakDb - AUDIO_DYNAMIC_DB);
+  const range  = state.peakDb - gateDb;
+  const level  = range > 0 ? Math.max(0, Math.min(1, (rmsDb - gateDb) / range)) : 0;
+
+  const candidate = level > 0 ? audioFeaturesToShape(features) : 'sil';
+  if (candidate !== state.pending) {
+    state.pending = candidate;
+    state.pendingCount = 0;
+  }
+  if (++state.pendingCount >= state.hold) state.shapeKey = candidate;
+
+  return {
+    shapeKey: state.shapeKey,
+    amplitude: state.shapeKey === 'sil' ? 0 : 0.35 + 0.65 * level,
+  };
+}
+
+/**
+ * Renders a decoded AudioBuffer to mono at AUDIO_ANALYSIS_RATE through an
+ * OfflineAudioContext and classifies it window by window. Resolves to
+ * lipTimeline-style frames ({ timeMs, shapeKey, durationMs, amplitude }),
+ * stamped at window centres, with runs of one shape merged.
+ */
+async function analyzeAudioBuffer(buffer, hopMs = AUDIO_HOP_MS) {
+  const length = Math.max(1, Math.ceil(buffer.duration * AUDIO_ANALYSIS_RATE));
+  const ctx = new OfflineAudioContext(1, length, AUDIO_ANALYSIS_RATE);
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  src.connect(ctx.destination);
+  src.start();
+  const mono = (await ctx.startRendering()).getChannelData(0);
+
+  const size  = audioWindowSize(AUDIO_ANALYSIS_RATE);
+  const hop   = Math.round((AUDIO_ANALYSIS_RATE * hopMs) / 1000);
+  const state = createAudioVisemeState();
+  const frames = [];
+  for (let start = 0; start + size <= mono.length; start += hop) {
+    const features = audioFeatures(mono.subarray(start, start + size), AUDIO_ANALYSIS_RATE);
+    const { shapeKey, amplitude } = classifyAudioWindow(features, state);
+    const last = frames[frames.length - 1];
+    if (last && last.shapeKey === shapeKey) {
+      last.durationMs += hopMs;
+      last.amplitude = Math.max(last.amplitude, amplitude);
+    } else {
+      const timeMs = ((start + size / 2) / AUDIO_ANALYSIS_RATE) * 1000;
+      frames.push({ timeMs, shapeKey, durationMs: hopMs, amplitude });
+    }
+  }
+  return frames;
+}
+
+// =====================================================
+// ALIGNMENT IMPORT – timelines from offline aligners
+// =====================================================
+// Converts the output of forced aligners / lip-sync tools straight into
+// lipTimeline frames, bypassing boundary-event estimates entirely:
+//   • Rhubarb Lip Sync – JSON (mouthCues) or TSV ("0.00<TAB>X")
+//   • Praat TextGrid   – long or short text format, phone tier
+//   • Montreal Forced Aligner – TextGrid, JSON or CSV output
+//   • SRT / WebVTT subtitles – cue text through G2P (see SUBTITLE CUES)
+// ARPAbet labels go through phonemeFrame() so stress marks still count.
+// =====================================================
+
+// Rhubarb's mouth shapes (A–H basic, X rest) → nearest viseme
+const RHUBARB_TO_SHAPE = {
+  A: 'MM',   // closed: P B M
+  B: 'SS',   // slightly open, clenched teeth: K S T EE
+  C: 'EH',   // open: EH AE
+  D: 'AA',   // wide open: AA
+  E: 'ER',   // slightly rounded: AO ER
+  F: 'UW',   // puckered: UW OW W
+  G: 'FF',   // upper teeth on lower lip: F V
+  H: 'LL',   // tongue raised: long L
+  X: 'sil',  // idle
+};
+
+// Aligner labels that mean "no speech here"
+const ALIGNMENT_SILENCE = new Set(['', 'sil', 'sp', 'spn', '<eps>', '<sil>']);
+
+function rhubarbFrame(value, startSec, endSec) {
+  const shapeKey = RHUBARB_TO_SHAPE[String(value).toUpperCase()];
+  if (!shapeKey) throw new Error(`Unknown Rhubarb mouth shape "${value}"`);
+  return { timeMs: startSec * 1000, shapeKey, durationMs: (endSec - startSec) * 1000 };
+}
+
+function phoneLabelFrame(label, startSec, endSec) {
+  const timeMs = startSec * 1000, durationMs = (endSec - startSec) * 1000;
+  const phone = String(label).trim();
+  if (ALIGNMENT_SILENCE.has(phone.toLowerCase())) return { timeMs, shapeKey: 'sil', durationMs };
+  return phonemeFrame(phone.toUpperCase(), timeMs, durationMs);
+}
+
+function parseRhubarbTsv(text) {
+  const cues = text.trim().split(/\r?\n/).map(line => {
+    const [time, value] = line.trim().split(/\s+/);
+    return { start: Number(time), value };
+  });
+  return cues.slice(0, -1).map((c, i) => rhubarbFrame(c.value, c.start, cues[i + 1].start));
+}
+
+/**
+ * Tokenizes a TextGrid (long or short format) into its tiers. Both
+ * formats reduce to the same stream of strings and numbers once labels
+ * like "xmin =" and "intervals [3]:" are ignored.
+ */
+function parseTextGridTiers(text) {
+  const tokens = [];
+  const re = /"((?:[^"]|"")*)"|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)/g;
+  const body = text.replace(/\[\d*\]/g, '');
+  let m;
+  while ((m = re.exec(body))) tokens.push(m[1] !== undefined ? m[1].replace(/""/g, '"') : Number(m[2]));
+
+  // "ooTextFile" "TextGrid" xmin xmax size
+  let i = 4;
+  const tierCount = tokens[i++];
+  const tiers = [];
+  for (let t = 0; t < tierCount; t++) {
+    const cls = tokens[i++], name = tokens[i++];
+    i += 2;                                  // tier xmin / xmax
+    const count = tokens[i++];
+    const entries = [];
+    for (let k = 0; k < count; k++) {
+      if (cls === 'IntervalTier') { entries.push([tokens[i], tokens[i + 1], tokens[i + 2]]); i += 3; }
+      else { entries.push([tokens[i], tokens[i], tokens[i + 1]]); i += 2; }
+    }
+    tiers.push({ cls, name, entries });
+  }
+  if (tokens.length < i || tiers.some(t => t.entries.some(e => e.includes(undefined)))) {
+    throw new Error('TextGrid is truncated or malformed');
+  }
+  return tiers;
+}
+
+// The phone tier of an aligner's output: named "phones"/"phonemes", else the only interval tier
+function pickPhoneTier(tiers) {
+  const intervals = tiers.filter(t => t.cls === 'IntervalTier' || t.cls === 'interval');
+  const tier = intervals.find(t => /phone/i.test(t.name)) || (intervals.length === 1 ? intervals[0] : null);
+  if (!tier) throw new Error('No phone tier found');
+  return tier;
+}
+
+/**
+ * Parses aligner output into lipTimeline frames sorted by time.
+ * `name` (the file name) only breaks ties when the content is ambiguous;
+ * `lang` is the G2P language for subtitle text.
+ * Returns { format, frames, cueCount }; throws with a readable message otherwise.
+ */
+function parseAlignment(text, name = '', { lang = 'en' } = {}) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let format, frames, cueCount;
+
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data.mouthCues)) {
+      format = 'Rhubarb JSON';
+      frames = data.mouthCues.map(c => rhubarbFrame(c.value, c.start, c.end));
+    } else if (data.tiers) {
+      format = 'MFA JSON';
+      const tiers = Object.entries(data.tiers).map(([tierName, tier]) => ({ cls: tier.type, name: tierName, entries: tier.entries }));
+      frames = pickPhoneTier(tiers).entries.map(([start, end, label]) => phoneLabelFrame(label, start, end));
+    } else {
+      throw new Error('Unrecognised JSON alignment (expected Rhubarb mouthCues or MFA tiers)');
+    }
+  } else if (/^File type\s*=\s*"ooTextFile"/.test(trimmed) || /\.textgrid$/i.test(name)) {
+    format = 'TextGrid';
+    frames = pickPhoneTier(parseTextGridTiers(trimmed)).entries.map(([start, end, label]) => phoneLabelFrame(label, start, end));
+  } else if (/^WEBVTT/.test(trimmed) || /\.(srt|vtt)$/i.test(name) || SUBTITLE_TIME_RE.test(trimmed.slice(0, 200))) {
+    format = /^WEBVTT/.test(trimmed) || /\.vtt$/i.test(name) ? 'WebVTT' : 'SubRip';
+    const cues = parseSubtitles(trimmed);
+    cueCount = cues.length;
+    frames = subtitleTimeline(cues, lang);
+  } else if (/^begin,end,label/i.test(trimmed)) {
+    format = 'MFA CSV';
+    const [header, ...rows] = trimmed.split(/\r?\n/);
+    const cols = header.toLowerCase().split(',');
+    const [bi, ei, li, ti] = ['begin', 'end', 'label', 'type'].map(c => cols.indexOf(c));
+    frames = rows.map(r => r.split(','))
+      .filter(r => ti < 0 || /phone/i.test(r[ti]))
+      .map(r => phoneLabelFrame(r[li], Number(r[bi]), Number(r[ei])));
+  } else if (/^\d+(\.\d+)?\s+[A-HX]\s*$/m.test(trimmed)) {
+    format = 'Rhubarb TSV';
+    frames = parseRhubarbTsv(trimmed);
+  } else {
+    throw new Error('Unrecognised alignment format');
+  }
+
+  frames = frames.filter(f => Number.isFinite(f.timeMs) && f.durationMs > 0);
+  if (!frames.length) throw new Error(`${format} file has no usable cues`);
+  frames.sort((a, b) => a.timeMs - b.timeMs);
+  return { format, frames, cueCount: cueCount ?? frames.length };
+}
+
+/**
+ * Frames from a TTS engine's phoneme timestamps, [{ phoneme, start, end }]
+ * in seconds. Labels are ARPAbet (upper case, "AH0") or IPA ("ə").
+ */
+function timedPhonemeFrames(phones) {
+  return phones
+    .map(({ phoneme, start, end }) => {
+      const label = String(phoneme ?? '').trim();
+      const timeMs = start * 1000, durationMs = (end - start) * 1000;
+      return ALIGNMENT_SILENCE.has(label.toLowerCase())
+        ? { timeMs, shapeKey: 'sil', durationMs }
+        : phonemeFrame(label, timeMs, durationMs);
+    })
+    .filter(f => Number.isFinite(f.timeMs) && f.durationMs > 0)
+    .sort((a, b) => a.timeMs - b.timeMs);
+}
+
+// =====================================================
+// SUBTITLE CUES – SRT / WebVTT captions as timing
+// =====================================================
+// Each cue's text goes through the same normalization and G2P as the
+// Speak button (textToLipTimeline), then its words are fitted into the
+// cue window with the usual per-phoneme weighting. Captions often stay
+// up after the line is spoken, so a cue's speech is stretched at most
+// SUBTITLE_MAX_STRETCH× and the rest of its window is silence. Time
+// between cues becomes 'sil' frames flagged `idle`, which the player
+// hands to the idle layer until the next line.
+// =====================================================
+const SUBTITLE_MAX_STRETCH = 1.5;
+const SUBTITLE_TIME_RE = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// "01:02:03,500" (SRT) or "02:03.500" (WebVTT) → ms
+function subtitleTimeMs(stamp) {
+  const [clock, frac] = stamp.split(/[.,]/);
+  return clock.split(':').reduce((s, part) => s * 60 + Number(part), 0) * 1000 + Number(frac.padEnd(3, '0'));
+}
+
+// Caption markup → spoken text: <i>, <v Name>, <c.loud>, <00:01.000>, {\an8}, &amp;
+function subtitleCueText(lines) {
+  return lines.join(' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits SRT or WebVTT text into cues [{startMs, endMs, text}] sorted by
+ * start. Blocks without a timing line (WEBVTT header, NOTE, STYLE,
+ * REGION) are skipped, as are cues with no text.
+ */
+function parseSubtitles(text) {
+  const cues = [];
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.trim().split('\n');
+    const timingAt = lines.findIndex(l => SUBTITLE_TIME_RE.test(l));
+    if (timingAt < 0) continue;
+    const [, start, end] = lines[timingAt].match(SUBTITLE_TIME_RE);
+    const startMs = subtitleTimeMs(start), endMs = subtitleTimeMs(end);
+    const cueText = subtitleCueText(lines.slice(timingAt + 1));
+    if (cueText && endMs > startMs) cues.push({ startMs, endMs, text: cueText });
+  }
+  return cues.sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Timeline for subtitle cues in `lang`: speech inside each cue window,
+ * idle silence between cues. Frames come back sorted by time.
+ */
+function subtitleTimeline(cues, lang = 'en') {
+  const frames = [];
+  let cursorMs = 0;
+  for (const cue of cues) {
+    const { words } = textToLipTimeline(cue.text, { lang });
+    if (!words.length) continue;
+    const last = words[words.length - 1];
+    const scale = Math.min((cue.endMs - cue.startMs) / (last.wordStartMs + last.wordDurationMs), SUBTITLE_MAX_STRETCH);
+
+    if (cue.startMs > cursorMs) frames.push({ timeMs: cursorMs, shapeKey: 'sil', durationMs: cue.startMs - cursorMs, idle: true });
+    // A breath before the first word would reach back into the idle gap
+    frames.push(...buildTimeline(words.map(w => ({
+      ...w,
+      wordStartMs: cue.startMs + w.wordStartMs * scale,
+      wordDurationMs: w.wordDurationMs * scale,
+    }))).filter(f => f.timeMs >= cue.startMs));
+
+    const spokenEndMs = cue.startMs + (last.wordStartMs + last.wordDurationMs) * scale;
+    if (cue.endMs > spokenEndMs) frames.push({ timeMs: spokenEndMs, shapeKey: 'sil', durationMs: cue.endMs - spokenEndMs });
+    cursorMs = Math.max(cursorMs, cue.endMs);
+  }
+  return frames.sort((a, b) => a.timeMs - b.timeMs);
+}
+
+// =====================================================
+// MORPH WEIGHTS – what a timeline does to the face
+// =====================================================
+// Morphs that raise the lower lip; limited by how far the jaw is open
+const LOWER_LIP_RAISERS = ['mouthClose', 'mouthRollLower', 'mouthPress_L', 'mouthPress_R', 'mouthShrugLower'];
+
+// Linear mix of two shapes: t = 0 → a, t = 1 → b
+function mixShapes(a, b, t) {
+  const out = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(m => {
+    out[m] = (a[m] || 0) * (1 - t) + (b[m] || 0) * t;
+  });
+  return out;
+}
+
+// Shape a timeline frame should show, with unstressed vowel reduction applied
+function frameShape(frame) {
+  if (!frame.reduction) return frame.shapeKey;
+  const full = VISEME_SHAPES[frame.shapeKey] || VISEME_SHAPES.sil;
+  return mixShapes(full, VISEME_SHAPES.AH, frame.reduction);
+}
+
+/**
+ * Target weight for every mouth morph when blending shape A into B,
+ * scaled by amplitude. Either shape may be a VISEME_SHAPES key or a
+ * ready-made shape object.
+ */
+function visemeTargets(shapeKeyA, shapeKeyB, blendFactor, amplitudeScale) {
+  const shapeA = typeof shapeKeyA === 'object' ? shapeKeyA : (VISEME_SHAPES[shapeKeyA] || VISEME_SHAPES.sil);
+  const shapeB = typeof shapeKeyB === 'object' ? shapeKeyB : (VISEME_SHAPES[shapeKeyB] || VISEME_SHAPES.sil);
+
+  // Build target map for all mouth morphs (default 0)
+  const targets = {};
+  MOUTH_MORPHS.forEach(m => targets[m] = 0);
+
+  // Blend A into targets
+  Object.entries(shapeA).forEach(([m, v]) => {
+    targets[m] = (targets[m] || 0) + v * (1 - blendFactor);
+  });
+  // Blend B into targets
+  Object.entries(shapeB).forEach(([m, v]) => {
+    targets[m] = (targets[m] || 0) + v * blendFactor;
+  });
+
+  // Scale by amplitude
+  Object.keys(targets).forEach(m => { targets[m] *= amplitudeScale * AMPLITUDE_MULTIPLIER; });
+
+  // ========== UPDATED SAFETY CLAMP (STRICT) ==========
+  // Prevent lower lip from rising above upper lip by clamping the *combined*
+  // effect of all morphs that raise the lower lip.
+  const jawAmt = targets['jawOpen'] || 0;
+
+  // Compute total raise from these morphs
+  let totalRaise = 0;
+  LOWER_LIP_RAISERS.forEach(m => totalRaise += targets[m] || 0);
+
+  // Maximum allowed raise based on jaw opening.
+  // When jaw is fully closed (0), we allow full raise (1.0).
+  // As jaw opens, allowed raise decreases linearly, reaching 0 at jawOpen = 0.15.
+  const maxRaise = Math.max(0, 1 - (jawAmt / 0.15));
+
+  if (totalRaise > maxRaise && maxRaise >= 0) {
+    // Scale down all raising morphs proportionally so total does not exceed maxRaise
+    const scale = maxRaise / totalRaise;
+    LOWER_LIP_RAISERS.forEach(m => {
+      if (targets[m]) targets[m] *= scale;
+    });
+  }
+  // ========== END SAFETY CLAMP ==========
+  return targets;
+}
+
+/**
+ * Strictly prevents the lower lip from rising above the upper lip.
+ * If the jaw is significantly open, any morph that lifts the lower lip
+ * is forced to zero. For moderately open jaws, mouthClose is capped.
+ * Works in place on a morph-name → weight map.
+ */
+function constrainLips(weights) {
+  const jaw = weights.jawOpen || 0;
+
+  // Jaw substantially open → no lower lip raising allowed
+  if (jaw > 0.1) {
+    LOWER_LIP_RAISERS.forEach(m => { weights[m] = 0; });
+  }
+  // Jaw slightly open – allow only a tiny bit of mouthClose
+  else if (jaw > 0.05 && weights.mouthClose > 0.2) {
+    weights.mouthClose = 0.2;
+  }
+  return weights;
+}
+
+// One smoothing step toward a target, faster opening than closing
+function smoothToward(current, target, inSpeed, outSpeed) {
+  const speed = target > current ? inSpeed : outSpeed;
+  return Math.max(0, Math.min(1, current + (target - current) * speed));
+}
+
+/**
+ * What the mouth shows `elapsedMs` into a timeline: the current frame's
+ * shape, blended into the next over its last 35 % (coarticulation), with
+ * a ramp in/out envelope and stress amplitude. `startIdx` lets per-frame
+ * callers resume the scan. Null when the timeline is empty.
+ */
+function timelineSample(timeline, elapsedMs, startIdx = 0) {
+  // Advance index to current frame
+  const idx = timelineIndexAt(timeline, elapsedMs, startIdx);
+
+  const frame = timeline[idx];
+  if (!frame) return null;
+
+  // How far through this phoneme are we? (0–1)
+  const progress = Math.max(0, Math.min(1,
+    (elapsedMs - frame.timeMs) / frame.durationMs
+  ));
+
+  // Coarticulation: blend with next phoneme in last 35% of current frame
+  const frameKey = frameShape(frame);
+  let blendShapeKey = frameKey;
+  let blendFactor   = 0;
+  let stressAmp     = frame.amplitude ?? 1;
+
+  if (progress > 0.65 && idx + 1 < timeline.length) {
+    const next = timeline[idx + 1];
+    blendShapeKey = frameShape(next);
+    blendFactor   = (progress - 0.65) / 0.35;
+    stressAmp    += ((next.amplitude ?? 1) - stressAmp) * blendFactor;
+  }
+
+  // Amplitude envelope: ramp up at start, ramp down at end of each phoneme
+  // This prevents sudden hard transitions and looks natural
+  let amp = 1.0;
+  if (progress < 0.12) amp = progress / 0.12;
+  else if (progress > 0.88) amp = (1.0 - progress) / 0.12;
+
+  return { idx, shapeA: frameKey, shapeB: blendShapeKey, blend: blendFactor, amplitude: amp * stressAmp };
+}
+
+// When the last frame of a timeline ends
+function timelineEndMs(timeline) {
+  return timeline.reduce((e, f) => Math.max(e, f.timeMs + f.durationMs), 0);
+}
+
+// A smoothing speed tuned per 60 Hz frame, converted for steps at `fps`
+function perFrameSpeed(speed, fps) {
+  return 1 - Math.pow(1 - speed, 60 / fps);
+}
+
+/**
+ * Renders a timeline to ARKIT_BLENDSHAPES weights at `fps`, running the
+ * same targets, smoothing and lip constraint as the live face. The
+ * smoothing speeds are per 60 Hz frame and are rescaled to `fps`.
+ * `coarticulation` picks the model (see COARTICULATION_MODELS).
+ * Only mouth morphs move. Returns [{ timeMs, weights: number[52] }].
+ */
+function sampleTimelineMorphs(timeline, { fps = 30, durationMs, tailMs = 250, coarticulation = 'dominance' } = {}) {
+  const endMs = durationMs ?? timelineEndMs(timeline) + tailMs;
+  const inSpeed = perFrameSpeed(VISEME_SMOOTHING_IN, fps), outSpeed = perFrameSpeed(VISEME_SMOOTHING_OUT, fps);
+
+  const current = Object.fromEntries(ARKIT_BLENDSHAPES.map(m => [m, 0]));
+  const frames = [];
+  let idx = 0;
+  for (let n = 0; n * 1000 / fps <= endMs; n++) {
+    const timeMs = n * 1000 / fps;
+    const sample = timelineTargets(timeline, timeMs, idx, coarticulation);
+    const targets = sample ? sample.targets : {};
+    if (sample) idx = sample.idx;
+    new Set([...MOUTH_MORPHS, ...Object.keys(targets)]).forEach(m => {
+      current[m] = smoothToward(current[m] || 0, targets[m] || 0, inSpeed, outSpeed);
+    });
+    if (sample?.closed) LIP_CLOSURE_MORPHS.forEach(m => { current[m] = targets[m] || 0; });
+    constrainLips(current);
+    frames.push({ timeMs, weights: ARKIT_BLENDSHAPES.map(m => current[m]) });
+  }
+  return frames;
+}
+
+// =====================================================
+// COARTICULATION – dominance model with lookahead
+// =====================================================
+// After Cohen & Massaro: every segment pulls each morph toward its own
+// target with a dominance that is full inside the segment and decays
+// exponentially before it (anticipation) and after it (carryover). The
+// morph is the dominance-weighted mean of the targets of the segments
+// around it. Dominance is per articulator channel and per kind of
+// segment, so a rounded vowel's lips reach back through the "s" in
+// "soon" while the tongue consonant barely resists. Bilabials are then
+// forced shut over the middle of their segment.
+// The older blender (timelineSample: current → next over the last 35 %)
+// stays available as 'blend' for comparison.
+// =====================================================
+const COARTICULATION_MODELS = ['dominance', 'blend'];
+const COARTICULATION_WINDOW = 4;      // segments considered on each side
+const REST_DOMINANCE        = 0.02;   // constant pull toward the closed rest pose
+
+// Which morphs move together
+const COARTICULATION_CHANNELS = {
+  jaw:      ['jawOpen', 'jawForward', 'jawLeft', 'jawRight',
+             'mouthLowerDown_L', 'mouthLowerDown_R', 'mouthUpperUp_L', 'mouthUpperUp_R'],
+  rounding: ['mouthFunnel', 'mouthPucker'],
+  closure:  ['mouthClose', 'mouthPress_L', 'mouthPress_R', 'mouthRollLower', 'mouthRollUpper'],
+  spread:   ['mouthSmile_L', 'mouthSmile_R', 'mouthStretch_L', 'mouthStretch_R',
+             'mouthDimple_L', 'mouthDimple_R'],
+  // every other morph is in 'rest'
+};
+const MORPH_CHANNEL = Object.fromEntries(
+  Object.entries(COARTICULATION_CHANNELS).flatMap(([ch, morphs]) => morphs.map(m => [m, ch]))
+);
+
+// Dominance (0–1) of each kind of segment over each channel
+const DOMINANCE_CLASSES = {
+  vowel:        { jaw: 1.0,  rounding: 0.7,  closure: 0.6, spread: 0.8,  rest: 0.8 },
+  rounded:      { jaw: 1.0,  rounding: 1.0,  closure: 0.6, spread: 0.6,  rest: 0.8 },
+  bilabial:     { jaw: 0.6,  rounding: 0.15, closure: 1.0, spread: 0.15, rest: 0.5 },
+  labiodental:  { jaw: 0.5,  rounding: 0.2,  closure: 1.0, spread: 0.3,  rest: 0.6 },
+  postalveolar: { jaw: 0.45, rounding: 0.7,  closure: 0.3, spread: 0.2,  rest: 0.6 },
+  lingual:      { jaw: 0.35, rounding: 0.05, closure: 0.4, spread: 0.15, rest: 0.6 },
+  silence:      { jaw: 0.8,  rounding: 0.3,  closure: 0.5, spread: 0.5,  rest: 0.8 },
+};
+
+// How far (ms) a segment reaches [before it, after it] – the e-folding distance
+const DOMINANCE_SPREAD_MS = {
+  jaw: [35, 30], rounding: [70, 50], closure: [30, 25], spread: [60, 45], rest: [50, 40],
+};
+const ROUNDING_LOOKAHEAD_MS = [120, 80];   // rounded vowels: lips round early
+
+const SHAPE_DOMINANCE_CLASS = {
+  sil: 'silence',
+  PP: 'bilabial', BB: 'bilabial', MM: 'bilabial',
+  FF: 'labiodental',
+  SH: 'postalveolar', CH: 'postalveolar', RR: 'postalveolar',
+  TH: 'lingual', DD: 'lingual', NN: 'lingual', SS: 'lingual', LL: 'lingual',
+  RR_trill: 'lingual', KK: 'lingual', NN_velar: 'lingual', HH: 'lingual', YY: 'lingual',
+  WW: 'rounded', UW: 'rounded', UH: 'rounded', OW: 'rounded', AO: 'rounded',
+  ER: 'rounded', UE: 'rounded', OE: 'rounded', AW: 'rounded', OY: 'rounded',
+  // anything else is a vowel
+};
+
+// Morphs a bilabial sets outright; callers skip smoothing on them while `closed`
+const LIP_CLOSURE_MORPHS = [
+  'jawOpen', 'mouthClose', 'mouthPress_L', 'mouthPress_R',
+  'mouthLowerDown_L', 'mouthLowerDown_R', 'mouthUpperUp_L', 'mouthUpperUp_R',
+];
+const BILABIAL_HOLD = 0.5;   // middle fraction of a bilabial that is fully shut
+
+const SILENCE_FRAME = { shapeKey: 'sil', amplitude: 1 };
+const frameTargetCache = new WeakMap();
+
+// A frame's own morph targets, before any neighbour has a say
+function frameTargets(frame) {
+  let targets = frameTargetCache.get(frame);
+  if (!targets) {
+    const shape = frameShape(frame);
+    targets = visemeTargets(shape, shape, 0, frame.amplitude ?? 1);
+    frameTargetCache.set(frame, targets);
+  }
+  return targets;
+}
+
+// Index of the frame playing at `elapsedMs`, scanning on from `startIdx`
+function timelineIndexAt(timeline, elapsedMs, startIdx = 0) {
+  let idx = startIdx;
+  while (idx < timeline.length - 1 && elapsedMs >= timeline[idx + 1].timeMs) idx++;
+  return idx;
+}
+
+// Segments around `idx` – real frames plus silence before, after and in gaps
+function dominanceSegments(timeline, idx) {
+  const lo = Math.max(0, idx - COARTICULATION_WINDOW);
+  const hi = Math.min(timeline.length - 1, idx + COARTICULATION_WINDOW);
+  const segments = [];
+  if (lo === 0) segments.push({ start: -Infinity, end: timeline[0].timeMs, frame: SILENCE_FRAME });
+  for (let i = lo; i <= hi; i++) {
+    const frame = timeline[i], end = frame.timeMs + frame.durationMs;
+    segments.push({ start: frame.timeMs, end, frame });
+    const nextStart = i + 1 < timeline.length ? timeline[i + 1].timeMs : Infinity;
+    if (nextStart - end > 1) segments.push({ start: end, end: nextStart, frame: SILENCE_FRAME });
+  }
+  return segments;
+}
+
+// Dominance of a segment over `channel` at `t`
+function segmentDominance(segment, channel, t) {
+  const cls = SHAPE_DOMINANCE_CLASS[segment.frame.shapeKey] || 'vowel';
+  const alpha = DOMINANCE_CLASSES[cls][channel];
+  if (t >= segment.start && t < segment.end) return alpha;
+  const [ahead, behind] = cls === 'rounded' && channel === 'rounding'
+    ? ROUNDING_LOOKAHEAD_MS : DOMINANCE_SPREAD_MS[channel];
+  return t < segment.start
+    ? alpha * Math.exp(-(segment.start - t) / ahead)
+    : alpha * Math.exp(-(t - segment.end) / behind);
+}
+
+/**
+ * Dominance-model targets `elapsedMs` into a timeline, around frame
+ * `idx`. `closed` is true while a bilabial holds the lips shut; its
+ * LIP_CLOSURE_MORPHS targets are then the bilabial's own.
+ */
+function dominanceTargets(timeline, elapsedMs, idx) {
+  const segments = dominanceSegments(timeline, idx);
+  const segTargets = segments.map(s => frameTargets(s.frame));
+  const morphs = new Set(MOUTH_MORPHS);
+  segTargets.forEach(t => Object.keys(t).forEach(m => morphs.add(m)));
+
+  const targets = {};
+  morphs.forEach(m => {
+    const channel = MORPH_CHANNEL[m] || 'rest';
+    let sum = 0, weight = REST_DOMINANCE;
+    segments.forEach((s, i) => {
+      const d = segmentDominance(s, channel, elapsedMs);
+      sum += d * (segTargets[i][m] || 0);
+      weight += d;
+    });
+    targets[m] = sum / weight;
+  });
+
+  // Bilabials always close fully, whatever the neighbours want
+  const frame = timeline[idx];
+  const holdMs = frame.durationMs * (1 - BILABIAL_HOLD) / 2;
+  const closed = SHAPE_DOMINANCE_CLASS[frame.shapeKey] === 'bilabial'
+    && elapsedMs >= frame.timeMs + holdMs
+    && elapsedMs <= frame.timeMs + frame.durationMs - holdMs;
+  if (closed) {
+    const own = frameTargets(frame);
+    LIP_CLOSURE_MORPHS.forEach(m => { targets[m] = own[m] || 0; });
+  }
+  return { targets, closed };
+}
+
+/**
+ * Mouth morph targets `elapsedMs` into a timeline under `model` – one
+ * of COARTICULATION_MODELS. Returns { idx, targets, closed } (see
+ * dominanceTargets), or null when the timeline is empty.
+ */
+function timelineTargets(timeline, elapsedMs, startIdx = 0, model = 'dominance') {
+  if (model === 'blend') {
+    const sample = timelineSample(timeline, elapsedMs, startIdx);
+    if (!sample) return null;
+    const targets = visemeTargets(sample.shapeA, sample.shapeB, sample.blend, sample.amplitude);
+    return { idx: sample.idx, targets, closed: false };
+  }
+  if (!timeline.length) return null;
+  const idx = timelineIndexAt(timeline, elapsedMs, startIdx);
+  return { idx, ...dominanceTargets(timeline, elapsedMs, idx) };
+}
+
+// =====================================================
+// FACE ANIMATION – expression, blinks and head motion
+// =====================================================
+// Everything the live face does besides the mouth, written as functions
+// of time so avatar.js and bakeFaceAnimation() move the face the same
+// way. A "moves" map is morph → [target, inSpeed, outSpeed], the
+// arguments of smoothToward(); speeds are per 60 Hz frame.
+// =====================================================
+const EXPRESSION_INTENSITY = 0.22;
+const SMILE_DURATION_MS    = 1800;   // how long the post-speech smile holds
+const SMILE_FADE_MS        = 600;    // how long it fades in/out
+const SMILE_TOTAL_MS       = SMILE_DURATION_MS + SMILE_FADE_MS * 2;
+const BLINK_FRAMES         = 8;      // 60 Hz frames from open to shut to open
+const HEAD_SMOOTHING       = 0.08;   // head rotation lerp per 60 Hz frame
+const HEAD_IDLE_DRIFT_SPEED = 0.15;
+const HEAD_IDLE_AMPLITUDE   = 0.006;
+
+// Brow and cheek movement layered over any speaking mouth
+function speechExpressionMoves(elapsedMs) {
+  const t = elapsedMs * 0.001;
+  const browDown = Math.max(0, -Math.sin(t * 1.8) * 0.15);
+  const cheek    = Math.max(0, Math.sin(t * 1.5) * 0.08);
+  return {
+    browInnerUp:   [Math.max(0, Math.sin(t * 2.2) * EXPRESSION_INTENSITY * 0.5), 0.1, 0.08],
+    browDown_L:    [browDown, 0.1, 0.08],
+    browDown_R:    [browDown, 0.1, 0.08],
+    cheekSquint_L: [cheek, 0.06, 0.05],
+    cheekSquint_R: [cheek, 0.06, 0.05],
+  };
+}
+
+// Breathing jaw and brow while idle; `breathePhase` advances 0.8 per second
+function idleMoves(breathePhase) {
+  const b = Math.sin(breathePhase) * 0.012 + 0.012;
+  const brow = Math.sin(breathePhase * 0.5) * EXPRESSION_INTENSITY * 0.3;
+  // Only animate jawOpen for breathing – never mouthClose alongside it
+  return {
+    jawOpen:     [b, 0.03, 0.03],
+    mouthClose:  [0, 0.03, 0.03],
+    browInnerUp: [Math.max(0, brow), 0.05, 0.05],
+  };
+}
+
+// Post-speech smile `elapsedMs` after it was triggered: fade in, hold, fade out
+function smileMoves(elapsedMs) {
+  let weight = 0;
+  if (elapsedMs < SMILE_FADE_MS) {
+    weight = elapsedMs / SMILE_FADE_MS;
+  } else if (elapsedMs < SMILE_FADE_MS + SMILE_DURATION_MS) {
+    weight = 1.0;
+  } else if (elapsedMs < SMILE_TOTAL_MS) {
+    weight = 1.0 - (elapsedMs - SMILE_FADE_MS - SMILE_DURATION_MS) / SMILE_FADE_MS;
+  }
+  const s = weight * 0.52;
+  return {
+    mouthSmile_L:  [s,       0.08, 0.06],
+    mouthSmile_R:  [s,       0.08, 0.06],
+    cheekSquint_L: [s * 0.5, 0.08, 0.06],
+    cheekSquint_R: [s * 0.5, 0.08, 0.06],
+    browOuterUp_L: [s * 0.3, 0.06, 0.05],
+    browOuterUp_R: [s * 0.3, 0.06, 0.05],
+    mouthDimple_L: [s * 0.4, 0.07, 0.05],
+    mouthDimple_R: [s * 0.4, 0.07, 0.05],
+  };
+}
+
+// Brows up and eyes a little wider while an emphasized word is spoken, more for 'strong'
+function emphasisMoves(level = 'moderate') {
+  const k = level === 'strong' ? 1.5 : 1;
+  return {
+    browInnerUp:   [EXPRESSION_INTENSITY * 1.6 * k, 0.12, 0.06],
+    browOuterUp_L: [EXPRESSION_INTENSITY * 1.2 * k, 0.12, 0.06],
+    browOuterUp_R: [EXPRESSION_INTENSITY * 1.2 * k, 0.12, 0.06],
+    eyeWide_L:     [0.15 * k, 0.1, 0.06],
+    eyeWide_R:     [0.15 * k, 0.1, 0.06],
+  };
+}
+
+// Phrase-final gestures (see markPhrasing) and the breath before a long
+// phrase: morph targets and a head rotation offset (radians, +x drops the chin)
+const PHRASE_GESTURE_MS = 900;
+const PHRASE_GESTURES = {
+  statement:   { head: { x: 0.03,   y: 0, z: 0 },     morphs: {} },
+  exclamation: { head: { x: 0.04,   y: 0, z: 0 },     morphs: { eyeWide_L: 0.12, eyeWide_R: 0.12 } },
+  question:    { head: { x: -0.015, y: 0, z: 0.045 }, morphs: { browInnerUp: 0.4, browOuterUp_L: 0.35, browOuterUp_R: 0.35 } },
+  inhale:      { head: { x: -0.02,  y: 0, z: 0 },     morphs: { jawOpen: 0.1, noseSneer_L: 0.12, noseSneer_R: 0.12 } },
+};
+
+/**
+ * A phrase gesture `elapsedMs` after it began: { moves, head }, `head`
+ * to add to the head target. Phrase ends come in quickly and ease off
+ * over `durationMs`; the inhale swells and falls.
+ */
+function phraseMoves(kind, elapsedMs, durationMs = PHRASE_GESTURE_MS) {
+  const gesture = PHRASE_GESTURES[kind];
+  const p = elapsedMs / durationMs;
+  const weight = !gesture || p < 0 || p > 1 ? 0
+    : kind === 'inhale' ? Math.sin(Math.PI * p) : Math.min(1, p / 0.25, (1 - p) / 0.45);
+  const moves = {};
+  Object.entries(gesture?.morphs ?? {}).forEach(([m, v]) => { moves[m] = [v * weight, 0.15, 0.1]; });
+  const head = gesture?.head ?? { x: 0, y: 0, z: 0 };
+  return { moves, head: { x: head.x * weight, y: head.y * weight, z: head.z * weight } };
+}
+
+// Full-face poses: the click reactions, also shown for emoji (see extractExpressions),
+// and the face held while a chat reply is on its way
+const EXPRESSION_POSES = {
+  surprise: { browInnerUp:0.6, browOuterUp_L:0.5, browOuterUp_R:0.5, eyeWide_L:0.7, eyeWide_R:0.7, jawOpen:0.3, mouthFunnel:0.2 },
+  smile:    { mouthSmile_L:0.7, mouthSmile_R:0.7, cheekSquint_L:0.4, cheekSquint_R:0.4, browInnerUp:0.2, eyeSquint_L:0.2, eyeSquint_R:0.2 },
+  frown:    { browDown_L:0.4, browDown_R:0.4, mouthFrown_L:0.5, mouthFrown_R:0.5, browInnerUp:0.1 },
+  anger:    { browDown_L:0.7, browDown_R:0.7, mouthPress_L:0.5, mouthPress_R:0.5, noseSneer_L:0.4, noseSneer_R:0.4, jawOpen:0.1 },
+  wink:     { eyeBlink_L:1, mouthSmile_L:0.5, mouthSmile_R:0.2, cheekSquint_L:0.4, browDown_L:0.2 },
+  thinking: { browInnerUp:0.3, browDown_L:0.3, browOuterUp_R:0.35, eyeSquint_L:0.25, mouthPress_L:0.3, mouthPress_R:0.3, mouthLeft:0.2 },
+};
+const EXPRESSION_CUE_FADE_MS  = 250;
+const EXPRESSION_CUE_HOLD_MS  = 1200;
+const EXPRESSION_CUE_TOTAL_MS = EXPRESSION_CUE_HOLD_MS + EXPRESSION_CUE_FADE_MS * 2;
+
+// Morphs the visemes shape words with – a pose leaves them to the lip sync mid-speech
+const ARTICULATION_MORPHS = new Set([
+  'jawOpen', 'mouthClose', 'mouthFunnel', 'mouthPucker',
+  'mouthPress_L', 'mouthPress_R', 'mouthRollLower', 'mouthRollUpper',
+]);
+
+// An emoji's pose `elapsedMs` after it was reached: fade in, hold, fade out
+function expressionCueMoves(expression, elapsedMs, speaking = false) {
+  const weight = Math.max(0, Math.min(1,
+    elapsedMs / EXPRESSION_CUE_FADE_MS,
+    (EXPRESSION_CUE_TOTAL_MS - elapsedMs) / EXPRESSION_CUE_FADE_MS));
+  const moves = {};
+  Object.entries(EXPRESSION_POSES[expression] || {}).forEach(([m, v]) => {
+    if (!(speaking && ARTICULATION_MORPHS.has(m))) moves[m] = [v * weight, 0.3, 0.2];
+  });
+  return moves;
+}
+
+// Eyelid weight `frame` 60 Hz frames into a blink
+function blinkWeight(frame) {
+  const p = frame / BLINK_FRAMES;
+  return Math.max(0, p < 0.5 ? p * 2 : 2 - p * 2);
+}
+
+// 60 Hz frames until the next blink (2–5 s), from a 0–1 random source
+function blinkIntervalFrames(random) {
+  return random() * 180 + 120;
+}
+
+// Head rotation (radians) the speaking head sways toward; `tempo` follows the speaking rate
+function speakingHeadTarget(elapsedMs, tempo = 1) {
+  const t = elapsedMs * 0.001 * tempo;
+  return { x: Math.cos(t * 0.3) * 0.012, y: Math.sin(t * 0.5) * 0.025, z: Math.sin(t * 0.4) * 0.008 };
+}
+
+// Slow idle drift of the head, `idleTime` in seconds
+function idleHeadTarget(idleTime) {
+  return {
+    x: Math.cos(idleTime * HEAD_IDLE_DRIFT_SPEED * 0.7) * HEAD_IDLE_AMPLITUDE * 0.5,
+    y: Math.sin(idleTime * HEAD_IDLE_DRIFT_SPEED) * HEAD_IDLE_AMPLITUDE,
+    z: Math.sin(idleTime * HEAD_IDLE_DRIFT_SPEED * 0.5) * HEAD_IDLE_AMPLITUDE * 0.3,
+  };
+}
+
+// Small deterministic PRNG (mulberry32) – same seed, same blinks
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Runs a timeline through the live face logic – mouth, lip constraint,
+ * speech expression, blinks and head sway, then the post-speech smile
+ * and idle breathing – at a fixed `fps`, without a clock. Blinks come
+ * from a PRNG seeded with `seed`, so equal inputs bake equal frames.
+ * `coarticulation` is passed on as in sampleTimelineMorphs(); `tempo`
+ * speeds up the head sway for faster speech. Frames flagged `phraseEnd`
+ * or `inhale` (see markPhrasing) play their phrase gestures. Idle glances
+ * and eye saccades are left out.
+ * Returns [{ timeMs, weights: number[52], rotation: [x, y, z] }].
+ */
+function bakeFaceAnimation(timeline, { fps = 30, seed = 1, smile = true, tailMs = 250, coarticulation = 'dominance', tempo = 1 } = {}) {
+  const speechEndMs = timelineEndMs(timeline);
+  const endMs = speechEndMs + (smile ? SMILE_TOTAL_MS : tailMs);
+  const random = seededRandom(seed);
+  const liveFrames = 60 / fps;              // 60 Hz steps per baked frame
+
+  const current = Object.fromEntries(ARKIT_BLENDSHAPES.map(m => [m, 0]));
+  const move = (m, target, inSpeed, outSpeed) => {
+    current[m] = smoothToward(current[m], target, perFrameSpeed(inSpeed, fps), perFrameSpeed(outSpeed, fps));
+  };
+  const applyMoves = moves => Object.entries(moves).forEach(([m, args]) => move(m, ...args));
+  const rotation = { x: 0, y: 0, z: 0 };
+  const headSpeed = perFrameSpeed(HEAD_SMOOTHING, fps);
+
+  let blinkFrame = -1;                      // < 0 while the eyes are open
+  let untilBlink = blinkIntervalFrames(random);
+  let idx = 0;
+  let gesture = null;                       // { kind, startMs, durationMs, frame }
+  const frames = [];
+
+  for (let n = 0; n * 1000 / fps <= endMs; n++) {
+    const timeMs = n * 1000 / fps;
+    let head;
+
+    if (timeMs < speechEndMs) {
+      const sample = timelineTargets(timeline, timeMs, idx, coarticulation);
+      const targets = sample ? sample.targets : {};
+      if (sample) idx = sample.idx;
+      new Set([...MOUTH_MORPHS, ...Object.keys(targets)]).forEach(m =>
+        move(m, targets[m] || 0, VISEME_SMOOTHING_IN, VISEME_SMOOTHING_OUT));
+      if (sample?.closed) LIP_CLOSURE_MORPHS.forEach(m => { current[m] = targets[m] || 0; });
+      constrainLips(current);
+      applyMoves({ ...speechExpressionMoves(timeMs), ...(sample && timeline[idx].emphasis ? emphasisMoves(timeline[idx].emphasis) : {}) });
+      head = speakingHeadTarget(timeMs, tempo);
+
+      const frame = sample ? timeline[idx] : null;
+      if (frame && frame !== gesture?.frame) {
+        if (frame.phraseEnd) gesture = { kind: frame.phraseEnd, startMs: frame.timeMs, durationMs: PHRASE_GESTURE_MS, frame };
+        if (frame.inhale) gesture = { kind: 'inhale', startMs: frame.timeMs + frame.durationMs - frame.inhale, durationMs: frame.inhale, frame };
+      }
+    } else {
+      const idleSec = (timeMs - speechEndMs) * 0.001;
+      const moves = { ...idleMoves(idleSec * 0.8), ...(smile ? smileMoves(timeMs - speechEndMs) : {}) };
+      MOUTH_MORPHS.forEach(m => { if (!moves[m]) move(m, 0, 0.18, 0.18); });
+      applyMoves(moves);
+      head = idleHeadTarget(idleSec);
+    }
+
+    // A phrase gesture runs its course, into the smile after the last phrase
+    const gestureMs = gesture ? timeMs - gesture.startMs : -1;
+    if (gestureMs >= 0 && gestureMs <= gesture.durationMs) {
+      const { moves, head: offset } = phraseMoves(gesture.kind, gestureMs, gesture.durationMs);
+      applyMoves(moves);
+      head = { x: head.x + offset.x, y: head.y + offset.y, z: head.z + offset.z };
+    }
+
+    // Blinks tick in 60 Hz frames like the live face
+    if (blinkFrame >= 0) {
+      blinkFrame += liveFrames;
+      if (blinkFrame >= BLINK_FRAMES) { blinkFrame = -1; untilBlink = blinkIntervalFrames(random); }
+    } else if ((untilBlink -= liveFrames) <= 0) {
+      blinkFrame = 0;
+    }
+    current.eyeBlink_L = current.eyeBlink_R = blinkFrame >= 0 ? blinkWeight(blinkFrame) : 0;
+
+    ['x', 'y', 'z'].forEach(a => { rotation[a] += (head[a] - rotation[a]) * headSpeed; });
+    frames.push({
+      timeMs,
+      weights: ARKIT_BLENDSHAPES.map(m => current[m]),
+      rotation: [rotation.x, rotation.y, rotation.z],
+    });
+  }
+  return frames;
+}
+
+export {
+  // configuration & shape tables
+  VISEME_SMOOTHING_IN, VISEME_SMOOTHING_OUT, AMPLITUDE_MULTIPLIER, PHRASE_BREAK_MS,
+  ARKIT_BLENDSHAPES, VISEME_SHAPES, MOUTH_MORPHS, LOWER_LIP_RAISERS,
+  PHONEME_TO_SHAPE, IPA_TO_SHAPE, LANGUAGE_PROFILES, ARPABET_PHONEMES,
+  // text
+  createMappedText, normalizeForSpeech, cleanTextForSpeech, splitOnPunctuation, extractExpressions,
+  readMarkup, markEmphasis, readSsml, speechSegments, markSsml, phraseBreaks, markPhrasing,
+  speakablePrefix,
+  // pronunciation
+  indexPronouncingDictionary, loadPronouncingDictionary, lookupDictionary,
+  userLexicon, parseArpabet, normalizeLexiconWord, setLexiconEntry, removeLexiconEntry, mergeLexicon,
+  lookupPronunciation, graphemeToPhonemes, assignStress, languageOf, languageToPhonemes, expandNumbers,
+  textToPhonemeEvents, parsePhoneme, phonemeDuration, phonemeFrame,
+  // timelines
+  estimateWordDuration, estimateEventDuration, buildTimeline, timelineFromWords, textToLipTimeline,
+  // voice timing calibration
+  PHONEME_CLASSES, phonemeClass, voiceTiming, createTimingStats, addTimingObservation,
+  fitVoiceTiming, setVoiceTiming,
+  // audio & alignments
+  audioWindowSize, audioFeatures, createAudioVisemeState, tuneAudioVisemeState, classifyAudioWindow, analyzeAudioBuffer,
+  parseAlignment, parseSubtitles, subtitleTimeline, timedPhonemeFrames,
+  // morph weights
+  frameShape, visemeTargets, constrainLips, smoothToward, timelineSample, sampleTimelineMorphs,
+  timelineEndMs,
+  // coarticulation
+  COARTICULATION_MODELS, LIP_CLOSURE_MORPHS, timelineTargets,
+  // face animation
+  EXPRESSION_INTENSITY, SMILE_TOTAL_MS, BLINK_FRAMES, HEAD_SMOOTHING,
+  EXPRESSION_POSES, EXPRESSION_CUE_FADE_MS, EXPRESSION_CUE_TOTAL_MS, expressionCueMoves, emphasisMoves,
+  PHRASE_GESTURE_MS, phraseMoves,
+  speechExpressionMoves, idleMoves, smileMoves, blinkWeight, blinkIntervalFrames,
+  speakingHeadTarget, idleHeadTarget, seededRandom, bakeFaceAnimation,
+};
@@ -0,0 +1,134 @@
+// =====================================================
+// SPEECH QUEUE – messages waiting for the avatar's voice
+// =====================================================
+// Messages come in bursts, so Speak adds to a queue instead of cutting
+// off whatever is being said. The queue plays one item at a time through
+// the functions avatar.js hands it:
+//   play(item, onProgress) → Promise<'done' | 'interrupted' | 'stopped'>
+//   interrupt()            ends the playing item (its promise settles)
+// Priorities: 'normal' waits at the end, 'next' jumps ahead of every
+// normal item, 'interrupt' cuts the current item off and plays at once.
+// hold() keeps the waiting items waiting while the avatar does something
+// else (plays an audio file, follows the microphone) until release().
+// The queue is an EventTarget firing CustomEvents, detail { item, ... }:
+//   queued, start, progress { segment, segments, offset, fraction },
+//   end { result }, error { message }, removed, change { items, current }, idle
+// Items: { id, text, priority, status, stream } – status is queued,
+// speaking, done, interrupted, stopped, removed or error; `stream` is
+// whatever enqueue() was given for text still arriving (null otherwise).
+// =====================================================
+const QUEUE_PRIORITIES = ['normal', 'next', 'interrupt'];
+
+function createSpeechQueue({ play, interrupt }) {
+  const queue = new EventTarget();
+  let items = [];                    // waiting, in play order
+  let current = null;                // item being spoken
+  let held = false;                  // hold(): nothing new starts
+  let nextId = 1;
+
+  const emit = (type, detail) => queue.dispatchEvent(new CustomEvent(type, { detail }));
+  const changed = () => emit('change', { items: [...items], current });
+  const find = (id) => items.findIndex(item => item.id === id);
+
+  function pump() {
+    if (current || held) return;
+    if (!items.length) { emit('idle', {}); return; }
+    const item = current = items.shift();
+    item.status = 'speaking';
+    emit('start', { item });
+    changed();
+    play(item, (progress) => { if (current === item) emit('progress', { item, ...progress }); })
+      .then((result) => {
+        item.status = result;
+        emit('end', { item, result });
+      }, (err) => {
+        item.status = 'error';
+        emit('error', { item, message: err.message });
+      })
+      .finally(() => {
+        current = null;
+        changed();
+        pump();
+      });
+  }
+
+  // Getters through defineProperties – Object.assign would copy their values once
+  Object.defineProperties(queue, {
+    items:   { get: () => [...items] },
+    current: { get: () => current },
+    held:    { get: () => held },
+  });
+
+  Object.assign(queue, {
+    /**
+     * Adds a message and returns its item. 'next' and 'interrupt' items
+     * go ahead of all normal ones (in arrival order among themselves);
+     * 'interrupt' also ends the item being spoken.
+     */
+    enqueue(text, { priority = 'normal', stream = null } = {}) {
+      if (!QUEUE_PRIORITIES.includes(priority)) {
+        throw new Error(`Priority must be one of ${QUEUE_PRIORITIES.join(', ')}, got "${priority}"`);
+      }
+      const item = { id: nextId++, text: String(text), priority, status: 'queued', stream };
+      // Interrupts go after waiting interrupts, 'next' items before the first normal one
+      const firstNormal = items.findIndex(i => i.priority === 'normal');
+      const lastInterrupt = items.findLastIndex(i => i.priority === 'interrupt');
+      const at = priority === 'interrupt' ? lastInterrupt + 1
+        : priority === 'next' && firstNormal >= 0 ? firstNormal : items.length;
+      items.splice(at, 0, item);
+      emit('queued', { item });
+      changed();
+      if (priority === 'interrupt' && current) interrupt();
+      else pump();
+      return item;
+    },
+
+    // Takes an item out; the one being spoken is interrupted
+    remove(id) {
+      if (current?.id === id) { interrupt(); return true; }
+      const k = find(id);
+      if (k < 0) return false;
+      const [item] = items.splice(k, 1);
+      item.status = 'removed';
+      emit('removed', { item });
+      changed();
+      return true;
+    },
+
+    // Moves a waiting item by `delta` places (negative = sooner)
+    move(id, delta) {
+      const k = find(id);
+      const to = Math.max(0, Math.min(items.length - 1, k + delta));
+      if (k < 0 || to === k) return false;
+      items.splice(to, 0, ...items.splice(k, 1));
+      changed();
+      return true;
+    },
+
+    // Drops every waiting item; the current one carries on
+    clear() {
+      const dropped = items;
+      items = [];
+      dropped.forEach(item => {
+        item.status = 'removed';
+        emit('removed', { item });
+      });
+      if (dropped.length) changed();
+    },
+
+    // Starts nothing new until release(); the current item carries on
+    hold() {
+      held = true;
+    },
+
+    release() {
+      if (!held) return;
+      held = false;
+      pump();
+    },
+  });
+
+  return queue;
+}
+
+export { QUEUE_PRIORITIES, createSpeechQueue };
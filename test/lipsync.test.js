@@ -0,0 +1,39 @@
+// Run with: npm test (node --test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeForSpeech, expandNumbers, textToLipTimeline, lookupPronunciation } from '../lipsync.js';
+
+const spoken = (text) => normalizeForSpeech(text).text;
+
+test('normalizeForSpeech reads dotted versions and addresses group by group', () => {
+  assert.equal(spoken('version 2.0.1'), 'version two point zero point one');
+  assert.equal(spoken('ping 10.0.0.1'), 'ping ten point zero point zero point one');
+  assert.equal(spoken('pi is 3.14'), 'pi is three point one four');
+});
+
+test('normalizeForSpeech adds no "the" the text does not have', () => {
+  assert.equal(spoken('on 3rd of May'), 'on third of May');
+  assert.equal(spoken('on the 3rd of May'), 'on the third of May');
+});
+
+test('expandNumbers reads digits in the voice\'s language', () => {
+  assert.equal(expandNumbers('25 euros', 'fr').text, 'vingt-cinq euros');
+  assert.equal(expandNumbers('21.000', 'es').text, 'veintiún mil');
+  assert.equal(expandNumbers('3,14', 'de').text, 'drei Komma eins vier');
+});
+
+test('a number in non-English text moves the mouth', () => {
+  const { words, timeline } = textToLipTimeline('25', { lang: 'fr' });
+  assert.deepEqual(words.map(w => w.word), ['vingt', 'cinq']);
+  assert.ok(timeline.some(f => f.shapeKey !== 'sil'));
+});
+
+test('letter-to-sound rules read unknown words the way they are spelled', () => {
+  const say = (word) => lookupPronunciation(word).phonemes.join(' ');
+  assert.equal(say('biter'), 'B AY1 T ER0');
+  assert.equal(say('pining'), 'P AY1 N IH0 NG');
+  assert.equal(say('psych'), 'S AY1 K');
+  assert.equal(say('psycho'), 'S AY1 K OW0');
+  assert.equal(say('adding'), 'AE1 D IH0 NG');
+  assert.equal(say('prepping'), 'P R EH1 P IH0 NG');
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// =====================================================
+// TTS STUB SERVER – exercise the HTTP TTS provider without a real voice
+// =====================================================
+// Speaks the way Piper / Coqui HTTP servers are called (see tts.js):
+// POST /tts with JSON { text } returns JSON with a WAV (base64) and word
+// and phoneme timestamps. The "voice" is a buzz on vowels and a hiss on
+// consonants, timed by lipsync.js itself, so the avatar's mouth should
+// line up with it exactly.
+//
+//   node tts-stub-server.js                  # http://localhost:5002/tts
+//   node tts-stub-server.js --port 6000 --timings words
+//
+// --timings: all (words + phonemes, default), words, or none (plain
+// audio/wav, the avatar then spreads the words over the audio length).
+// =====================================================
+import { createServer } from 'node:http';
+import { readFileSync, existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { indexPronouncingDictionary, languageOf, textToLipTimeline } from './lipsync.js';
+
+const DEFAULT_DICT = fileURLToPath(new URL('./cmudict.dict', import.meta.url));
+const SAMPLE_RATE  = 22050;
+const TAIL_MS      = 200;         // silence after the last phoneme
+const TIMING_MODES = ['all', 'words', 'none'];
+const VOICES = [
+  { id: 'stub-en', name: 'Stub voice (English)', lang: 'en-US' },
+  { id: 'stub-es', name: 'Stub voice (Spanish)', lang: 'es-ES' },
+];
+
+const USAGE = `Usage: node tts-stub-server.js [options]
+
+      --port <n>           port to listen on (default 5002)
+      --timings <mode>     all, words or none (default all)
+      --no-dict            rule engine only
+  -h, --help               show this help`;
+
+// 16-bit mono PCM WAV
+function encodeWav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);                    // PCM
+  buffer.writeUInt16LE(1, 22);                    // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((s, i) => buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, s)) * 32767), 44 + i * 2));
+  return buffer;
+}
+
+/**
+ * Text → { wav, words, phonemes }: the lip timeline's own word and
+ * phoneme times (seconds), and audio that follows them.
+ */
+function synthesize(text, lang) {
+  const { words, timeline } = textToLipTimeline(text, { lang });
+  // One timeline frame per phoneme, in order, plus 'sil' frames at phrase breaks
+  const phones = words.flatMap(w => w.phonemes);
+  const labels = timeline.map(f => (f.rest ? 'sil' : phones.shift()));
+  const endMs = timeline.length ? timeline[timeline.length - 1].timeMs + timeline[timeline.length - 1].durationMs : 0;
+  const samples = new Float32Array(Math.ceil((endMs + TAIL_MS) / 1000 * SAMPLE_RATE));
+
+  let noise = 1;
+  timeline.forEach(f => {
+    const from = Math.floor(f.timeMs / 1000 * SAMPLE_RATE);
+    const to   = Math.min(samples.length, Math.floor((f.timeMs + f.durationMs) / 1000 * SAMPLE_RATE));
+    const voiced = f.stress !== null && f.stress !== undefined;
+    for (let i = from; i < to; i++) {
+      const t = i / SAMPLE_RATE;
+      const fade = Math.min(1, (i - from) / 200, (to - i) / 200);
+      if (voiced) {
+        samples[i] = fade * 0.3 * f.amplitude * (Math.sin(2 * Math.PI * 140 * t) + 0.5 * Math.sin(2 * Math.PI * 280 * t));
+      } else if (f.shapeKey !== 'sil') {
+        noise = (noise * 16807) % 2147483647;
+        samples[i] = fade * 0.06 * (noise / 1073741823.5 - 1);
+      }
+    }
+  });
+
+  const round = s => Math.round(s * 1000) / 1000;
+  return {
+    wav: encodeWav(samples),
+    words: words.map(w => ({ word: w.word, start: round(w.wordStartMs / 1000), end: round((w.wordStartMs + w.wordDurationMs) / 1000) })),
+    phonemes: timeline.map((f, i) => ({ phoneme: labels[i], start: round(f.timeMs / 1000), end: round((f.timeMs + f.durationMs) / 1000) })),
+  };
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body);
+}
+
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return body;
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port:      { type: 'string', default: '5002' },
+      timings:   { type: 'string', default: 'all' },
+      'no-dict': { type: 'boolean', default: false },
+      help:      { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port <= 0) throw new Error(`--port must be a port number, got "${values.port}"`);
+  if (!TIMING_MODES.includes(values.timings)) {
+    throw new Error(`--timings must be one of ${TIMING_MODES.join(', ')}, got "${values.timings}"`);
+  }
+  if (!values['no-dict'] && existsSync(DEFAULT_DICT)) await indexPronouncingDictionary(readFileSync(DEFAULT_DICT, 'utf8'));
+
+  const server = createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204, 'text/plain', '');
+      if (req.method === 'GET' && path === '/voices') return send(res, 200, 'application/json', JSON.stringify(VOICES));
+      if (req.method !== 'POST' || path !== '/tts') return send(res, 404, 'text/plain', 'POST /tts or GET /voices');
+
+      const { text = '', voice = null } = JSON.parse(await readBody(req) || '{}');
+      if (!String(text).trim()) return send(res, 400, 'text/plain', 'no text');
+      const lang = languageOf(VOICES.find(v => v.id === voice || v.name === voice)?.lang);
+      const { wav, words, phonemes } = synthesize(String(text), lang);
+      console.error(`tts-stub: ${words.length} words, ${(wav.length / 2 / SAMPLE_RATE).toFixed(2)} s`);
+
+      if (values.timings === 'none') return send(res, 200, 'audio/wav', wav);
+      send(res, 200, 'application/json', JSON.stringify({
+        audio: wav.toString('base64'),
+        words,
+        ...(values.timings === 'all' && { phonemes }),
+      }));
+    } catch (err) {
+      send(res, 500, 'text/plain', err.message);
+    }
+  });
+  server.listen(port, () => console.error(`tts-stub: POST http://localhost:${port}/tts (timings: ${values.timings})`));
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`tts-stub: ${err.message}`);
+  process.exitCode = 1;
+});
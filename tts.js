@@ -0,0 +1,263 @@
+// =====================================================
+// TTS PROVIDERS – where the voice comes from
+// =====================================================
+// avatar.js speaks through a provider instead of calling the Web Speech
+// API directly, so the voice can come from the browser or from a local
+// synthesis server. A provider is a plain object:
+//   id, label
+//   getVoices()        → Promise<[{ name, lang, default? }]>
+//   speak(text, opts)  → utterance (opts: { voice, rate, pitch, volume })
+//   cancel()           stops whatever it is saying, without events
+//   pause(), resume()  hold and continue the current utterance; the
+//                      paused time does not count toward elapsedMs
+// and every utterance is an EventTarget firing CustomEvents:
+//   start    – audio started; detail { durationMs } when it is known
+//   timings  – exact times, sent once right after start (optional):
+//              detail { words: [{ charIndex, charLength, elapsedMs }], frames }
+//              `frames` is a lip timeline from phoneme timestamps, or null
+//   boundary – a word starts: detail { charIndex, charLength, elapsedMs }
+//   end
+//   error    – detail { message }
+// elapsedMs always counts from 'start'; charIndex points into `text`.
+// =====================================================
+import { timedPhonemeFrames } from './lipsync.js';
+
+const HTTP_TTS_DEFAULT_URL = 'http://localhost:5002/tts';
+
+function emit(target, type, detail = null) {
+  target.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// =====================================================
+// WEB SPEECH – the browser's own voices
+// =====================================================
+function createWebSpeechProvider() {
+  let current = null;                // { startTime, pausedAt } of the latest utterance
+
+  return {
+    id: 'webspeech',
+    label: 'Browser voices (Web Speech)',
+
+    async getVoices() {
+      return speechSynthesis.getVoices();
+    },
+
+    speak(text, { voice = null, rate = 1, pitch = 1, volume = 1 } = {}) {
+      const utterance = new EventTarget();
+      const u = new SpeechSynthesisUtterance(text);
+      if (voice) u.voice = voice;
+      u.rate   = rate;
+      u.pitch  = pitch;
+      u.volume = Math.min(1, volume);     // Web Speech can't go louder than its default
+
+      const clock = current = { startTime: 0, pausedAt: null };
+      u.onstart = () => {
+        clock.startTime = performance.now();
+        emit(utterance, 'start', {});
+      };
+      u.addEventListener('boundary', (e) => {
+        if (e.name !== 'word') return;
+        emit(utterance, 'boundary', {
+          charIndex: e.charIndex, charLength: e.charLength || 0, elapsedMs: performance.now() - clock.startTime,
+        });
+      });
+      u.onend   = () => emit(utterance, 'end');
+      u.onerror = (e) => emit(utterance, 'error', { message: e.error });
+
+      // Keep a reference – some browsers drop the events of collected utterances
+      utterance.native = u;
+      speechSynthesis.speak(u);
+      return utterance;
+    },
+
+    cancel() {
+      current = null;
+      speechSynthesis.cancel();
+      if (speechSynthesis.paused) speechSynthesis.resume();   // or the next utterance starts paused
+    },
+
+    pause() {
+      speechSynthesis.pause();
+      if (current && current.pausedAt === null) current.pausedAt = performance.now();
+    },
+
+    resume() {
+      if (current && current.pausedAt !== null) {
+        current.startTime += performance.now() - current.pausedAt;
+        current.pausedAt = null;
+      }
+      speechSynthesis.resume();
+    },
+  };
+}
+
+// =====================================================
+// HTTP TTS – a local synthesis server (Piper / Coqui style)
+// =====================================================
+// POST <url> with JSON { text, voice, rate, pitch }. The answer is either
+// plain audio (audio/wav, audio/mpeg, ...) or JSON:
+//   { "audio": "<base64 or data: URL>",
+//     "words":    [{ "word": "hello", "start": 0.05, "end": 0.41 }],
+//     "phonemes": [{ "phoneme": "HH", "start": 0.05, "end": 0.11 }] }
+// with times in seconds; words and phonemes are optional. GET on the
+// sibling path "voices" may list [{ name, lang, id }]. The audio plays
+// through Web Audio, so the lip timeline shares its clock; `volume` is
+// applied there as a gain.
+// =====================================================
+
+// base64 or data: URL → ArrayBuffer
+function decodeBase64Audio(data) {
+  const bytes = atob(String(data).replace(/^data:[^,]*,/, ''));
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+  return buffer.buffer;
+}
+
+async function readTtsResponse(res) {
+  const type = res.headers.get('Content-Type') || '';
+  if (!type.includes('json')) return { audio: await res.arrayBuffer(), words: [], phonemes: [] };
+  const data = await res.json();
+  if (!data.audio) throw new Error('TTS server sent JSON without "audio"');
+  return { audio: decodeBase64Audio(data.audio), words: data.words || [], phonemes: data.phonemes || [] };
+}
+
+/**
+ * Finds the server's words in `text`, in order, so each timestamp gets
+ * the charIndex of the word it belongs to. Words it cannot find are
+ * skipped rather than guessed.
+ */
+function alignWordTimes(text, words) {
+  const tokens = [...text.matchAll(/[\p{L}\p{N}']+/gu)];
+  const norm = s => String(s).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  const timed = [];
+  let next = 0;
+  for (const w of words) {
+    const key = norm(w.word);
+    const k = tokens.findIndex((t, i) => i >= next && norm(t[0]) === key);
+    if (k < 0 || !Number.isFinite(w.start)) continue;
+    timed.push({ charIndex: tokens[k].index, charLength: tokens[k][0].length, elapsedMs: w.start * 1000 });
+    next = k + 1;
+  }
+  return timed;
+}
+
+function createHttpTtsProvider({ url = HTTP_TTS_DEFAULT_URL } = {}) {
+  let audioCtx = null;
+  let source = null;                 // AudioBufferSourceNode while speaking
+  let request = null;                // AbortController of the pending POST
+  let timers = [];                   // boundary events still to come
+  let playing = null;                // { utterance, words, startedAt } while audio plays
+
+  const provider = {
+    id: 'http',
+    label: 'Local HTTP TTS server',
+    url,
+
+    async getVoices() {
+      try {
+        const res = await fetch(new URL('voices', provider.url));
+        const list = res.ok ? await res.json() : [];
+        if (Array.isArray(list) && list.length) return list.map(v => ({ lang: 'en-US', ...v, name: v.name ?? v.id }));
+      } catch {
+        // No voice list – the server still speaks with its default
+      }
+      return [{ name: 'Server default', lang: 'en-US', default: true }];
+    },
+
+    speak(text, options = {}) {
+      const utterance = new EventTarget();
+      play(utterance, text, options);
+      return utterance;
+    },
+
+    cancel() {
+      request?.abort();
+      request = null;
+      timers.forEach(clearTimeout);
+      timers = [];
+      playing = null;
+      if (source) {
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+        source = null;
+      }
+      audioCtx?.resume();
+    },
+
+    // Suspending the context freezes the audio and its clock together
+    pause() {
+      if (!playing || audioCtx.state !== 'running') return;
+      timers.forEach(clearTimeout);
+      timers = [];
+      audioCtx.suspend();
+    },
+
+    async resume() {
+      if (!playing || audioCtx.state !== 'suspended') return;
+      await audioCtx.resume();
+      scheduleBoundaries();
+    },
+  };
+
+  // Boundary events for the words still ahead of the audio clock
+  function scheduleBoundaries() {
+    const { utterance, words, startedAt } = playing;
+    const elapsedMs = (audioCtx.currentTime - startedAt) * 1000;
+    timers = words
+      .filter(w => w.elapsedMs >= elapsedMs)
+      .map(w => setTimeout(() => emit(utterance, 'boundary', w), w.elapsedMs - elapsedMs));
+  }
+
+  async function play(utterance, text, { voice = null, rate = 1, pitch = 1, volume = 1 } = {}) {
+    provider.cancel();
+    const controller = request = new AbortController();
+    try {
+      const res = await fetch(provider.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, voice: voice?.id ?? voice?.name ?? null, rate, pitch }),
+        signal: controller.signal,
+      });
+      if (!res.ok) throw new Error(`TTS server answered ${res.status} ${res.statusText}`);
+      const { audio, words, phonemes } = await readTtsResponse(res);
+
+      audioCtx ??= new AudioContext();
+      await audioCtx.resume();
+      const buffer = await audioCtx.decodeAudioData(audio);
+      if (controller.signal.aborted) return;
+      request = null;
+
+      const node = source = audioCtx.createBufferSource();
+      const gain = audioCtx.createGain();
+      gain.gain.value = volume;
+      node.buffer = buffer;
+      node.connect(gain).connect(audioCtx.destination);
+      node.onended = () => {
+        if (source !== node) return;
+        source = null;
+        playing = null;
+        emit(utterance, 'end');
+      };
+      node.start();
+
+      const timed = alignWordTimes(text, words);
+      playing = { utterance, words: timed, startedAt: audioCtx.currentTime };
+      emit(utterance, 'start', { durationMs: buffer.duration * 1000 });
+      if (timed.length || phonemes.length) {
+        emit(utterance, 'timings', { words: timed, frames: phonemes.length ? timedPhonemeFrames(phonemes) : null });
+      }
+      scheduleBoundaries();
+    } catch (err) {
+      if (controller.signal.aborted) return;      // cancelled – not an error
+      emit(utterance, 'error', { message: err.message });
+    }
+  }
+
+  return provider;
+}
+
+export {
+  HTTP_TTS_DEFAULT_URL,
+  createWebSpeechProvider, createHttpTtsProvider, alignWordTimes,
+};